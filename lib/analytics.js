@@ -0,0 +1,368 @@
+// lib/analytics.js
+// Helpers de analytics sobre comprobantes de Dux (facturas/pedidos).
+// Los nombres de campo varían entre endpoints/versiones de Dux: cada pick* prueba varios candidatos.
+import { normalizeText } from './query.js';
+import { DEFAULT_TZ, localDate } from './dates.js';
+
+// === Renglones ===
+export function pickDetailArray(row) {
+  if (!row || typeof row !== 'object') return [];
+  const candidates = [
+    'detalle', 'detalles', 'renglones', 'items', 'lineas', 'líneas',
+    'detalleFactura', 'detalle_factura', 'renglon', 'productos', 'articulos'
+  ];
+  for (const k of candidates) if (Array.isArray(row[k])) return row[k];
+  for (const [, v] of Object.entries(row)) {
+    if (Array.isArray(v) && v.length && typeof v[0] === 'object') return v;
+  }
+  return [];
+}
+
+export const pickItemId = (it) =>
+  it.itemId ?? it.idItem ?? it.idArticulo ?? it.articuloId ?? it.id ?? it.codigoArticulo ?? it.cod_item ?? null;
+
+export const pickCantidad = (it) => {
+  const candidates = [it.cantidad, it.cant, it.cantidadFacturada, it.cantidadVendida, it.unidades, it.ctd];
+  for (const v of candidates) { const n = Number(v); if (!Number.isNaN(n) && n) return n; }
+  return 0;
+};
+
+export const pickNombre = (it) =>
+  it.descripcion ?? it.nombre ?? it.detalle ?? it.descripcionArticulo ?? it.nombreArticulo ?? it.item ?? null;
+
+const firstNumber = (...vals) => {
+  for (const v of vals) { const n = Number(v); if (v != null && v !== '' && Number.isFinite(n)) return n; }
+  return null;
+};
+
+// Importe del renglón: total/subtotal o precio * cantidad
+export const pickImporteLinea = (it) =>
+  firstNumber(it.total, it.subtotal, it.importe, it.importeTotal, it.monto) ??
+  ((firstNumber(it.precio, it.precioUnitario, it.precio_unitario, it.precio_uni) ?? 0) * pickCantidad(it));
+
+// Rubro del renglón: { key, nombre } o null si el renglón no lo trae
+export function pickRubroLinea(it) {
+  const r = it.rubro ?? it.nombreRubro ?? it.rubroNombre ?? null;
+  const id = it.idRubro ?? it.id_rubro ?? (r && typeof r === 'object' ? (r.id ?? r.idRubro ?? r.id_rubro) : null);
+  const nombre = r && typeof r === 'object' ? (r.nombre ?? r.descripcion ?? r.rubro ?? null) : r;
+  if (id == null && !nombre) return null;
+  return { key: String(id ?? nombre), nombre: nombre ? String(nombre) : null };
+}
+
+// === Cabecera del comprobante ===
+const pickRef = (idVal, objOrName) => {
+  const obj = objOrName && typeof objOrName === 'object' ? objOrName : null;
+  const id = idVal ?? obj?.id ?? null;
+  const nombre = obj ? (obj.nombre ?? obj.descripcion ?? obj.apellido_nombre ?? null) : (objOrName ?? null);
+  if (id == null && !nombre) return null;
+  return { key: String(id ?? nombre), nombre: nombre ? String(nombre) : null };
+};
+
+export const pickSucursal = (row) =>
+  pickRef(row.idSucursal ?? row.id_sucursal, row.sucursal ?? row.nombreSucursal ?? row.nombre_sucursal);
+
+export const pickVendedor = (row) =>
+  pickRef(row.idVendedor ?? row.id_vendedor ?? row.idPersonal ?? row.id_personal, row.vendedor ?? row.nombreVendedor ?? row.nombre_vendedor);
+
+export const pickTotal = (row) =>
+  firstNumber(row.total, row.total_comp, row.totalComprobante, row.importeTotal, row.importe_total, row.monto_total, row.importe) ?? 0;
+
+export const pickTipo = (row) =>
+  String(row.tipo_comp ?? row.tipoComprobante ?? row.tipo_comprobante ?? row.comprobante ?? row.tipo ?? '');
+
+// Nota de crédito: "NOTA_CREDITO", "Nota de Crédito A", "NCA", "NC"...
+export function isNotaCredito(row) {
+  const t = normalizeText(pickTipo(row)).replace(/[^a-z]/g, '');
+  return t.includes('notadecredito') || t.includes('notacredito') || /^nc[abcem]?$/.test(t);
+}
+
+// Fecha del comprobante como YYYY-MM-DD (acepta ISO con hora o DD/MM/YYYY); con hora y offset, el día en tz
+export function pickFecha(row, tz = DEFAULT_TZ) {
+  const raw = row.fecha ?? row.fecha_comp ?? row.fechaComprobante ?? row.fecha_emision ?? row.fechaEmision ?? row.fechaAlta;
+  return localDate(raw, tz);
+}
+
+// === Fechas (YYYY-MM-DD, aritmética en UTC) ===
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const toIso = (d) => d.toISOString().slice(0, 10);
+export const addDays = (iso, n) => { const d = toDate(iso); d.setUTCDate(d.getUTCDate() + n); return toIso(d); };
+const daysBetween = (a, b) => Math.round((toDate(b) - toDate(a)) / 86400000);
+
+// Rango inmediatamente anterior y de igual duración
+export function previousRange(desde, hasta) {
+  const len = daysBetween(desde, hasta) + 1;
+  return { fechaDesde: addDays(desde, -len), fechaHasta: addDays(desde, -1) };
+}
+
+function isoWeek(iso) {
+  const d = toDate(iso);
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day); // jueves de esa semana define el año ISO
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+export function periodKey(iso, granularity) {
+  if (granularity === 'day') return iso;
+  if (granularity === 'week') return isoWeek(iso);
+  return iso.slice(0, 7); // month
+}
+
+// Todas las claves de período entre desde y hasta (para series sin huecos)
+export function periodKeys(desde, hasta, granularity) {
+  const keys = [];
+  for (let d = desde; d <= hasta; d = addDays(d, 1)) {
+    const k = periodKey(d, granularity);
+    if (keys[keys.length - 1] !== k) keys.push(k);
+  }
+  return keys;
+}
+
+// === Resumen de ventas ===
+export const TIME_GROUPS = ['day', 'week', 'month'];
+
+const emptyBucket = () => ({ ventas_brutas: 0, notas_credito: 0, comprobantes: 0, cantidad_notas_credito: 0 });
+
+function finish(b) {
+  const ventas_netas = round2(b.ventas_brutas - b.notas_credito);
+  return {
+    ventas_netas,
+    ventas_brutas: round2(b.ventas_brutas),
+    notas_credito: round2(b.notas_credito),
+    comprobantes: b.comprobantes,
+    cantidad_notas_credito: b.cantidad_notas_credito,
+    ticket_promedio: b.comprobantes ? round2(ventas_netas / b.comprobantes) : 0,
+  };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Agrupa comprobantes por período (day/week/month) o dimensión (sucursal/vendedor/rubro).
+// Las notas de crédito restan (importe absoluto) y no cuentan como comprobante.
+// groupBy=rubro reparte cada comprobante según sus renglones (rubroDeItem resuelve renglones sin rubro).
+export function summarizeVentas(docs, { groupBy = 'month', rubroDeItem = () => null, tz = DEFAULT_TZ } = {}) {
+  const total = emptyBucket();
+  const buckets = new Map(); // key -> { nombre, ...bucket }
+
+  const add = (key, nombre, fn) => {
+    if (!buckets.has(key)) buckets.set(key, { nombre, ...emptyBucket() });
+    const b = buckets.get(key);
+    if (!b.nombre && nombre) b.nombre = nombre;
+    fn(b);
+  };
+
+  for (const row of docs) {
+    const nc = isNotaCredito(row);
+    const importe = Math.abs(pickTotal(row));
+    const apply = (b, monto, cuenta) => {
+      if (nc) { b.notas_credito += monto; if (cuenta) b.cantidad_notas_credito++; }
+      else { b.ventas_brutas += monto; if (cuenta) b.comprobantes++; }
+    };
+    apply(total, importe, true);
+
+    if (TIME_GROUPS.includes(groupBy)) {
+      const fecha = pickFecha(row, tz);
+      add(fecha ? periodKey(fecha, groupBy) : 'sin_fecha', null, b => apply(b, importe, true));
+    } else if (groupBy === 'sucursal' || groupBy === 'vendedor') {
+      const ref = groupBy === 'sucursal' ? pickSucursal(row) : pickVendedor(row);
+      add(ref?.key ?? 'sin_dato', ref?.nombre ?? null, b => apply(b, importe, true));
+    } else if (groupBy === 'rubro') {
+      const seen = new Set(); // un comprobante cuenta una vez por rubro
+      for (const it of pickDetailArray(row)) {
+        const rubro = pickRubroLinea(it) || rubroDeItem(pickItemId(it));
+        const key = rubro?.key ?? 'sin_rubro';
+        add(key, rubro?.nombre ?? null, b => apply(b, Math.abs(pickImporteLinea(it)), !seen.has(key)));
+        seen.add(key);
+      }
+    }
+  }
+
+  return {
+    totales: finish(total),
+    grupos: [...buckets].map(([clave, b]) => ({ clave, nombre: b.nombre, ...finish(b) })),
+  };
+}
+
+export function delta(actual, anterior) {
+  const abs = round2(actual - anterior);
+  return { diferencia: abs, variacion_pct: anterior ? round2((abs / Math.abs(anterior)) * 100) : null };
+}
+
+export function compareTotals(actual, anterior) {
+  return {
+    ventas_netas: delta(actual.ventas_netas, anterior.ventas_netas),
+    comprobantes: delta(actual.comprobantes, anterior.comprobantes),
+    ticket_promedio: delta(actual.ticket_promedio, anterior.ticket_promedio),
+  };
+}
+
+// Series para la respuesta: por período se completan los huecos y se alinea con el período
+// anterior por posición (mes 1 vs mes 1); por dimensión se alinea por clave y se ordena por ventas.
+export function buildSeries(actual, anterior, { groupBy, rango, rangoAnterior }) {
+  const prevByKey = new Map((anterior?.grupos || []).map(g => [g.clave, g]));
+  const withPrev = (g, prev) => (anterior
+    ? { ...g, anterior: prev ? prev.ventas_netas : 0, variacion: delta(g.ventas_netas, prev ? prev.ventas_netas : 0) }
+    : g);
+
+  if (!TIME_GROUPS.includes(groupBy)) {
+    return actual.grupos
+      .map(g => withPrev(g, prevByKey.get(g.clave)))
+      .sort((a, b) => b.ventas_netas - a.ventas_netas);
+  }
+
+  const byKey = new Map(actual.grupos.map(g => [g.clave, g]));
+  const prevKeys = anterior ? periodKeys(rangoAnterior.fechaDesde, rangoAnterior.fechaHasta, groupBy) : [];
+  return periodKeys(rango.fechaDesde, rango.fechaHasta, groupBy).map((clave, i) => {
+    const g = byKey.get(clave) || { clave, nombre: null, ...finish(emptyBucket()) };
+    return withPrev(g, prevByKey.get(prevKeys[i]));
+  });
+}
+
+// === Cuentas a cobrar ===
+export const AGING_BUCKETS = [
+  { key: '0-30', max: 30 },
+  { key: '31-60', max: 60 },
+  { key: '61-90', max: 90 },
+  { key: '90+', max: Infinity },
+];
+
+export const agingBucket = (dias) => AGING_BUCKETS.find(b => dias <= b.max).key;
+const emptyAging = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+
+export function isNotaDebito(row) {
+  const t = normalizeText(pickTipo(row)).replace(/[^a-z]/g, '');
+  return t.includes('notadedebito') || t.includes('notadebito') || /^nd[abcem]?$/.test(t);
+}
+
+export const pickCliente = (row) =>
+  pickRef(row.idCliente ?? row.id_cliente ?? row.idEmpresaCliente,
+    row.cliente ?? row.razon_social ?? row.apellido_razon_social ?? row.nombreCliente ?? row.nombre_cliente);
+
+export const pickDocId = (row) =>
+  row.id ?? row.idComprobante ?? row.id_comprobante ?? row.idFactura ?? row.id_factura ?? null;
+
+const pickNumero = (row) =>
+  row.nro_comp ?? row.numeroComprobante ?? row.numero_comprobante ?? row.numero ?? row.nro ?? null;
+
+// Saldo pendiente informado por Dux (si el listado lo trae)
+export const pickSaldo = (row) =>
+  firstNumber(row.saldo, row.saldo_pendiente, row.saldoPendiente, row.importe_pendiente, row.pendiente);
+
+export const hasDuxSaldo = (docs) => docs.some(d => pickSaldo(d) != null);
+
+// Facturas o notas de débito sin saldo de Dux: su saldo se calcula con las cobranzas imputadas
+export const needsCobranzas = (docs) => !hasDuxSaldo(docs) || docs.some(d => !isNotaCredito(d) && pickSaldo(d) == null);
+
+// Imputaciones de una cobranza: [{ docId, importe }]
+function pickImputaciones(cob) {
+  const arr = ['imputaciones', 'comprobantes', 'facturas', 'detalle_comprobantes', 'comprobantesImputados']
+    .map(k => cob[k]).find(Array.isArray) || [];
+  return arr
+    .map(x => ({
+      docId: x.idComprobante ?? x.id_comprobante ?? x.idFactura ?? x.id_factura ?? x.id ?? null,
+      importe: Math.abs(firstNumber(x.importe, x.monto, x.importe_imputado, x.total) ?? 0),
+    }))
+    .filter(x => x.docId != null && x.importe);
+}
+
+// Saldo por cliente con antigüedad (días desde la emisión hasta fechaCorte).
+// modo 'saldo_dux': los comprobantes traen su saldo pendiente y se usa tal cual; los que no lo traen
+// (sin_saldo) quedan con total menos las cobranzas imputadas a ellos, marcados con estimado: true.
+// modo 'imputacion': facturas y notas de débito suman; las cobranzas se imputan primero a los
+// comprobantes que indican y el resto (y las notas de crédito) al comprobante abierto más viejo.
+export function computeReceivables(docs, cobranzas, { fechaCorte, tz = DEFAULT_TZ }) {
+  const modo = hasDuxSaldo(docs) ? 'saldo_dux' : 'imputacion';
+  const clientes = new Map();
+  const clienteDe = (row) => {
+    const ref = pickCliente(row);
+    const key = ref?.key ?? 'sin_cliente';
+    if (!clientes.has(key)) clientes.set(key, { idCliente: key, nombre: null, debitos: [], creditos: 0 });
+    const c = clientes.get(key);
+    if (!c.nombre && ref?.nombre) c.nombre = ref.nombre;
+    return c;
+  };
+
+  const byDocId = new Map();
+  for (const row of docs) {
+    const c = clienteDe(row);
+    const total = Math.abs(pickTotal(row));
+    if (isNotaCredito(row)) {
+      if (modo === 'imputacion') c.creditos += total;
+      continue;
+    }
+    const fecha = pickFecha(row, tz);
+    const saldoDux = modo === 'saldo_dux' ? pickSaldo(row) : null;
+    const doc = {
+      id: pickDocId(row),
+      numero: pickNumero(row),
+      tipo: isNotaDebito(row) ? 'nota_debito' : 'factura',
+      fecha,
+      dias: fecha ? Math.max(0, daysBetween(fecha, fechaCorte)) : null,
+      total: round2(total),
+      saldo: saldoDux != null ? Math.max(0, saldoDux) : total,
+      ...(modo === 'saldo_dux' && saldoDux == null ? { estimado: true } : {}),
+    };
+    c.debitos.push(doc);
+    if (doc.id != null) byDocId.set(String(doc.id), doc);
+  }
+
+  // Con saldo_dux las cobranzas sólo descuentan de los comprobantes estimados (el resto ya viene neto)
+  for (const cob of cobranzas) {
+    let libre = Math.abs(pickTotal(cob));
+    for (const { docId, importe } of pickImputaciones(cob)) {
+      const doc = byDocId.get(String(docId));
+      if (!doc || (modo === 'saldo_dux' && !doc.estimado)) continue;
+      const aplicado = Math.min(doc.saldo, importe, libre);
+      doc.saldo -= aplicado;
+      libre -= aplicado;
+    }
+    if (modo === 'imputacion') clienteDe(cob).creditos += libre;
+  }
+  const sinSaldo = [...clientes.values()].reduce((n, c) => n + c.debitos.filter(d => d.estimado).length, 0);
+
+  const totales = { saldo: 0, a_favor: 0, clientes: 0, buckets: emptyAging() };
+  const out = [];
+  for (const c of clientes.values()) {
+    // créditos sin imputar: al comprobante abierto más viejo (sin fecha al final)
+    c.debitos.sort((a, b) => (a.fecha ?? '9999').localeCompare(b.fecha ?? '9999'));
+    for (const doc of c.debitos) {
+      if (!c.creditos) break;
+      const aplicado = Math.min(doc.saldo, c.creditos);
+      doc.saldo -= aplicado;
+      c.creditos -= aplicado;
+    }
+
+    const buckets = emptyAging();
+    const abiertos = [];
+    for (const doc of c.debitos) {
+      doc.saldo = round2(doc.saldo);
+      if (doc.saldo <= 0) continue;
+      doc.bucket = agingBucket(doc.dias ?? 0);
+      buckets[doc.bucket] += doc.saldo;
+      abiertos.push(doc);
+    }
+    const saldo = round2(abiertos.reduce((s, d) => s + d.saldo, 0));
+    const a_favor = round2(c.creditos);
+    if (!saldo && !a_favor) continue;
+
+    for (const k of Object.keys(buckets)) { buckets[k] = round2(buckets[k]); totales.buckets[k] += buckets[k]; }
+    totales.saldo += saldo;
+    totales.a_favor += a_favor;
+    if (saldo) totales.clientes++;
+    out.push({
+      idCliente: c.idCliente,
+      nombre: c.nombre,
+      saldo,
+      a_favor,
+      buckets,
+      dias_max: abiertos.reduce((m, d) => Math.max(m, d.dias ?? 0), 0),
+      documentos: abiertos,
+    });
+  }
+
+  for (const k of Object.keys(totales.buckets)) totales.buckets[k] = round2(totales.buckets[k]);
+  totales.saldo = round2(totales.saldo);
+  totales.a_favor = round2(totales.a_favor);
+  return { modo, totales, clientes: out.sort((a, b) => b.saldo - a.saldo), sin_saldo: sinSaldo };
+}
@@ -0,0 +1,129 @@
+// lib/audit.js
+// Auditoría de escrituras: una línea JSON por operación (quién, qué, hash + body redactado, respuesta de Dux, latencia).
+//
+// Append-only en DIR/audit.jsonl; al pasar maxBytes se renombra a audit-<fecha de rotación>.jsonl
+// y se conservan los últimos maxFiles archivos.
+import fs from 'fs';
+import path from 'path';
+
+export const AUDIT_OUTCOMES = ['ok', 'accepted', 'draft', 'replayed', 'rejected', 'error'];
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE = /pass|token|secret|clave|authorization|cbu|cvu|tarjeta|card|cvv|cvc/i;
+const MAX_STRING = 500;
+const MAX_RESPONSE_BYTES = 8 * 1024;
+
+// Copia del body sin secretos ni datos de pago; strings muy largos se cortan
+export function redact(v) {
+  if (Array.isArray(v)) return v.map(redact);
+  if (v && typeof v === 'object') {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, SENSITIVE.test(k) && x != null ? REDACTED : redact(x)]));
+  }
+  if (typeof v === 'string' && v.length > MAX_STRING) return `${v.slice(0, MAX_STRING)}…`;
+  return v;
+}
+
+// Respuesta de Dux acotada (las respuestas grandes se reemplazan por su tamaño)
+export function clipResponse(body) {
+  if (body === undefined) return null;
+  const s = JSON.stringify(body);
+  return s.length > MAX_RESPONSE_BYTES ? { truncated: true, bytes: s.length } : redact(body);
+}
+
+// outcome a partir del status HTTP que recibió el cliente
+export function outcomeFor(status, { replayed = false, draft = false } = {}) {
+  if (replayed) return 'replayed';
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'rejected';
+  if (draft) return 'draft';
+  return status === 202 ? 'accepted' : 'ok';
+}
+
+const ARCHIVE_RE = /^audit-(\d{8}T\d{9})\.jsonl$/;
+const stamp = (d) => d.toISOString().replace(/[-:.]/g, '').slice(0, 18); // 20261019T130405123
+
+export function createAuditLog({ dir = null, maxBytes = 10 * 1024 * 1024, maxFiles = 10, log = console } = {}) {
+  const current = dir && path.join(dir, 'audit.jsonl');
+  let fd = null;
+  let size = 0;
+
+  const archives = () => fs.readdirSync(dir).filter(f => ARCHIVE_RE.test(f)).sort(); // más viejo primero
+
+  function open() {
+    fd = fs.openSync(current, 'a');
+    size = fs.fstatSync(fd).size;
+  }
+
+  function rotate() {
+    fs.closeSync(fd);
+    let t = Date.now();
+    while (fs.existsSync(path.join(dir, `audit-${stamp(new Date(t))}.jsonl`))) t++; // dos rotaciones en el mismo ms
+    fs.renameSync(current, path.join(dir, `audit-${stamp(new Date(t))}.jsonl`));
+    for (const f of archives().slice(0, -maxFiles)) fs.unlinkSync(path.join(dir, f));
+    open();
+  }
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    open();
+  }
+  const memory = []; // sin dir (tests/dev)
+
+  return {
+    append(entry) {
+      const rec = { ts: new Date().toISOString(), ...entry };
+      if (!dir) {
+        memory.push(rec);
+        return rec;
+      }
+      try {
+        const line = JSON.stringify(rec) + '\n';
+        if (size && size + line.length > maxBytes) rotate();
+        fs.writeSync(fd, line);
+        size += Buffer.byteLength(line);
+      } catch (e) {
+        log.warn(`[audit] no se pudo escribir: ${e.message}`); // la auditoría no corta la escritura en Dux
+      }
+      return rec;
+    },
+
+    // Más nuevas primero. f: { tenantId, desde, hasta (instantes ISO en UTC), operation, externalId, outcome, requestId, limit }
+    async query({ tenantId = null, desde = null, hasta = null, operation = null, externalId = null, outcome = null, requestId = null, limit = 100 } = {}) {
+      const match = (e) =>
+        (!tenantId || e.tenantId === tenantId) &&
+        (!desde || e.ts >= desde) &&
+        (!hasta || e.ts <= hasta) &&
+        (!operation || e.operation === operation) &&
+        (!externalId || e.externalId === externalId) &&
+        (!outcome || e.outcome === outcome) &&
+        (!requestId || e.requestId === requestId);
+
+      const out = [];
+      const take = (entries) => {
+        for (let i = entries.length - 1; i >= 0; i--) {
+          if (!match(entries[i])) continue;
+          if (out.length === limit) return true; // hay más
+          out.push(entries[i]);
+        }
+        return false;
+      };
+
+      if (!dir) return { data: out, hasMore: take(memory) };
+
+      // el nombre de cada archivo es su fecha de rotación: los anteriores a "desde" no tienen nada útil
+      const desdeStamp = desde && stamp(new Date(desde));
+      const files = ['audit.jsonl', ...archives().reverse().filter(f => !desdeStamp || f.match(ARCHIVE_RE)[1] >= desdeStamp)];
+      for (const f of files) {
+        let text;
+        try { text = await fs.promises.readFile(path.join(dir, f), 'utf8'); } catch { continue; } // rotado/borrado en el medio
+        const entries = [];
+        for (const line of text.split('\n')) {
+          if (!line.trim()) continue;
+          try { entries.push(JSON.parse(line)); } catch { /* línea truncada */ }
+        }
+        if (take(entries)) return { data: out, hasMore: true };
+      }
+      return { data: out, hasMore: false };
+    },
+  };
+}
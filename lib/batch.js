@@ -0,0 +1,224 @@
+// lib/batch.js
+// Lotes de escrituras: una lista ordenada de operaciones del registro que se ejecutan de a una
+// por la cola hacia Dux. Una operación puede usar resultados de las anteriores con
+// { "$ref": "<id de la operación>.<campo>" } en cualquier lugar del body.
+//
+// Estado del lote: queued -> running -> ok | partial (hubo errores con mode=continue) | failed
+// Estado de cada operación: pending -> running -> ok | error | skipped (mode=stop tras un error)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { summarizeDraft } from './drafts.js';
+
+export const BATCH_MODES = ['stop', 'continue'];
+const FINAL = ['ok', 'partial', 'failed'];
+const OP_FINAL = ['ok', 'error', 'skipped'];
+const DEFAULT_TTL_MS = 72 * 60 * 60 * 1000;
+
+const isRef = (v) => v && typeof v === 'object' && !Array.isArray(v) && typeof v.$ref === 'string' && Object.keys(v).length === 1;
+
+// Ids de operación referenciados en un body
+export function refsOf(value, out = new Set()) {
+  if (isRef(value)) out.add(value.$ref.split('.')[0]);
+  else if (Array.isArray(value)) value.forEach(v => refsOf(v, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => refsOf(v, out));
+  return out;
+}
+
+// Reemplaza cada { $ref } por el valor del resultado; results: Map opId -> resultado
+export function resolveRefs(value, results) {
+  if (isRef(value)) {
+    const [opId, ...parts] = value.$ref.split('.');
+    if (!results.has(opId)) throw refError(`${value.$ref}: la operación "${opId}" no terminó ok`);
+    let v = results.get(opId);
+    for (const k of parts) v = v?.[k];
+    if (v === undefined) throw refError(`${value.$ref}: el resultado de "${opId}" no tiene ese campo`);
+    return v;
+  }
+  if (Array.isArray(value)) return value.map(v => resolveRefs(v, results));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveRefs(v, results)]));
+  return value;
+}
+
+function refError(detail) {
+  return Object.assign(new Error(detail), { code: 'REF_UNRESOLVED', detail });
+}
+
+// Normaliza el body del POST /duxc/batch; devuelve { ops, mode } o { errors: [{ name, reason }] }
+export function parseBatch(body, { maxOps = 100, findRoute }) {
+  const errors = [];
+  const mode = body?.mode ?? 'stop';
+  if (!BATCH_MODES.includes(mode)) errors.push({ name: 'mode', reason: `debe ser ${BATCH_MODES.join(' o ')}` });
+  const list = body?.operations;
+  if (!Array.isArray(list) || !list.length) return { errors: [...errors, { name: 'operations', reason: 'debe ser una lista no vacía' }] };
+  if (list.length > maxOps) return { errors: [...errors, { name: 'operations', reason: `máximo ${maxOps} operaciones` }] };
+
+  const seen = new Set();
+  const ops = list.map((o, i) => {
+    const name = `operations[${i}]`;
+    const id = String(o?.id ?? i);
+    if (seen.has(id)) errors.push({ name: `${name}.id`, reason: `"${id}" repetido` });
+    const route = findRoute(o?.op);
+    if (!route) errors.push({ name: `${name}.op`, reason: `"${o?.op}" no es una escritura del bridge (operationId o path)` });
+    if (!o?.body || typeof o.body !== 'object' || Array.isArray(o.body)) errors.push({ name: `${name}.body`, reason: 'debe ser un objeto' });
+    for (const ref of refsOf(o?.body)) {
+      if (!seen.has(ref)) errors.push({ name: `${name}.body`, reason: `$ref a "${ref}", que no es una operación anterior` });
+    }
+    seen.add(id);
+    return { id, op: route?.operationId ?? o?.op, path: route?.localPath, body: o?.body, idempotencyKey: o?.idempotencyKey ?? null };
+  });
+  return errors.length ? { errors } : { ops, mode };
+}
+
+// === Store (snapshots JSONL, como jobs) ===
+export function createBatchStore({ file = null, ttlMs = DEFAULT_TTL_MS } = {}) {
+  const batches = new Map();
+  const expired = (b) => FINAL.includes(b.status) && b.updatedAt + ttlMs <= Date.now();
+  let persist = () => {};
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { const b = JSON.parse(line); batches.set(b.id, b); } catch { /* línea truncada */ }
+      }
+    }
+    for (const [id, b] of batches) if (expired(b)) batches.delete(id);
+    fs.writeFileSync(`${file}.tmp`, [...batches.values()].map(b => JSON.stringify(b) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    const fd = fs.openSync(file, 'a');
+    persist = (b) => fs.writeSync(fd, JSON.stringify(b) + '\n');
+  }
+
+  return {
+    create(data) {
+      const now = Date.now();
+      const b = { id: `bat_${crypto.randomUUID()}`, status: 'queued', createdAt: now, updatedAt: now, ...data };
+      // clave por operación: la que mandó el cliente o <clave del lote | id del lote>:<id de la operación>
+      b.operations = b.operations.map(o => ({ ...o, idempotencyKey: o.idempotencyKey ?? `${b.idemKey ?? b.id}:${o.id}`, status: 'pending' }));
+      batches.set(b.id, b);
+      persist(b);
+      return b;
+    },
+    update(id, patch) {
+      const b = { ...batches.get(id), ...patch, updatedAt: Date.now() };
+      if (FINAL.includes(b.status) && !b.finishedAt) b.finishedAt = b.updatedAt;
+      batches.set(id, b);
+      persist(b);
+      return b;
+    },
+    updateOp(id, index, patch) {
+      const b = batches.get(id);
+      const operations = b.operations.map((o, i) => (i === index ? { ...o, ...patch } : o));
+      return this.update(id, { operations });
+    },
+    get(id) {
+      const b = batches.get(id);
+      if (b && expired(b)) { batches.delete(id); return null; }
+      return b || null;
+    },
+    unfinished: () => [...batches.values()].filter(b => !FINAL.includes(b.status)),
+  };
+}
+
+// Resumen para el borrador de un lote con escrituras que requieren confirmación
+export function summarizeBatch(ops, labelOf) {
+  const partes = ops.map((o, i) => {
+    // los $ref se muestran como {f1.idFactura}
+    const body = JSON.parse(JSON.stringify(o.body), (_k, v) => (isRef(v) ? `{${v.$ref}}` : v));
+    return `${i + 1}) ${summarizeDraft(labelOf(o), body)}`;
+  });
+  return `Lote de ${ops.length} operación(es): ${partes.join(' ')}`;
+}
+
+export function publicBatch(b) {
+  const count = (s) => b.operations.filter(o => o.status === s).length;
+  return {
+    id: b.id,
+    status: b.status,
+    mode: b.mode,
+    createdAt: new Date(b.createdAt).toISOString(),
+    updatedAt: new Date(b.updatedAt).toISOString(),
+    ...(b.finishedAt ? { finishedAt: new Date(b.finishedAt).toISOString() } : {}),
+    summary: {
+      total: b.operations.length,
+      ok: count('ok'),
+      error: count('error'),
+      skipped: count('skipped'),
+      pending: count('pending') + count('running'),
+    },
+    operations: b.operations.map(o => ({
+      id: o.id,
+      op: o.op,
+      status: o.status,
+      ...(o.idempotencyKey ? { idempotencyKey: o.idempotencyKey } : {}),
+      ...(o.replayed ? { replayed: true } : {}),
+      ...(o.result !== undefined ? { result: o.result } : {}),
+      ...(o.error ? { error: o.error } : {}),
+      ...(o.startedAt ? { startedAt: new Date(o.startedAt).toISOString() } : {}),
+      ...(o.finishedAt ? { finishedAt: new Date(o.finishedAt).toISOString() } : {}),
+    })),
+    links: { self: `/duxc/batch/${b.id}` },
+  };
+}
+
+// === Runner ===
+// runOp(batch, op, body) => { result, replayed } o tira { code, detail }.
+// Las operaciones corren de a una; un lote a la vez por tenant no hace falta: la cola hacia Dux ya ordena.
+export function createBatchRunner({ store, runOp, log = console }) {
+  async function run(id) {
+    let b = store.update(id, { status: 'running' });
+    const results = new Map(); // opId -> resultado (para $ref)
+    for (const o of b.operations) if (o.status === 'ok') results.set(o.id, o.result);
+    let failed = b.operations.some(o => o.status === 'error');
+
+    for (let i = 0; i < b.operations.length; i++) {
+      const o = store.get(id).operations[i];
+      if (OP_FINAL.includes(o.status)) continue;
+      if (failed && b.mode === 'stop') {
+        store.updateOp(id, i, { status: 'skipped' });
+        continue;
+      }
+      store.updateOp(id, i, { status: 'running', startedAt: Date.now() });
+      try {
+        const body = resolveRefs(o.body, results);
+        const { result, replayed } = await runOp(b, o, body);
+        results.set(o.id, result);
+        store.updateOp(id, i, { status: 'ok', result, ...(replayed ? { replayed: true } : {}), finishedAt: Date.now() });
+      } catch (e) {
+        failed = true;
+        store.updateOp(id, i, {
+          status: 'error',
+          error: { code: e.code || 'DUX_ERROR', detail: e.detail || e.message, ...(e.invalidParams ? { invalidParams: e.invalidParams } : {}) },
+          finishedAt: Date.now(),
+        });
+      }
+    }
+
+    b = store.get(id);
+    const ok = b.operations.filter(o => o.status === 'ok').length;
+    return store.update(id, { status: !failed ? 'ok' : ok ? 'partial' : 'failed' });
+  }
+
+  const launch = (id) => run(id).catch(e => {
+    log.warn(`[batch] ${id}: ${e.message}`);
+    store.update(id, { status: 'failed', error: { code: 'BATCH_ERROR', detail: e.message } });
+  });
+
+  return {
+    start(data) {
+      const b = store.create(data);
+      launch(b.id);
+      return b;
+    },
+    // Al arrancar se retoman los lotes sin terminar: cada operación tiene su clave de idempotencia,
+    // así que repetir la que estaba en curso no duplica la escritura en Dux.
+    resume() {
+      for (const b of store.unfinished()) {
+        b.operations.forEach((o, i) => { if (o.status === 'running') store.updateOp(b.id, i, { status: 'pending' }); });
+        launch(b.id);
+      }
+    },
+  };
+}
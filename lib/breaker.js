@@ -0,0 +1,74 @@
+// lib/breaker.js
+// Circuit breaker hacia Dux: tras `failures` fallas seguidas (red o 5xx) se abre y las llamadas fallan al instante
+// durante openMs; después deja pasar una sola llamada de prueba (half_open): si anda se cierra, si no vuelve a abrirse.
+export const BREAKER_STATES = ['closed', 'open', 'half_open'];
+
+export function createCircuitBreaker({ failures = 5, openMs = 30000, probeTimeoutMs = 60000, onChange = () => {} } = {}) {
+  let state = 'closed';
+  let consecutive = 0;
+  let openedAt = null;
+  let probeAt = null; // llamada de prueba en curso (half_open)
+  let lastFailure = null;
+
+  function setState(next) {
+    if (next === state) return;
+    const prev = state;
+    state = next;
+    onChange(next, prev);
+  }
+
+  // open pasa a half_open cuando vence openMs
+  function current() {
+    if (state === 'open' && Date.now() - openedAt >= openMs) setState('half_open');
+    return state;
+  }
+
+  const retryAfterS = () => Math.max(1, Math.ceil((openedAt + openMs - Date.now()) / 1000));
+
+  return {
+    get state() { return current(); },
+
+    // true si se puede llamar a Dux; en half_open sólo la primera (la prueba) pasa
+    tryAcquire() {
+      const s = current();
+      if (s === 'closed') return true;
+      if (s === 'open') return false;
+      if (probeAt && Date.now() - probeAt < probeTimeoutMs) return false;
+      probeAt = Date.now();
+      return true;
+    },
+
+    // Segundos sugeridos para reintentar mientras no está cerrado
+    retryAfterS() {
+      return current() === 'open' ? retryAfterS() : 1;
+    },
+
+    success() {
+      consecutive = 0;
+      probeAt = null;
+      setState('closed');
+    },
+
+    failure(reason) {
+      lastFailure = { at: Date.now(), reason };
+      consecutive++;
+      const s = current();
+      if (s === 'half_open' || (s === 'closed' && consecutive >= failures)) {
+        openedAt = Date.now();
+        probeAt = null;
+        setState('open');
+      }
+    },
+
+    snapshot() {
+      const s = current();
+      return {
+        state: s,
+        consecutiveFailures: consecutive,
+        ...(openedAt && s !== 'closed' ? { openedAt: new Date(openedAt).toISOString() } : {}),
+        ...(s === 'open' ? { retryAfterS: retryAfterS() } : {}),
+        ...(lastFailure ? { lastFailure: { at: new Date(lastFailure.at).toISOString(), reason: lastFailure.reason } } : {}),
+      };
+    },
+  };
+}
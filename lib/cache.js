@@ -0,0 +1,98 @@
+// lib/cache.js
+// Cache en memoria para listados casi estáticos de Dux: TTL, stale-while-revalidate y ETag.
+import crypto from 'crypto';
+
+export function shortHash(s) {
+  return crypto.createHash('sha1').update(String(s)).digest('base64url').slice(0, 16);
+}
+
+// Clave estable: mismo path + mismos params (en cualquier orden) => misma entrada
+export function cacheKey(path, params = {}) {
+  const qs = Object.keys(params)
+    .filter(k => params[k] !== undefined && params[k] !== '')
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join('&');
+  return qs ? `${path}?${qs}` : path;
+}
+
+export function createCache({ maxEntries = 500 } = {}) {
+  const entries = new Map(); // key -> { value, etag, storedAt, freshUntil, staleUntil, hits, bytes }
+  const inflight = new Map(); // key -> Promise (una sola llamada a Dux por clave a la vez)
+  const stats = { hits: 0, misses: 0, stale: 0, refreshErrors: 0 };
+
+  function set(key, value, { ttl, swr = ttl }) {
+    const json = JSON.stringify(value) ?? '';
+    const now = Date.now();
+    const entry = {
+      value,
+      etag: shortHash(json),
+      storedAt: now,
+      freshUntil: now + ttl * 1000,
+      staleUntil: now + (ttl + swr) * 1000,
+      hits: 0,
+      bytes: json.length,
+    };
+    entries.delete(key); // reinsertar => queda al final (LRU)
+    entries.set(key, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return entry;
+  }
+
+  function load(key, policy, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = Promise.resolve()
+      .then(loader)
+      .then(value => set(key, value, policy))
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    // Devuelve { entry, status } con status HIT | STALE | MISS.
+    // STALE sirve lo guardado y refresca en segundo plano (loader recibe { background: true }).
+    async wrap(key, policy, loader) {
+      const now = Date.now();
+      const e = entries.get(key);
+      if (e && now < e.freshUntil) {
+        e.hits++; stats.hits++;
+        return { entry: e, status: 'HIT' };
+      }
+      if (e && now < e.staleUntil) {
+        e.hits++; stats.stale++;
+        load(key, policy, () => loader({ background: true })).catch(() => { stats.refreshErrors++; });
+        return { entry: e, status: 'STALE' };
+      }
+      stats.misses++;
+      return { entry: await load(key, policy, loader), status: 'MISS' };
+    },
+
+    list() {
+      const now = Date.now();
+      return [...entries].map(([key, e]) => ({
+        key,
+        ageSeconds: Math.round((now - e.storedAt) / 1000),
+        freshForSeconds: Math.max(0, Math.round((e.freshUntil - now) / 1000)),
+        staleForSeconds: Math.max(0, Math.round((e.staleUntil - now) / 1000)),
+        hits: e.hits,
+        bytes: e.bytes,
+        etag: e.etag,
+      }));
+    },
+
+    // Borra todo, las claves que empiezan con prefix o las que cumplen match(key); devuelve cuántas borró
+    purge(match) {
+      const hit = typeof match === 'function' ? match : (key) => !match || key.startsWith(match);
+      let n = 0;
+      for (const key of [...entries.keys()]) {
+        if (hit(key)) { entries.delete(key); n++; }
+      }
+      return n;
+    },
+
+    stats() {
+      return { ...stats, entries: entries.size, maxEntries };
+    },
+  };
+}
@@ -0,0 +1,267 @@
+// lib/dates.js
+// Fechas del bridge: YYYY-MM-DD, DD/MM/YYYY y expresiones en español o inglés ("ayer", "la semana pasada",
+// "este mes", "Q3", "marzo 2024", "últimos 7 días", "del 1/3 al 15/3/2024"), resueltas en una zona horaria
+// (default America/Argentina/Buenos_Aires) y formateadas como espera cada path de Dux.
+//
+// Toda expresión es un rango de días { desde, hasta } (una fecha suelta = un día). Semanas de lunes a domingo;
+// el período en curso ("este mes", "esta semana") llega hasta hoy.
+import { normalizeText } from './query.js';
+
+export const DEFAULT_TZ = 'America/Argentina/Buenos_Aires';
+export const DATE_FORMATS = ['iso', 'dmy'];
+
+// === Días (YYYY-MM-DD, aritmética en UTC) ===
+// Date.UTC normaliza desbordes: mes 13 => enero siguiente, día 0 => último del mes anterior
+const ymd = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+const parts = (iso) => iso.split('-').map(Number);
+const shiftDays = (iso, n) => { const [y, m, d] = parts(iso); return ymd(y, m, d + n); };
+// mismo día n meses antes/después, recortado al último día del mes ("31/3 - 1 mes" => 28 o 29/2)
+const shiftMonths = (iso, n) => {
+  const [y, m, d] = parts(iso);
+  const last = Number(ymd(y, m + n + 1, 0).slice(8));
+  return ymd(y, m + n, Math.min(d, last));
+};
+const weekday = (iso) => (new Date(`${iso}T00:00:00Z`).getUTCDay() + 6) % 7; // 0 = lunes
+const monthRange = (y, m) => ({ desde: ymd(y, m, 1), hasta: ymd(y, m + 1, 0) });
+const quarterRange = (y, q) => ({ desde: ymd(y, q * 3 - 2, 1), hasta: ymd(y, q * 3 + 1, 0) });
+const day = (iso) => ({ desde: iso, hasta: iso });
+
+// === Zona horaria ===
+const formatters = new Map();
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return formatters.get(tz);
+}
+
+// Tira RangeError si la zona no existe (se valida al arrancar)
+export function assertTimeZone(tz) {
+  formatterFor(tz);
+  return tz;
+}
+
+export function todayIn(tz = DEFAULT_TZ, now = new Date()) {
+  const p = Object.fromEntries(formatterFor(tz).formatToParts(now).map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Segundos que faltan para la medianoche en tz (corte de los cupos diarios)
+const clockFormatters = new Map();
+export function secondsUntilMidnight(tz = DEFAULT_TZ, now = new Date()) {
+  if (!clockFormatters.has(tz)) {
+    clockFormatters.set(tz, new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }));
+  }
+  const [h, m, sec] = clockFormatters.get(tz).format(now).split(':').map(Number);
+  return Math.max(1, 86400 - (h * 3600 + m * 60 + sec));
+}
+
+// Instante UTC (ISO) en que empieza el día iso en tz
+const wallFormatters = new Map();
+function wallClock(at, tz) {
+  if (!wallFormatters.has(tz)) {
+    wallFormatters.set(tz, new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }));
+  }
+  const p = Object.fromEntries(wallFormatters.get(tz).formatToParts(at).map(x => [x.type, x.value]));
+  return Date.parse(`${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}Z`);
+}
+export function startOfDay(iso, tz = DEFAULT_TZ) {
+  const midnight = Date.parse(`${iso}T00:00:00Z`);
+  let t = midnight - (wallClock(midnight, tz) - midnight);
+  t = midnight - (wallClock(t, tz) - t); // el offset puede cambiar entre medio (horario de verano)
+  return new Date(t).toISOString();
+}
+
+// Día local de una fecha de Dux: con hora y offset/Z se pasa a tz; sin offset se toma tal cual; acepta DD/MM/YYYY
+export function localDate(raw, tz = DEFAULT_TZ) {
+  if (raw instanceof Date) return todayIn(tz, raw);
+  if (typeof raw !== 'string') return null;
+  let m = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?/i);
+  if (m) {
+    if (m[4]) {
+      const at = new Date(raw);
+      if (!Number.isNaN(at.getTime())) return todayIn(tz, at);
+    }
+    return `${m[1]}-${m[2]}-${m[3]}`;
+  }
+  m = raw.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+}
+
+// Fecha para Dux según el formato del path ('iso' = YYYY-MM-DD, 'dmy' = DD/MM/YYYY)
+export function formatDuxDate(iso, format = 'iso') {
+  if (!iso || format !== 'dmy') return iso;
+  const [y, m, d] = iso.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+// === Expresiones ===
+const MONTHS = {
+  enero: 1, ene: 1, january: 1, jan: 1,
+  febrero: 2, feb: 2, february: 2,
+  marzo: 3, mar: 3, march: 3,
+  abril: 4, abr: 4, april: 4, apr: 4,
+  mayo: 5, may: 5,
+  junio: 6, jun: 6, june: 6,
+  julio: 7, jul: 7, july: 7,
+  agosto: 8, ago: 8, august: 8, aug: 8,
+  septiembre: 9, setiembre: 9, sep: 9, set: 9, sept: 9, september: 9,
+  octubre: 10, oct: 10, october: 10,
+  noviembre: 11, nov: 11, november: 11,
+  diciembre: 12, dic: 12, december: 12, dec: 12,
+};
+const ORDINALS = { primer: 1, primero: 1, first: 1, segundo: 2, second: 2, tercer: 3, tercero: 3, third: 3, cuarto: 4, fourth: 4 };
+const NUMBERS = { un: 1, una: 1, uno: 1, a: 1, an: 1, one: 1, dos: 2, two: 2, tres: 3, three: 3, cuatro: 4, four: 4, cinco: 5, five: 5, seis: 6, six: 6, siete: 7, seven: 7 };
+const UNITS = {
+  dia: 'day', dias: 'day', day: 'day', days: 'day',
+  semana: 'week', semanas: 'week', week: 'week', weeks: 'week',
+  mes: 'month', meses: 'month', month: 'month', months: 'month',
+  ano: 'year', anos: 'year', year: 'year', years: 'year',
+};
+const count = (s) => (/^\d+$/.test(s) ? Number(s) : NUMBERS[s]);
+const UNIT_RE = Object.keys(UNITS).join('|');
+
+function shift(iso, n, unit) {
+  if (unit === 'day') return shiftDays(iso, n);
+  if (unit === 'week') return shiftDays(iso, n * 7);
+  return shiftMonths(iso, unit === 'year' ? n * 12 : n);
+}
+
+// "marzo" sin año: el último marzo que ya empezó (en febrero, "noviembre" es el del año pasado)
+const latestYear = (startsInYear, today) => {
+  const y = Number(today.slice(0, 4));
+  return startsInYear(y) > today ? y - 1 : y;
+};
+
+function validYmd(y, m, d) {
+  const iso = ymd(y, m, d);
+  return iso === `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}` ? iso : null;
+}
+
+// Una expresión sin rango explícito => { desde, hasta } o null
+function parseSingle(s, today) {
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) { const v = validYmd(+m[1], +m[2], +m[3]); return v && day(v); }
+  if ((m = s.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?$/))) {
+    const y = m[3] ? +m[3] : latestYear(yy => ymd(yy, +m[2], +m[1]), today);
+    const v = validYmd(y, +m[2], +m[1]);
+    return v && day(v);
+  }
+  if ((m = s.match(/^(\d{4})-(\d{1,2})$/)) && +m[2] >= 1 && +m[2] <= 12) return monthRange(+m[1], +m[2]);
+  if ((m = s.match(/^(\d{4})$/))) return { desde: `${m[1]}-01-01`, hasta: `${m[1]}-12-31` };
+
+  if (/^(hoy|today)$/.test(s)) return day(today);
+  if (/^(ayer|yesterday)$/.test(s)) return day(shiftDays(today, -1));
+  if (/^(anteayer|antes de ayer|day before yesterday)$/.test(s)) return day(shiftDays(today, -2));
+  if (/^(manana|tomorrow)$/.test(s)) return day(shiftDays(today, 1));
+
+  // hace 3 días / 2 weeks ago
+  if ((m = s.match(new RegExp(`^hace (\\w+) (${UNIT_RE})$`)) || s.match(new RegExp(`^(\\w+) (${UNIT_RE}) ago$`)))) {
+    const n = count(m[1]);
+    return n == null ? null : day(shift(today, -n, UNITS[m[2]]));
+  }
+  // últimos 7 días / last 2 weeks / past 3 months (hasta hoy)
+  if ((m = s.match(new RegExp(`^(?:ultim[oa]s|last|past) (\\w+) (${UNIT_RE})$`)))) {
+    const n = count(m[1]);
+    return n ? { desde: shiftDays(shift(today, -n, UNITS[m[2]]), 1), hasta: today } : null;
+  }
+
+  const [y, mo] = parts(today);
+  const q = Math.ceil(mo / 3);
+  const monday = shiftDays(today, -weekday(today));
+  if (/^(esta semana|this week)$/.test(s)) return { desde: monday, hasta: today };
+  if (/^(semana pasada|last week|previous week)$/.test(s)) return { desde: shiftDays(monday, -7), hasta: shiftDays(monday, -1) };
+  if (/^(este mes|this month)$/.test(s)) return { desde: ymd(y, mo, 1), hasta: today };
+  if (/^(mes pasado|last month|previous month)$/.test(s)) return monthRange(y, mo - 1);
+  if (/^(este trimestre|this quarter)$/.test(s)) return { desde: quarterRange(y, q).desde, hasta: today };
+  if (/^(trimestre pasado|last quarter|previous quarter)$/.test(s)) return q === 1 ? quarterRange(y - 1, 4) : quarterRange(y, q - 1);
+  if (/^(este ano|this year)$/.test(s)) return { desde: `${y}-01-01`, hasta: today };
+  if (/^(ano pasado|last year|previous year)$/.test(s)) return { desde: `${y - 1}-01-01`, hasta: `${y - 1}-12-31` };
+
+  // Q3, Q3 2024, T3, 3er trimestre, tercer trimestre de 2024, third quarter 2024
+  if ((m = s.match(/^(?:q|t)([1-4])(?: (?:de |of )?(\d{4}))?$/))
+    || (m = s.match(/^([1-4])(?:er|ro|do|to|st|nd|rd|th)? (?:trimestre|quarter)(?: (?:de |of )?(\d{4}))?$/))) {
+    const n = +m[1];
+    return quarterRange(m[2] ? +m[2] : latestYear(yy => quarterRange(yy, n).desde, today), n);
+  }
+  if ((m = s.match(/^(\w+) (?:trimestre|quarter)(?: (?:de |of )?(\d{4}))?$/)) && ORDINALS[m[1]]) {
+    const n = ORDINALS[m[1]];
+    return quarterRange(m[2] ? +m[2] : latestYear(yy => quarterRange(yy, n).desde, today), n);
+  }
+  // marzo, marzo 2024, marzo de 2024, march 2024
+  if ((m = s.match(/^(\w+)(?: (?:de |of )?(\d{4}))?$/)) && MONTHS[m[1]]) {
+    const n = MONTHS[m[1]];
+    return monthRange(m[2] ? +m[2] : latestYear(yy => ymd(yy, n, 1), today), n);
+  }
+  return null;
+}
+
+const clean = (text) => normalizeText(String(text))
+  .replace(/[.,;]+$/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^(?:el|la|los|las|en|the|in) /, '');
+
+// Expresión => { desde, hasta } (YYYY-MM-DD) o null si no se entiende. now/tz definen "hoy".
+export function parseDateExpr(text, { tz = DEFAULT_TZ, now = new Date() } = {}) {
+  if (text == null || String(text).trim() === '') return null;
+  const today = todayIn(tz, now);
+  const s = clean(text);
+  const single = parseSingle(s, today);
+  if (single) return single;
+
+  // rango explícito: "2024-01-01..2024-03-31", "del 1/3 al 15/3", "desde enero hasta marzo", "from may to june"
+  const m = s.match(/^(?:(?:desde|del?|from|entre|between) )?(.+?) ?(?:\.\.|\bal\b|\ba\b|\bhasta\b|\bto\b|\by\b|\band\b) ?(.+)$/);
+  if (!m) return null;
+  const [left, right] = [clean(m[1]), clean(m[2])];
+  // el año de la segunda punta vale para la primera: "del 1/3 al 15/3/2024", "enero a marzo 2024"
+  const year = right.match(/(\d{4})$/)?.[1];
+  const withYear = year && !/\d{4}/.test(left) ? (/^\d{1,2}[/-]\d{1,2}$/.test(left) ? `${left}/${year}` : `${left} ${year}`) : null;
+  const a = (withYear && parseSingle(withYear, today)) || parseSingle(left, today);
+  const b = parseSingle(right, today);
+  return a && b && a.desde <= b.hasta ? { desde: a.desde, hasta: b.hasta } : null;
+}
+
+export const isDateExpr = (text) => parseDateExpr(text) !== null;
+
+function dateError(param, reason) {
+  return Object.assign(new Error(`${param}: ${reason}`), { isDate: true, param, reason });
+}
+
+function must(param, value, ctx) {
+  const r = parseDateExpr(value, ctx);
+  if (!r) throw dateError(param, `no se entiende "${value}"`);
+  return r;
+}
+
+// fechaDesde/fechaHasta/periodo del query => { fechaDesde, fechaHasta } en YYYY-MM-DD (null si no vino).
+// periodo da las dos puntas; fechaDesde toma el inicio de su expresión y fechaHasta el final, y pisan a periodo.
+// Tira { isDate, param, reason } si algo no se entiende o el rango queda invertido.
+export function resolveDateRange({ fechaDesde, fechaHasta, periodo } = {}, { tz = DEFAULT_TZ, now = new Date() } = {}) {
+  const ctx = { tz, now };
+  const p = periodo ? must('periodo', periodo, ctx) : null;
+  const desde = fechaDesde ? must('fechaDesde', fechaDesde, ctx).desde : (p?.desde ?? null);
+  const hasta = fechaHasta ? must('fechaHasta', fechaHasta, ctx).hasta : (p?.hasta ?? null);
+  if (desde && hasta && desde > hasta) throw dateError('fechaDesde', `${desde} es posterior a fechaHasta (${hasta})`);
+  return { fechaDesde: desde, fechaHasta: hasta };
+}
+
+// Punta de un intervalo de instantes (p.ej. /audit): ISO 8601 con hora se toma tal cual; un día o una expresión
+// va desde el inicio de su primer día en tz (end: hasta el final del último). Devuelve ISO en UTC o null.
+export function resolveInstant(param, value, { end = false, tz = DEFAULT_TZ, now = new Date() } = {}) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const t = Date.parse(value);
+    if (Number.isNaN(t)) throw dateError(param, `"${value}" no es una fecha y hora ISO 8601 válida`);
+    return new Date(t).toISOString();
+  }
+  const r = must(param, value, { tz, now });
+  return end ? new Date(Date.parse(startOfDay(shiftDays(r.hasta, 1), tz)) - 1).toISOString() : startOfDay(r.desde, tz);
+}
+
+// Una sola fecha (p.ej. fechaCorte): el final de la expresión ("mes pasado" => su último día)
+export function resolveDate(param, value, { tz = DEFAULT_TZ, now = new Date() } = {}) {
+  return value ? must(param, value, { tz, now }).hasta : null;
+}
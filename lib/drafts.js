@@ -0,0 +1,110 @@
+// lib/drafts.js
+// Borradores de escrituras que requieren confirmación (factura, pago, nota de crédito...).
+// El POST guarda el body y devuelve un token; sólo POST /duxc/confirmar/{token} escribe en Dux.
+// Cada borrador queda atado a la API key que lo creó y vence a los ttlMs.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { bodyLines, pickClienteId } from './preview.js';
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const KEEP_MS = 24 * 60 * 60 * 1000; // cuánto se recuerdan los ya usados/vencidos (para responder 410/409)
+
+// Snapshots en JSONL; al arrancar queda el último de cada token y se descartan los viejos
+export function createDraftStore({ file = null, ttlMs = DEFAULT_TTL_MS } = {}) {
+  const drafts = new Map();
+  let persist = () => {};
+  const withStatus = (d) => (d.status === 'pending' && d.expiresAt <= Date.now() ? { ...d, status: 'expired' } : d);
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { const d = JSON.parse(line); drafts.set(d.token, d); } catch { /* línea truncada */ }
+      }
+    }
+    for (const [t, d] of drafts) if (d.expiresAt + KEEP_MS <= Date.now()) drafts.delete(t);
+    fs.writeFileSync(`${file}.tmp`, [...drafts.values()].map(d => JSON.stringify(d) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    const fd = fs.openSync(file, 'a');
+    persist = (d) => fs.writeSync(fd, JSON.stringify(d) + '\n');
+  }
+
+  return {
+    create(data) {
+      const now = Date.now();
+      const draft = {
+        token: crypto.randomBytes(9).toString('base64url'), // 12 chars, fácil de copiar
+        status: 'pending',
+        createdAt: now,
+        expiresAt: now + ttlMs,
+        ...data,
+      };
+      drafts.set(draft.token, draft);
+      persist(draft);
+      return draft;
+    },
+    update(token, patch) {
+      const d = { ...drafts.get(token), ...patch, updatedAt: Date.now() };
+      drafts.set(token, d);
+      persist(d);
+      return d;
+    },
+    get(token) {
+      const d = drafts.get(token);
+      return d ? withStatus(d) : null;
+    },
+    // Borradores de una API key (los más nuevos primero)
+    list(apiKeyId, { status = null } = {}) {
+      return [...drafts.values()]
+        .filter(d => d.apiKeyId === apiKeyId)
+        .map(withStatus)
+        .filter(d => !status || d.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+  };
+}
+
+const ars = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+// Resumen legible para que una persona confirme sabiendo qué se va a escribir
+export function summarizeDraft(label, body) {
+  const partes = [];
+  const clienteId = pickClienteId(body);
+  if (clienteId != null) partes.push(`cliente ${clienteId}`);
+  if (body?.idEmpresa != null) partes.push(`empresa ${body.idEmpresa}`);
+  if (body?.idSucursal != null) partes.push(`sucursal ${body.idSucursal}`);
+
+  const lines = bodyLines(body);
+  if (lines.length) {
+    partes.push(`${lines.length} renglón(es), ${lines.reduce((s, l) => s + l.cantidad, 0)} unidad(es)`);
+  }
+  const conPrecio = lines.filter(l => l.precio != null);
+  const importe = body?.total ?? body?.importe ?? body?.monto;
+  if (importe != null && Number.isFinite(Number(importe))) {
+    partes.push(`importe ${ars.format(Number(importe))}`);
+  } else if (conPrecio.length) {
+    const estimado = conPrecio.reduce((s, l) => s + l.cantidad * l.precio * (1 - l.descuento / 100), 0);
+    partes.push(`total estimado ${ars.format(estimado)}${conPrecio.length < lines.length ? ' (renglones sin precio no incluidos)' : ''}`);
+  }
+  return partes.length ? `${label}: ${partes.join(', ')}.` : `${label}.`;
+}
+
+// Vista pública (sin body completo ni datos de la key)
+export function publicDraft(d) {
+  return {
+    token: d.token,
+    status: d.status,
+    route: d.route,
+    resumen: d.resumen,
+    createdAt: new Date(d.createdAt).toISOString(),
+    expiresAt: new Date(d.expiresAt).toISOString(),
+    ...(d.status === 'pending'
+      ? {
+        confirmar: { method: 'POST', url: `/duxc/confirmar/${d.token}` },
+        cancelar: { method: 'DELETE', url: `/duxc/borradores/${d.token}` },
+      }
+      : {}),
+  };
+}
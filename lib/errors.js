@@ -0,0 +1,252 @@
+// lib/errors.js
+// Errores del bridge: catálogo de códigos estables (problem+json, RFC 7807) y traductor de errores de Dux.
+//
+// Cada código tiene status HTTP, título y detalle en español e inglés, escritos para que un GPT se los pueda
+// repetir tal cual al usuario. {nombre} en el detalle se completa con params. status null => sólo aparece
+// en jobs y lotes (error.code), no como respuesta HTTP.
+export const LANGS = ['es', 'en'];
+
+const entry = (status, es, en) => ({ status, title: { es: es[0], en: en[0] }, detail: { es: es[1], en: en[1] } });
+
+export const ERROR_CATALOG = {
+  // --- Solicitud ---
+  VALIDATION_ERROR: entry(400,
+    ['Solicitud inválida', 'Faltan datos o alguno no tiene el formato esperado: {campos}. Corregilos y volvé a intentar.'],
+    ['Invalid request', 'Some data is missing or has the wrong format: {campos}. Fix it and try again.']),
+  INVALID_QUERY: entry(400,
+    ['Consulta inválida', 'El filtro, orden o búsqueda no es válido: {motivo}.'],
+    ['Invalid query', 'The filter, sort or search is not valid: {motivo}.']),
+  INVALID_DATE: entry(400,
+    ['Fecha inválida', 'No se entendió la fecha: {motivo}. Usá YYYY-MM-DD, DD/MM/YYYY o expresiones como "ayer", "la semana pasada", "este mes" o "Q3".'],
+    ['Invalid date', 'The date could not be understood: {motivo}. Use YYYY-MM-DD, DD/MM/YYYY or expressions like "yesterday", "last week", "this month" or "Q3".']),
+  INVALID_CURSOR: entry(400,
+    ['Cursor inválido', 'El cursor de paginación no corresponde a esta consulta. Pedí de nuevo la primera página.'],
+    ['Invalid cursor', 'The pagination cursor does not match this query. Request the first page again.']),
+  INVALID_CALLBACK_URL: entry(400,
+    ['callbackUrl inválida', 'La callbackUrl no se puede usar: {motivo}.'],
+    ['Invalid callbackUrl', 'The callbackUrl cannot be used: {motivo}.']),
+  IDEMPOTENCY_KEY_MISMATCH: entry(422,
+    ['Idempotency-Key reutilizada', 'Esa clave de idempotencia ya se usó con otros datos. Usá una clave nueva para una operación distinta.'],
+    ['Idempotency-Key reused', 'That idempotency key was already used with different data. Use a new key for a different operation.']),
+  IDEMPOTENCY_IN_PROGRESS: entry(409,
+    ['Operación en curso', 'Ya se está procesando una solicitud con esa clave de idempotencia. Esperá unos segundos y consultá de nuevo.'],
+    ['Operation in progress', 'A request with that idempotency key is still being processed. Wait a few seconds and check again.']),
+
+  // --- Acceso ---
+  MISSING_API_KEY: entry(401,
+    ['Falta la API key', 'Enviá la API key en el header Authorization: Bearer <key>.'],
+    ['Missing API key', 'Send the API key in the Authorization: Bearer <key> header.']),
+  INVALID_API_KEY: entry(403,
+    ['API key inválida', 'La API key no es válida o fue dada de baja.'],
+    ['Invalid API key', 'The API key is not valid or has been revoked.']),
+  SCOPE_REQUIRED: entry(403,
+    ['Permiso insuficiente', 'Esta API key no tiene permiso para esta operación (scope "{scope}"). Pedile al administrador que lo habilite.'],
+    ['Insufficient permission', 'This API key is not allowed to perform this operation (scope "{scope}"). Ask the administrator to enable it.']),
+  TARGET_NOT_ALLOWED: entry(403,
+    ['Empresa o sucursal no habilitada', 'Esta API key no puede operar con {name}={value}.'],
+    ['Company or branch not allowed', 'This API key cannot operate on {name}={value}.']),
+  RATE_LIMITED: entry(429,
+    ['Demasiados pedidos', 'Esta API key superó su ritmo de pedidos de tipo {clase}. Reintentá en {retryAfter} s (header Retry-After).'],
+    ['Too many requests', 'This API key exceeded its {clase} request rate. Retry in {retryAfter} s (Retry-After header).']),
+  QUOTA_EXCEEDED: entry(429,
+    ['Cupo diario agotado', 'Esta API key usó su cupo diario de {daily} pedidos de tipo {clase}. Se renueva a la medianoche ({retryAfter} s).'],
+    ['Daily quota exhausted', 'This API key used its daily quota of {daily} {clase} requests. It resets at midnight ({retryAfter} s).']),
+
+  // --- Recursos del bridge ---
+  NOT_FOUND: entry(404,
+    ['No encontrado', 'La ruta {path} no existe.'],
+    ['Not found', 'The route {path} does not exist.']),
+  JOB_NOT_FOUND: entry(404,
+    ['Job no encontrado', 'No existe el job {id}.'],
+    ['Job not found', 'Job {id} does not exist.']),
+  DRAFT_NOT_FOUND: entry(404,
+    ['Borrador no encontrado', 'El borrador no existe o no pertenece a esta API key.'],
+    ['Draft not found', 'The draft does not exist or belongs to another API key.']),
+  DRAFT_EXPIRED: entry(410,
+    ['Borrador vencido', 'El borrador venció sin confirmarse. Volvé a crear la operación.'],
+    ['Draft expired', 'The draft expired before being confirmed. Create the operation again.']),
+  DRAFT_CANCELLED: entry(409,
+    ['Borrador cancelado', 'El borrador fue cancelado y ya no se puede confirmar.'],
+    ['Draft cancelled', 'The draft was cancelled and can no longer be confirmed.']),
+  DRAFT_NOT_PENDING: entry(409,
+    ['Borrador no cancelable', 'El borrador ya está {status}; sólo se cancelan los pendientes.'],
+    ['Draft cannot be cancelled', 'The draft is already {status}; only pending drafts can be cancelled.']),
+  DRAFT_ROUTE_UNAVAILABLE: entry(409,
+    ['Operación no disponible', 'La operación del borrador ({route}) ya no está habilitada en el bridge. Volvé a crear la operación.'],
+    ['Operation unavailable', 'The draft operation ({route}) is no longer enabled in the bridge. Create the operation again.']),
+  BATCH_NOT_FOUND: entry(404,
+    ['Lote no encontrado', 'No existe el lote {id}.'],
+    ['Batch not found', 'Batch {id} does not exist.']),
+  WEBHOOK_NOT_FOUND: entry(404,
+    ['Webhook no encontrado', 'No existe {id}.'],
+    ['Webhook not found', '{id} does not exist.']),
+  MCP_SESSION_NOT_FOUND: entry(404,
+    ['Sesión MCP no encontrada', 'No existe la sesión {id} (o es de otra API key). Volvé a abrir GET /mcp/sse.'],
+    ['MCP session not found', 'Session {id} does not exist (or belongs to another API key). Reopen GET /mcp/sse.']),
+  WEBHOOK_DELIVERY_FAILED: entry(502,
+    ['Reenvío fallido', 'No se pudo entregar el evento: {motivo}.'],
+    ['Redelivery failed', 'The event could not be delivered: {motivo}.']),
+
+  // --- Dux ---
+  DUX_VALIDATION_ERROR: entry(422,
+    ['Dux rechazó los datos', 'Dux no aceptó la operación: {motivo}. Corregí los datos y volvé a intentar.'],
+    ['Dux rejected the data', 'Dux did not accept the operation: {motivo}. Fix the data and try again.']),
+  DUX_NOT_FOUND: entry(404,
+    ['No existe en Dux', 'Dux no encontró lo pedido: {motivo}.'],
+    ['Not found in Dux', 'Dux could not find what was requested: {motivo}.']),
+  DUX_UNAUTHORIZED: entry(502,
+    ['Credenciales de Dux rechazadas', 'Dux rechazó el token configurado en el bridge. Avisá al administrador; reintentar no sirve.'],
+    ['Dux credentials rejected', 'Dux rejected the token configured in the bridge. Tell the administrator; retrying will not help.']),
+  DUX_RATE_LIMIT: entry(429,
+    ['Dux está limitando pedidos', 'Dux pidió bajar el ritmo. Esperá unos segundos (header Retry-After) y volvé a intentar.'],
+    ['Dux is rate limiting', 'Dux asked to slow down. Wait a few seconds (Retry-After header) and try again.']),
+  DUX_UNAVAILABLE: entry(503,
+    ['Dux no está disponible', 'Dux no responde en este momento. Volvé a intentar en unos segundos (header Retry-After).'],
+    ['Dux is unavailable', 'Dux is not responding right now. Try again in a few seconds (Retry-After header).']),
+  DUX_NETWORK_ERROR: entry(504,
+    ['Dux no respondió a tiempo', 'No se pudo completar la conexión con Dux. Volvé a intentar en unos minutos.'],
+    ['Dux did not respond in time', 'The connection to Dux could not be completed. Try again in a few minutes.']),
+  DUX_QUEUE_TIMEOUT: entry(504,
+    ['Demasiada espera hacia Dux', 'Hay muchos pedidos hacia Dux y este venció esperando turno. Volvé a intentar en unos minutos.'],
+    ['Too long waiting for Dux', 'There are many requests queued for Dux and this one timed out waiting. Try again in a few minutes.']),
+  DUX_ERROR: entry(502,
+    ['Error de Dux', 'Dux devolvió un error al procesar la operación. Volvé a intentar más tarde; si sigue pasando, avisá al administrador.'],
+    ['Dux error', 'Dux returned an error while processing the operation. Try again later; if it keeps happening, tell the administrator.']),
+  CLIENT_CLOSED: entry(499,
+    ['Solicitud cancelada', 'La conexión se cerró antes de llegar a Dux.'],
+    ['Request cancelled', 'The connection was closed before reaching Dux.']),
+  INTERNAL_ERROR: entry(500,
+    ['Error interno', 'Ocurrió un error inesperado en el bridge. Volvé a intentar; si sigue pasando, avisá al administrador.'],
+    ['Internal error', 'An unexpected error happened in the bridge. Try again; if it keeps happening, tell the administrator.']),
+
+  // --- Sólo en jobs y lotes ---
+  DUX_REJECTED: entry(null,
+    ['Dux rechazó el comprobante', 'Dux procesó la operación y la rechazó: {motivo}.'],
+    ['Dux rejected the document', 'Dux processed the operation and rejected it: {motivo}.']),
+  JOB_TIMEOUT: entry(null,
+    ['Sin resultado de Dux', 'Dux no informó el resultado a tiempo. Verificá en Dux antes de reintentar.'],
+    ['No result from Dux', 'Dux did not report a result in time. Check in Dux before retrying.']),
+  JOB_UNTRACKABLE: entry(null,
+    ['Sin identificador de Dux', 'Dux no devolvió un identificador para seguir la operación.'],
+    ['No Dux identifier', 'Dux did not return an identifier to track the operation.']),
+  JOB_INTERRUPTED: entry(null,
+    ['Job interrumpido', 'El bridge se reinició antes de enviar el job. Verificá en Dux antes de reintentar.'],
+    ['Job interrupted', 'The bridge restarted before sending the job. Check in Dux before retrying.']),
+  JOB_ORPHANED: entry(null,
+    ['Job sin tenant', 'El tenant del job ya no existe.'],
+    ['Orphaned job', 'The job tenant no longer exists.']),
+  REF_UNRESOLVED: entry(null,
+    ['Referencia sin resolver', 'Un $ref apunta a una operación que no terminó bien o a un campo que no existe: {motivo}.'],
+    ['Unresolved reference', 'A $ref points to an operation that did not succeed or to a missing field: {motivo}.']),
+  TENANT_NOT_FOUND: entry(null,
+    ['Tenant inexistente', 'El tenant del lote ya no existe.'],
+    ['Tenant not found', 'The batch tenant no longer exists.']),
+  BATCH_ERROR: entry(null,
+    ['Lote interrumpido', 'El lote se cortó por un error inesperado: {motivo}.'],
+    ['Batch interrupted', 'The batch stopped because of an unexpected error: {motivo}.']),
+};
+
+export const ERROR_CODES = Object.keys(ERROR_CATALOG);
+
+// Idioma de la respuesta según Accept-Language (default español)
+export function pickLang(req) {
+  return req?.acceptsLanguages?.(...LANGS) || 'es';
+}
+
+const fill = (text, params) => text.replace(/\{(\w+)\}/g, (_m, k) => (params[k] != null && params[k] !== '' ? String(params[k]) : '—'));
+
+// Cuerpo problem+json de un código del catálogo. invalidParams completa {campos} si no viene en params.
+export function problemFor(code, { lang = 'es', params = {}, invalidParams } = {}) {
+  const e = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+  const campos = invalidParams?.length ? invalidParams.map(p => `${p.name} ${p.reason}`).join('; ') : undefined;
+  return {
+    title: e.title[lang],
+    status: e.status,
+    detail: fill(e.detail[lang], { campos, ...params }),
+  };
+}
+
+// Catálogo público (GET /errors)
+export function describeCatalog(lang = 'es') {
+  return ERROR_CODES.map(code => ({
+    code,
+    status: ERROR_CATALOG[code].status,
+    title: ERROR_CATALOG[code].title[lang],
+    detail: ERROR_CATALOG[code].detail[lang],
+  }));
+}
+
+// === Traductor de errores de Dux ===
+const FIELD_KEYS = ['campo', 'field', 'propiedad', 'property', 'path', 'name', 'nombre'];
+const MSG_KEYS = ['mensaje', 'message', 'error', 'descripcion', 'description', 'detalle', 'detail', 'reason'];
+const LIST_KEYS = ['errores', 'errors', 'mensajes', 'messages', 'validaciones', 'detalles'];
+
+const firstKey = (obj, keys) => keys.map(k => obj?.[k]).find(v => v != null && v !== '');
+
+// "El campo 'idCliente' es obligatorio" => idCliente
+const fieldFromText = (s) => s.match(/\bcampo\s+["'`]?([\w.[\]]+)["'`]?/i)?.[1] ?? null;
+
+function pushMessage(out, text, field = null) {
+  const reason = String(text).trim();
+  if (!reason) return;
+  out.messages.push(field ? `${field}: ${reason}` : reason);
+  const name = field ?? fieldFromText(reason);
+  if (name) out.invalidParams.push({ name, in: 'body', reason });
+}
+
+// Mensajes y errores por campo de un body de error de Dux (string, { errores: [...] }, { errors: { campo: msg } }, { mensaje }...)
+export function parseDuxErrorBody(body) {
+  const out = { messages: [], invalidParams: [] };
+  if (body == null || body === '') return out;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { pushMessage(out, body); return out; }
+    if (typeof body !== 'object' || body === null) { pushMessage(out, String(body)); return out; }
+  }
+  if (Array.isArray(body)) body = { errores: body };
+
+  const list = firstKey(body, LIST_KEYS);
+  if (Array.isArray(list)) {
+    for (const item of list) {
+      if (item && typeof item === 'object') pushMessage(out, firstKey(item, MSG_KEYS) ?? JSON.stringify(item), firstKey(item, FIELD_KEYS) ?? null);
+      else pushMessage(out, item);
+    }
+  } else if (list && typeof list === 'object') {
+    for (const [field, msg] of Object.entries(list)) [].concat(msg).forEach(m => pushMessage(out, m, field));
+  } else if (typeof list === 'string') {
+    pushMessage(out, list);
+  }
+  if (!out.messages.length) {
+    const msg = firstKey(body, MSG_KEYS);
+    if (msg != null) pushMessage(out, typeof msg === 'object' ? JSON.stringify(msg) : msg, firstKey(body, FIELD_KEYS) ?? null);
+  }
+  return out;
+}
+
+// Error de una respuesta de Dux (o de red) => Error con status/code del catálogo, detail (motivo de Dux),
+// invalidParams, retryAfter y upstream { status, body } para diagnóstico.
+export function translateDuxError({ status, body, netCode, retryAfter, message }) {
+  const { messages, invalidParams } = parseDuxErrorBody(body);
+  const motivo = messages.join('; ') || null;
+  let code;
+  if (!status) code = 'DUX_NETWORK_ERROR';
+  else if (status === 401 || status === 403) code = 'DUX_UNAUTHORIZED';
+  else if (status === 429) code = 'DUX_RATE_LIMIT';
+  else if (status === 400 || status === 422) code = 'DUX_VALIDATION_ERROR';
+  else if (status === 404) code = 'DUX_NOT_FOUND';
+  else code = 'DUX_ERROR';
+
+  const e = new Error(`DUX ${status || netCode || 'NETWORK_ERROR'}: ${motivo || message || 'sin detalle'}`);
+  e.isDux = true;
+  e.code = code;
+  e.status = ERROR_CATALOG[code].status;
+  e.detail = motivo || (status ? `HTTP ${status}` : (netCode || 'error de red'));
+  if (invalidParams.length) e.invalidParams = invalidParams;
+  if (retryAfter) e.retryAfter = retryAfter;
+  e.upstream = { status: status ?? null, ...(netCode && !status ? { netCode } : {}), ...(body != null && body !== '' ? { body: clip(body) } : {}) };
+  return e;
+}
+
+const clip = (body) => {
+  const s = typeof body === 'string' ? body : JSON.stringify(body);
+  return s.length > 2000 ? `${s.slice(0, 2000)}…` : body;
+};
@@ -0,0 +1,183 @@
+// lib/feed.js
+// Change feed: detecta comprobantes nuevos en Dux (facturas, pedidos, compras) y los registra como eventos.
+//
+// Dux sólo filtra por fecha (día), así que por recurso/empresa se guarda un high-water mark
+// { fecha, ids } = última fecha vista + claves ya emitidas de ese día. Cada poll pide desde esa fecha
+// hasta hoy y emite lo que no estaba.
+import fs from 'fs';
+import path from 'path';
+import { stableStringify } from './idempotency.js';
+import { shortHash } from './cache.js';
+import { pickFecha } from './analytics.js';
+
+export const FEED_RESOURCES = {
+  facturas: { duxPath: '/facturas', type: 'factura.created' },
+  pedidos: { duxPath: '/pedidos', type: 'pedido.created' },
+  compras: { duxPath: '/compras', type: 'compra.created' },
+};
+export const EVENT_TYPES = Object.values(FEED_RESOURCES).map(r => r.type);
+
+const MAX_IDS_PER_DAY = 5000;
+
+const ID_KEYS = ['id', 'idComprobante', 'id_comprobante', 'idFactura', 'id_factura', 'idPedido', 'id_pedido', 'idCompra', 'id_compra', 'nro_comp'];
+
+// Clave estable de una fila: su id si lo trae, si no un hash del contenido
+export function rowKey(row) {
+  for (const k of ID_KEYS) if (row?.[k] != null && row[k] !== '') return `${k}:${row[k]}`;
+  return `h:${shortHash(stableStringify(row))}`;
+}
+
+// Filas nuevas respecto del high-water mark y el mark actualizado
+export function diffRows(rows, hwm) {
+  const seen = new Set(hwm.ids);
+  const fresh = [];
+  let fecha = hwm.fecha;
+  const ids = new Set(hwm.ids);
+
+  for (const row of rows) {
+    const f = pickFecha(row) || hwm.fecha;
+    const key = rowKey(row);
+    if (f < hwm.fecha || (f === hwm.fecha && seen.has(key))) continue;
+    fresh.push(row);
+    if (f > fecha) { fecha = f; ids.clear(); }
+    if (f === fecha) ids.add(key);
+  }
+  return { fresh, hwm: { fecha, ids: [...ids].slice(-MAX_IDS_PER_DAY) } };
+}
+
+// === JSON en disco (estado chico, se reescribe entero) ===
+export function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+export function readJson(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+}
+
+// === Estado de los high-water marks ===
+export function createFeedState({ file = null } = {}) {
+  const marks = file ? readJson(file, {}) : {};
+  return {
+    get: (key) => marks[key] || null,
+    set(key, hwm) {
+      marks[key] = { ...hwm, updatedAt: Date.now() };
+      if (file) writeJsonAtomic(file, marks);
+    },
+    all: () => ({ ...marks }),
+  };
+}
+
+// === Log de eventos ===
+// JSONL append-only con seq creciente; en memoria quedan los últimos maxEvents (al arrancar se compacta).
+export function createEventLog({ file = null, maxEvents = 10000 } = {}) {
+  let events = [];
+  let fd = null;
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { events.push(JSON.parse(line)); } catch { /* línea truncada */ }
+      }
+    }
+    events = events.slice(-maxEvents);
+    fs.writeFileSync(`${file}.tmp`, events.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    fd = fs.openSync(file, 'a');
+  }
+  let seq = events.length ? events[events.length - 1].seq : 0;
+
+  return {
+    append(list) {
+      const out = list.map(e => ({ seq: ++seq, id: `evt_${seq}`, occurredAt: new Date().toISOString(), ...e }));
+      if (fd != null && out.length) fs.writeSync(fd, out.map(e => JSON.stringify(e) + '\n').join(''));
+      events.push(...out);
+      if (events.length > maxEvents) events = events.slice(-maxEvents);
+      return out;
+    },
+
+    // Eventos con seq > after del tenant (y de los tipos pedidos)
+    since(after, { tenantId, types = null, limit = 100 } = {}) {
+      const out = [];
+      for (const e of events) {
+        if (e.seq <= after || e.tenantId !== tenantId || (types && !types.includes(e.type))) continue;
+        out.push(e);
+        if (out.length >= limit) break;
+      }
+      return out;
+    },
+
+    get lastSeq() { return seq; },
+    get firstSeq() { return events.length ? events[0].seq : seq + 1; },
+  };
+}
+
+// === Poller ===
+// targets: [{ tenant, resource, idEmpresa, idSucursal }]; listRows(duxPath, params, tenant) trae todas las páginas.
+// El primer poll de cada target sólo fija el mark (no emite el historial).
+export function createFeedPoller({ targets, state, eventLog, listRows, intervalMs, today, onEvents = () => {}, log = console }) {
+  const status = new Map(); // key -> { lastRunAt, lastError, emitted }
+  let timer = null;
+  let running = false;
+
+  const keyOf = (t) => `${t.tenant.id}:${t.resource}:${t.idEmpresa}${t.idSucursal ? `:${t.idSucursal}` : ''}`;
+
+  async function pollTarget(t) {
+    const key = keyOf(t);
+    const { duxPath, type } = FEED_RESOURCES[t.resource];
+    const hoy = today();
+    const prev = state.get(key);
+    const params = {
+      idEmpresa: t.idEmpresa,
+      ...(t.idSucursal ? { idSucursal: t.idSucursal } : {}),
+      fechaDesde: prev?.fecha || hoy,
+      fechaHasta: hoy,
+    };
+    const st = status.get(key) || { emitted: 0 };
+    try {
+      const rows = await listRows(duxPath, params, t.tenant);
+      const { fresh, hwm } = diffRows(rows, prev || { fecha: hoy, ids: [] });
+      if (prev && fresh.length) {
+        const evts = eventLog.append(fresh.map(row => ({
+          type, tenantId: t.tenant.id, idEmpresa: String(t.idEmpresa), resource: t.resource, key: rowKey(row), data: row,
+        })));
+        st.emitted += evts.length;
+        onEvents(evts);
+      }
+      state.set(key, hwm);
+      Object.assign(st, { lastRunAt: new Date().toISOString(), lastError: null });
+    } catch (e) {
+      log.warn(`[feed] ${key}: ${e.message}`);
+      Object.assign(st, { lastRunAt: new Date().toISOString(), lastError: e.message });
+    }
+    status.set(key, st);
+  }
+
+  async function pollOnce() {
+    if (running) return; // un ciclo a la vez: si Dux va lento no se acumulan
+    running = true;
+    try {
+      for (const t of targets) await pollTarget(t);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    pollOnce,
+    start() {
+      if (!targets.length || timer) return;
+      pollOnce();
+      timer = setInterval(pollOnce, intervalMs);
+      timer.unref();
+    },
+    status() {
+      return targets.map(t => {
+        const key = keyOf(t);
+        return { key, tenantId: t.tenant.id, resource: t.resource, idEmpresa: String(t.idEmpresa), mark: state.get(key), ...(status.get(key) || {}) };
+      });
+    },
+  };
+}
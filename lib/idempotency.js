@@ -0,0 +1,139 @@
+// lib/idempotency.js
+// Store de idempotencia enchufable: en archivo (default, sobrevive reinicios) o en memoria (tests).
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;   // cuánto se recuerda una respuesta
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;   // cuánto vive un "pending" huérfano tras un crash
+const DEFAULT_COMPACT_MS = 60 * 60 * 1000;    // cada cuánto se descartan vencidos (y se reescribe el archivo)
+
+// JSON con claves ordenadas: el hash no depende del orden en que el cliente arma el body
+export function stableStringify(v) {
+  if (v === null || typeof v !== 'object') return JSON.stringify(v ?? null);
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(v).filter(k => v[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+}
+
+export function hashPayload(body) {
+  return crypto.createHash('sha256').update(stableStringify(body)).digest('hex');
+}
+
+function makeStore(entries, { ttlMs = DEFAULT_TTL_MS, lockTtlMs = DEFAULT_LOCK_TTL_MS, compactMs = DEFAULT_COMPACT_MS, persist = () => {}, rewrite = () => {} } = {}) {
+  // claves "pending" tomadas por ESTE proceso: no expiran mientras esperan en la cola de Dux
+  const owned = new Set();
+
+  // Descarta los vencidos; el store en archivo además reescribe el log sólo con lo vigente
+  function compact() {
+    const now = Date.now();
+    let n = 0;
+    for (const [k, e] of entries) {
+      if (e.expiresAt <= now && !owned.has(k)) { entries.delete(k); n++; }
+    }
+    if (n) rewrite();
+    return n;
+  }
+  const timer = compactMs ? setInterval(compact, compactMs) : null;
+  timer?.unref();
+
+  function live(key) {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (e.expiresAt <= Date.now() && !owned.has(key)) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  return {
+    // Reserva la clave. state: 'acquired' | 'replay' | 'inflight' | 'mismatch'
+    begin(key, hash) {
+      const e = live(key);
+      if (e) {
+        if (e.hash !== hash) return { state: 'mismatch', entry: e };
+        return { state: e.state === 'done' ? 'replay' : 'inflight', entry: e };
+      }
+      const now = Date.now();
+      const entry = { state: 'pending', hash, createdAt: now, expiresAt: now + lockTtlMs };
+      entries.set(key, entry);
+      owned.add(key);
+      persist({ op: 'set', key, entry });
+      return { state: 'acquired', entry };
+    },
+
+    // Guarda la respuesta original (status + body) para replays
+    complete(key, response) {
+      const now = Date.now();
+      const entry = { ...entries.get(key), state: 'done', response, completedAt: now, expiresAt: now + ttlMs };
+      entries.set(key, entry);
+      owned.delete(key);
+      persist({ op: 'set', key, entry });
+      return entry;
+    },
+
+    // Libera la clave si la operación falló (el cliente puede reintentar)
+    release(key) {
+      entries.delete(key);
+      owned.delete(key);
+      persist({ op: 'del', key });
+    },
+
+    get(key) {
+      return live(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    compact,
+    stop() { clearInterval(timer); },
+  };
+}
+
+// === Store en memoria ===
+export function createMemoryIdemStore(opts = {}) {
+  return makeStore(new Map(), opts);
+}
+
+// === Store en archivo ===
+// Log JSONL append-only con fsync por escritura; al arrancar se reproduce el log
+// (ignorando una última línea truncada por un crash) y se compacta descartando vencidos.
+// Mientras corre se vuelve a compactar cada compactMs para que ni el archivo ni el Map crezcan sin fin.
+export function createFileIdemStore({ file, ...opts }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const entries = new Map();
+
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { continue; }
+      if (rec.op === 'del') entries.delete(rec.key);
+      else if (rec.op === 'set') entries.set(rec.key, rec.entry);
+    }
+  }
+
+  const now = Date.now();
+  for (const [k, e] of entries) if (e.expiresAt <= now) entries.delete(k);
+
+  let fd = null;
+  const rewrite = () => {
+    if (fd != null) fs.closeSync(fd);
+    const tmp = `${file}.tmp`;
+    const lines = [...entries].map(([key, entry]) => JSON.stringify({ op: 'set', key, entry }) + '\n');
+    fs.writeFileSync(tmp, lines.join(''));
+    fs.renameSync(tmp, file);
+    fd = fs.openSync(file, 'a');
+  };
+  rewrite();
+
+  const persist = (rec) => {
+    fs.writeSync(fd, JSON.stringify(rec) + '\n');
+    fs.fsyncSync(fd);
+  };
+
+  return makeStore(entries, { ...opts, persist, rewrite });
+}
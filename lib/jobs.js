@@ -0,0 +1,248 @@
+// lib/jobs.js
+// Jobs asíncronos: una escritura en Dux (factura, alta/modificación de items) + el seguimiento
+// de su estado en /obtenerEstado* hasta que termina.
+//
+// Estados: queued  (esperando turno en la cola hacia Dux)
+//          pending (Dux lo aceptó y lo está procesando)
+//          ok | rejected (resultado de Dux) | error (falla del envío, timeout o reinicio)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { signPayload, SIGNATURE_HEADER } from './signature.js';
+import { parseDuxErrorBody } from './errors.js';
+
+export const FINAL_STATES = ['ok', 'rejected', 'error'];
+const DEFAULT_TTL_MS = 72 * 60 * 60 * 1000; // cuánto se guarda un job terminado
+
+// === Store ===
+// Cada cambio se agrega como snapshot completo al JSONL; al arrancar queda el último de cada id.
+export function createJobStore({ file = null, ttlMs = DEFAULT_TTL_MS } = {}) {
+  const jobs = new Map();
+  const expired = (j) => FINAL_STATES.includes(j.status) && j.updatedAt + ttlMs <= Date.now();
+  let persist = () => {};
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { const j = JSON.parse(line); jobs.set(j.id, j); } catch { /* línea truncada */ }
+      }
+    }
+    for (const [id, j] of jobs) if (expired(j)) jobs.delete(id);
+
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, [...jobs.values()].map(j => JSON.stringify(j) + '\n').join(''));
+    fs.renameSync(tmp, file);
+    const fd = fs.openSync(file, 'a');
+    persist = (j) => fs.writeSync(fd, JSON.stringify(j) + '\n');
+  }
+
+  return {
+    create(data) {
+      const now = Date.now();
+      const job = { id: `job_${crypto.randomUUID()}`, status: 'queued', createdAt: now, updatedAt: now, polls: 0, ...data };
+      jobs.set(job.id, job);
+      persist(job);
+      return job;
+    },
+
+    update(id, patch) {
+      const job = { ...jobs.get(id), ...patch, updatedAt: Date.now() };
+      if (FINAL_STATES.includes(job.status) && !job.finishedAt) job.finishedAt = job.updatedAt;
+      jobs.set(id, job);
+      persist(job);
+      return job;
+    },
+
+    get(id) {
+      const j = jobs.get(id);
+      if (j && expired(j)) { jobs.delete(id); return null; }
+      return j || null;
+    },
+
+    // Jobs sin terminar (para retomarlos al arrancar)
+    unfinished() {
+      return [...jobs.values()].filter(j => !FINAL_STATES.includes(j.status));
+    },
+
+    get size() {
+      return jobs.size;
+    },
+  };
+}
+
+// Vista pública (sin tenant ni datos internos)
+export function publicJob(j) {
+  return {
+    id: j.id,
+    kind: j.kind,
+    status: j.status,
+    createdAt: new Date(j.createdAt).toISOString(),
+    updatedAt: new Date(j.updatedAt).toISOString(),
+    ...(j.finishedAt ? { finishedAt: new Date(j.finishedAt).toISOString() } : {}),
+    ...(j.ref ? { dux_ref: j.ref } : {}),
+    ...(j.result && Object.keys(j.result).length ? { result: j.result } : {}),
+    ...(j.error ? { error: j.error } : {}),
+    ...(j.callbackUrl ? { callback: { url: j.callbackUrl, status: j.callbackStatus || 'pending' } } : {}),
+    links: { self: `/jobs/${j.id}` },
+  };
+}
+
+// === Interpretación de respuestas de Dux ===
+const REF_KEYS = ['idProceso', 'id_proceso', 'idFactura', 'id_factura', 'idComprobante', 'id_comprobante', 'idItem', 'id_item', 'id'];
+
+// Identificador con el que se consulta el estado: { name, value } o null
+export function pickDuxRef(data) {
+  for (const src of [data, data?.data, data?.resultado]) {
+    if (!src || typeof src !== 'object' || Array.isArray(src)) continue;
+    for (const k of REF_KEYS) if (src[k] != null && src[k] !== '') return { name: k, value: src[k] };
+  }
+  return null;
+}
+
+const flat = (data) => ({ ...(data?.resultado || {}), ...(data?.data || {}), ...(data || {}) });
+
+// { status: 'pending'|'ok'|'rejected'|null, result, error }
+export function interpretEstado(data) {
+  if (Array.isArray(data)) data = data[0];
+  const d = flat(data);
+  const cae = d.cae ?? d.CAE ?? d.nroCae ?? null;
+  const result = {
+    ...(cae ? { cae: String(cae) } : {}),
+    ...(d.vencimientoCae ?? d.fecha_vto_cae ?? d.caeVencimiento ? { caeVencimiento: d.vencimientoCae ?? d.fecha_vto_cae ?? d.caeVencimiento } : {}),
+    ...(d.nro_comp ?? d.numeroComprobante ?? d.numero ? { numero: d.nro_comp ?? d.numeroComprobante ?? d.numero } : {}),
+  };
+  const errores = d.errores ?? d.error ?? d.errors ?? d.mensajeError ?? null;
+  const estado = String(d.estado ?? d.status ?? d.state ?? '').toLowerCase();
+
+  // ok antes que pending: "PROCESADO" también contiene "proces"
+  let status = null;
+  if (/rechaz|error|fall|invalid|anulad/.test(estado)) status = 'rejected';
+  else if (cae || /^ok$|aprob|exit|finaliz|complet|acept|procesad|success|done/.test(estado)) status = 'ok';
+  else if (/pend|proces|curso|espera|cola|queued/.test(estado)) status = 'pending';
+  else if (errores && (!Array.isArray(errores) || errores.length)) status = 'rejected';
+
+  return {
+    status,
+    result,
+    ...(status === 'rejected' ? { error: rejection(d, errores ?? d.mensaje ?? estado) } : {}),
+  };
+}
+
+// Rechazo de Dux con los mensajes legibles y, si los hay, errores por campo
+function rejection(d, fallback) {
+  const { messages, invalidParams } = parseDuxErrorBody(d);
+  return {
+    code: 'DUX_REJECTED',
+    detail: messages.join('; ') || (typeof fallback === 'string' ? fallback : JSON.stringify(fallback)),
+    ...(invalidParams.length ? { invalidParams } : {}),
+  };
+}
+
+// === Runner ===
+// Envía la escritura por la cola (prioridad write), después consulta el estado cada pollMs
+// (prioridad background) hasta un resultado final o maxAgeMs, y notifica al callback si hay.
+// onFinish(job): se llama con cada job que termina (p.ej. para auditarlo).
+export function createJobRunner({
+  store, callDux, tenantById, secretFor, pollMs = 15000, maxAgeMs = 60 * 60 * 1000, onFinish = () => {}, log = console,
+}) {
+  const finish = (job, patch) => {
+    const done = store.update(job.id, patch);
+    if (done.callbackUrl) notify(done, 1);
+    onFinish(done);
+    return done;
+  };
+
+  async function notify(job, attempt) {
+    const tenant = tenantById(job.tenantId);
+    const secret = tenant && secretFor(tenant);
+    const body = JSON.stringify({ event: 'job.finished', job: publicJob(job) });
+    try {
+      const r = await fetch(job.callbackUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', [SIGNATURE_HEADER]: signPayload(secret, body) },
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      store.update(job.id, { callbackStatus: 'sent', callbackAttempts: attempt });
+    } catch (e) {
+      if (attempt >= 3) {
+        log.warn(`[jobs] callback de ${job.id} falló: ${e.message}`);
+        store.update(job.id, { callbackStatus: 'failed', callbackAttempts: attempt, callbackError: e.message });
+        return;
+      }
+      setTimeout(() => notify(store.get(job.id) || job, attempt + 1), 1000 * 5 ** attempt).unref(); // 5 s, 25 s
+    }
+  }
+
+  function schedulePoll(job) {
+    setTimeout(() => poll(job.id), pollMs).unref();
+  }
+
+  async function poll(id) {
+    const job = store.get(id);
+    if (!job || job.status !== 'pending') return;
+    const tenant = tenantById(job.tenantId);
+    if (!tenant) return finish(job, { status: 'error', error: { code: 'JOB_ORPHANED', detail: 'El tenant del job ya no existe.' } });
+    if (Date.now() - job.createdAt > maxAgeMs) {
+      return finish(job, { status: 'error', error: { code: 'JOB_TIMEOUT', detail: 'Dux no informó un resultado a tiempo.' } });
+    }
+
+    try {
+      const data = await callDux(job.statusPath, { method: 'GET', params: job.statusParams, tenant, priority: 'background' });
+      const { status, result, error } = interpretEstado(data);
+      if (status === 'ok' || status === 'rejected') {
+        return finish(job, { status, result: { ...job.result, ...result }, ...(error ? { error } : {}), polls: job.polls + 1 });
+      }
+      store.update(id, { polls: job.polls + 1, lastPollAt: Date.now() });
+    } catch (e) {
+      if (e.code === 'DUX_UNAUTHORIZED') return finish(job, { status: 'error', error: { code: e.code, detail: e.detail } });
+      store.update(id, { polls: job.polls + 1, lastPollAt: Date.now(), lastPollError: e.message }); // transitorio: se reintenta
+    }
+    schedulePoll(job);
+  }
+
+  return {
+    // Crea el job y lanza el envío; devuelve el job en estado queued.
+    // meta: datos del request que lo originó (se guardan con el job, no se publican)
+    start({ tenant, kind, duxPath, statusPath, data, callbackUrl, meta = null }) {
+      const job = store.create({ tenantId: tenant.id, kind, statusPath, ...(callbackUrl ? { callbackUrl } : {}), ...(meta ? { meta } : {}) });
+
+      callDux(duxPath, { method: 'POST', data, tenant, priority: 'write' })
+        .then(resp => {
+          const ref = pickDuxRef(resp);
+          const { status, result, error } = interpretEstado(resp);
+          if (status === 'ok' || status === 'rejected' || !ref) {
+            // resultado inmediato; sin ref no hay forma de seguirlo
+            return finish(job, {
+              status: status || 'error',
+              result,
+              dux: resp,
+              ...(error ? { error } : {}),
+              ...(!status ? { error: { code: 'JOB_UNTRACKABLE', detail: 'Dux no devolvió un identificador para consultar el estado.' } } : {}),
+            });
+          }
+          const statusParams = {
+            [ref.name]: ref.value,
+            ...(data?.idEmpresa != null ? { idEmpresa: data.idEmpresa } : {}),
+            ...(data?.idSucursal != null ? { idSucursal: data.idSucursal } : {}),
+          };
+          const pending = store.update(job.id, { status: 'pending', ref, statusParams, result, dux: resp, submittedAt: Date.now() });
+          schedulePoll(pending);
+        })
+        .catch(e => finish(job, { status: 'error', error: { code: e.code || 'DUX_ERROR', detail: e.detail || e.message, ...(e.invalidParams ? { invalidParams: e.invalidParams } : {}) } }));
+
+      return job;
+    },
+
+    // Al arrancar: se retoma el polling de los pending; los queued no se sabe si llegaron a Dux
+    resume() {
+      for (const job of store.unfinished()) {
+        if (job.status === 'pending') schedulePoll(job);
+        else finish(job, { status: 'error', error: { code: 'JOB_INTERRUPTED', detail: 'El bridge se reinició antes de enviar el job; verificar en Dux antes de reintentar.' } });
+      }
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// lib/logger.js
+// Logs estructurados: una línea JSON por evento en stdout ({ time, level, msg, ...campos }).
+// Compatible con la forma console.warn(msg) que usan los módulos de lib/ (reciben `log`).
+//
+//   const log = createLogger({ level: 'info' });
+//   log.info('request', { reqId, status });
+//   log.child({ reqId }).warn('algo raro');
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Los Error no se serializan con JSON.stringify: se pasan a { message, code, stack }
+function plain(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    out[k] = v instanceof Error ? { message: v.message, ...(v.code ? { code: v.code } : {}), stack: v.stack } : v;
+  }
+  return out;
+}
+
+export function createLogger({ level = 'info', base = {}, write = (line) => process.stdout.write(line) } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  const emit = (lvl, msg, fields) => {
+    if (LEVELS[lvl] < min) return;
+    const rec = { time: new Date().toISOString(), level: lvl, msg: String(msg), ...base, ...plain(fields) };
+    try {
+      write(JSON.stringify(rec) + '\n');
+    } catch {
+      write(JSON.stringify({ time: rec.time, level: lvl, msg: rec.msg, logError: 'campos no serializables' }) + '\n');
+    }
+  };
+
+  return {
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, write }),
+  };
+}
@@ -0,0 +1,165 @@
+// lib/mcp.js
+// Servidor MCP (Model Context Protocol, JSON-RPC 2.0) independiente del transporte: server.js lo expone por
+// stdio y por HTTP/SSE. Las tools salen del mismo spec OpenAPI que las rutas REST (params + body, con los
+// $ref resueltos) y se ejecutan con callTool, que recibe la descripción HTTP de la operación.
+import readline from 'readline';
+
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Params del spec que no tienen sentido como argumento de una tool (exportaciones en streaming, Prefer = dryRun)
+const SKIP_PARAMS = new Set(['all', 'format', 'pageSize', 'Prefer']);
+
+// Headers como argumento en camelCase: Idempotency-Key -> idempotencyKey
+const argName = (prm) => (prm.in === 'header' ? prm.name.replace(/-(\w)/g, (_, c) => c.toUpperCase()).replace(/^\w/, c => c.toLowerCase()) : prm.name);
+
+// Reemplaza los $ref a components/schemas por el schema (los clientes MCP no resuelven refs)
+function inline(schema, schemas, seen = new Set()) {
+  if (Array.isArray(schema)) return schema.map(s => inline(s, schemas, seen));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    if (seen.has(name)) return { type: 'object' };
+    return inline(schemas[name], schemas, new Set([...seen, name]));
+  }
+  return Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, inline(v, schemas, seen)]));
+}
+
+// Una tool por ruta (name = operationId); `http` dice cómo llamarla y no se publica
+export function buildMcpTools(doc, routes) {
+  const schemas = doc.components?.schemas || {};
+  return routes.map(r => {
+    const op = doc.paths[r.path]?.[r.method.toLowerCase()];
+    if (!op) throw new Error(`MCP: ${r.method} ${r.path} no está en el spec`);
+    const params = (op.parameters || []).filter(prm => !SKIP_PARAMS.has(prm.name))
+      .map(prm => ({ name: prm.name, in: prm.in, arg: argName(prm), required: !!prm.required, schema: prm.schema, description: prm.description }));
+
+    const properties = {};
+    const required = [];
+    for (const prm of params) {
+      properties[prm.arg] = { ...prm.schema, ...(prm.description ? { description: prm.description } : {}) };
+      if (prm.required) required.push(prm.arg);
+    }
+    const body = op.requestBody?.content?.['application/json']?.schema;
+    if (body) {
+      properties.body = { ...inline(body, schemas), description: 'Body JSON de la operación.' };
+      required.push('body');
+    }
+
+    return {
+      name: r.operationId,
+      title: r.summary,
+      description: [op.summary, op.description].filter(Boolean).join('. '),
+      inputSchema: { type: 'object', properties, ...(required.length ? { required } : {}) },
+      annotations: { readOnlyHint: r.kind !== 'write' && r.method === 'GET', ...(r.idempotent ? { idempotentHint: true } : {}) },
+      scope: r.scope || null,
+      http: { method: r.method, path: r.path, params, body: !!body },
+    };
+  });
+}
+
+export const publicTool = ({ name, title, description, inputSchema, annotations }) => ({ name, title, description, inputSchema, annotations });
+
+// Argumentos de la tool => { method, url, headers, data } relativos al bridge
+export function toolRequest(tool, args = {}) {
+  const { method, path, params, body } = tool.http;
+  let url = path;
+  const query = new URLSearchParams();
+  const headers = {};
+  for (const prm of params) {
+    const v = args[prm.arg];
+    if (v === undefined || v === null) continue;
+    if (prm.in === 'path') url = url.replace(`{${prm.name}}`, encodeURIComponent(String(v)));
+    else if (prm.in === 'header') headers[prm.name] = String(v);
+    else query.set(prm.name, String(v));
+  }
+  const qs = query.toString();
+  return { method, url: qs ? `${url}?${qs}` : url, headers, data: body ? args.body : undefined };
+}
+
+export const rpcError = (code, message, data) => Object.assign(new Error(message), { rpc: { code, message, ...(data ? { data } : {}) } });
+
+// tools(ctx) / callTool(tool, args, ctx) / resources(ctx) / readResource(resource, ctx): ctx es lo que pase el transporte
+export function createMcpServer({ info, instructions, tools, callTool, resources, readResource, log = console }) {
+  const methods = {
+    initialize: ({ protocolVersion } = {}) => ({
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false }, resources: { listChanged: false, subscribe: false } },
+      serverInfo: info,
+      ...(instructions ? { instructions } : {}),
+    }),
+    ping: () => ({}),
+    'tools/list': (_p, ctx) => ({ tools: tools(ctx).map(publicTool) }),
+    'tools/call': async ({ name, arguments: args } = {}, ctx) => {
+      const tool = tools(ctx).find(t => t.name === name);
+      if (!tool) throw rpcError(-32602, `Tool desconocida: ${name}`);
+      return callTool(tool, args || {}, ctx);
+    },
+    'resources/list': (_p, ctx) => ({ resources: resources(ctx).map(({ uri, name, title, description, mimeType }) => ({ uri, name, title, description, mimeType })) }),
+    'resources/templates/list': () => ({ resourceTemplates: [] }),
+    'resources/read': async ({ uri } = {}, ctx) => {
+      const res = resources(ctx).find(r => r.uri === uri);
+      if (!res) throw rpcError(-32002, `Recurso no encontrado: ${uri}`, { uri });
+      return { contents: [await readResource(res, ctx)] };
+    },
+  };
+
+  // Un mensaje JSON-RPC => respuesta, o null si es una notificación (o una respuesta del cliente)
+  async function handleOne(msg, ctx) {
+    if (!msg || typeof msg !== 'object' || msg.jsonrpc !== '2.0') {
+      return { jsonrpc: '2.0', id: msg?.id ?? null, error: { code: -32600, message: 'Request JSON-RPC inválido' } };
+    }
+    if (!msg.method) return null;
+    const notification = msg.id === undefined;
+    const fn = methods[msg.method];
+    if (!fn) {
+      if (notification) return null; // notifications/initialized, notifications/cancelled...
+      return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Método no soportado: ${msg.method}` } };
+    }
+    try {
+      const result = await fn(msg.params, ctx);
+      return notification ? null : { jsonrpc: '2.0', id: msg.id, result };
+    } catch (e) {
+      if (!e.rpc) log.error('MCP: error interno', { method: msg.method, err: e });
+      return notification ? null : { jsonrpc: '2.0', id: msg.id, error: e.rpc || { code: -32603, message: 'Error interno' } };
+    }
+  }
+
+  return {
+    // Acepta también un lote (array); null = nada que responder
+    async handle(msg, ctx) {
+      if (!Array.isArray(msg)) return handleOne(msg, ctx);
+      const out = (await Promise.all(msg.map(m => handleOne(m, ctx)))).filter(Boolean);
+      return out.length ? out : null;
+    },
+  };
+}
+
+export const parseError = () => ({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'JSON inválido' } });
+
+// Transporte stdio: un mensaje JSON por línea en input, respuestas por línea en output.
+// onClose corre cuando el cliente cierra input y ya se respondió todo lo pendiente.
+export function serveStdio(server, { input = process.stdin, output = process.stdout, ctx, onClose = () => {} } = {}) {
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const send = (msg) => { if (msg) output.write(JSON.stringify(msg) + '\n'); };
+  let pending = 0;
+  let closed = false;
+  const done = () => { if (closed && !pending) onClose(); };
+  rl.on('line', async (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return send(parseError());
+    }
+    pending++;
+    try {
+      send(await server.handle(msg, ctx));
+    } finally {
+      pending--;
+      done();
+    }
+  });
+  rl.on('close', () => { closed = true; done(); });
+  return rl;
+}
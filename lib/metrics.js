@@ -0,0 +1,84 @@
+// lib/metrics.js
+// Métricas en formato de texto de Prometheus (sin dependencias): counters, gauges e histogramas con labels.
+//
+//   const m = createMetrics();
+//   const hits = m.counter('bridge_x_total', 'Ayuda', ['route']);
+//   hits.inc({ route: '/duxc/items' });
+//   m.render() // => texto para GET /metrics
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const fmt = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? '+Inf' : n < 0 ? '-Inf' : 'NaN');
+
+export function createMetrics() {
+  const families = [];
+
+  function family(type, name, help, labelNames) {
+    const series = new Map(); // clave (valores de labels) -> { values, state }
+    const key = (labels = {}) => labelNames.map(n => labels[n] ?? '').join('\u0000');
+    const get = (labels, init) => {
+      const k = key(labels);
+      if (!series.has(k)) series.set(k, { values: labelNames.map(n => labels?.[n] ?? ''), state: init() });
+      return series.get(k);
+    };
+    const f = { type, name, help, labelNames, series, get, collect: null };
+    families.push(f);
+    return f;
+  }
+
+  // collect(set): se llama al renderizar, para valores que ya lleva otro módulo (p.ej. la cola hacia Dux)
+  function simple(type, name, help, labelNames, collect) {
+    const f = family(type, name, help, labelNames);
+    const set = (labels, v) => { f.get(labels, () => ({ v: 0 })).state.v = v; };
+    if (collect) f.collect = () => { f.series.clear(); collect(set); };
+    return {
+      inc(labels = {}, n = 1) { f.get(labels, () => ({ v: 0 })).state.v += n; },
+      set(labels = {}, v) { set(labels, v); },
+    };
+  }
+
+  return {
+    counter: (name, help, labelNames = [], collect = null) => simple('counter', name, help, labelNames, collect),
+    gauge: (name, help, labelNames = [], collect = null) => simple('gauge', name, help, labelNames, collect),
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const f = family('histogram', name, help, labelNames);
+      f.buckets = buckets;
+      return {
+        observe(labels = {}, v) {
+          const s = f.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 })).state;
+          for (let i = 0; i < buckets.length; i++) if (v <= buckets[i]) s.counts[i]++;
+          s.sum += v;
+          s.count++;
+        },
+      };
+    },
+
+    render() {
+      const out = [];
+      for (const f of families) {
+        f.collect?.();
+        out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+        for (const { values, state } of f.series.values()) {
+          if (f.type !== 'histogram') {
+            out.push(`${f.name}${labelText(f.labelNames, values)} ${fmt(state.v)}`);
+            continue;
+          }
+          f.buckets.forEach((b, i) => out.push(`${f.name}_bucket${labelText(f.labelNames, values, `le="${b}"`)} ${state.counts[i]}`));
+          out.push(`${f.name}_bucket${labelText(f.labelNames, values, 'le="+Inf"')} ${state.count}`);
+          out.push(`${f.name}_sum${labelText(f.labelNames, values)} ${fmt(state.sum)}`);
+          out.push(`${f.name}_count${labelText(f.labelNames, values)} ${state.count}`);
+        }
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
@@ -0,0 +1,156 @@
+// lib/openapi.js
+// Validación de query params, headers y bodies contra el spec OpenAPI (subset de JSON Schema).
+// Los valores de query/header llegan como string y se interpretan según el tipo declarado;
+// las fechas `format: date` aceptan YYYY-MM-DD, DD/MM/YYYY o expresiones como "ayer" (lib/dates.js, igual que los proxies).
+import { isDateExpr } from './dates.js';
+
+function resolveRef(spec, schema) {
+  let s = schema;
+  for (let depth = 0; s?.$ref && depth < 20; depth++) {
+    const parts = s.$ref.replace(/^#\//, '').split('/');
+    s = parts.reduce((node, k) => node?.[k.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+  }
+  return s || {};
+}
+
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+};
+
+
+// Convierte un string de query/header al tipo del schema; undefined si no se puede
+function coerce(raw, type) {
+  if (Array.isArray(raw)) raw = raw[raw.length - 1]; // ?x=1&x=2 => último
+  switch (type) {
+    case 'integer': return /^-?\d+$/.test(raw) ? Number(raw) : undefined;
+    case 'number':  return raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : undefined;
+    case 'boolean': return ['true', '1'].includes(raw) ? true : (['false', '0'].includes(raw) ? false : undefined);
+    default:        return raw;
+  }
+}
+
+// Devuelve [{ name, reason }] para value contra schema
+function check(spec, schema, value, name, errors) {
+  schema = resolveRef(spec, schema);
+
+  if (schema.allOf) for (const sub of schema.allOf) check(spec, sub, value, name, errors);
+  for (const kw of ['anyOf', 'oneOf']) {
+    if (!schema[kw]) continue;
+    const ok = schema[kw].some(sub => { const e = []; check(spec, sub, value, name, e); return !e.length; });
+    if (!ok) errors.push({ name, reason: 'no coincide con ninguna de las variantes permitidas' });
+  }
+
+  const types = [].concat(schema.type || []);
+  if (value === null) {
+    if (schema.nullable || types.includes('null')) return;
+    if (types.length) errors.push({ name, reason: `no puede ser null (se espera ${types.join('|')})` });
+    return;
+  }
+  if (types.length) {
+    const t = typeOf(value);
+    const ok = types.some(x => x === t || (x === 'number' && t === 'integer'));
+    if (!ok) {
+      errors.push({ name, reason: `debe ser ${types.join('|')} (llegó ${t})` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ name, reason: `debe ser uno de: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ name, reason: `debe ser >= ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ name, reason: `debe ser <= ${schema.maximum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ name, reason: `debe tener al menos ${schema.minLength} caracteres` });
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push({ name, reason: `debe tener como máximo ${schema.maxLength} caracteres` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ name, reason: `no respeta el formato ${schema.pattern}` });
+    if (schema.format === 'date' && !isDateExpr(value)) errors.push({ name, reason: 'fecha inválida (usar YYYY-MM-DD, DD/MM/YYYY o expresiones como "ayer", "este mes", "Q3")' });
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push({ name, reason: 'fecha-hora inválida (ISO 8601)' });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ name, reason: `debe tener al menos ${schema.minItems} elemento(s)` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ name, reason: `debe tener como máximo ${schema.maxItems} elementos` });
+    if (schema.items) value.forEach((v, i) => check(spec, schema.items, v, `${name}[${i}]`, errors));
+  } else if (value && typeof value === 'object') {
+    const props = schema.properties || {};
+    const prefix = name ? `${name}.` : '';
+    for (const req of schema.required || []) {
+      if (value[req] === undefined) errors.push({ name: `${prefix}${req}`, reason: 'es obligatorio' });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[k]) check(spec, props[k], v, `${prefix}${k}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ name: `${prefix}${k}`, reason: 'campo no permitido' });
+      else if (typeof schema.additionalProperties === 'object') check(spec, schema.additionalProperties, v, `${prefix}${k}`, errors);
+    }
+  }
+}
+
+// '/duxc/confirmar/{token}' => /^\/duxc\/confirmar\/[^/]+$/
+const pathRegex = (p) =>
+  new RegExp('^' + p.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+') + '$');
+
+// Compila el spec en una lista de operaciones con su validador
+export function compileSpec(spec) {
+  const ops = [];
+  for (const [p, item] of Object.entries(spec.paths || {})) {
+    for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+      const op = item?.[method];
+      if (!op) continue;
+      const parameters = [...(item.parameters || []), ...(op.parameters || [])].map(x => resolveRef(spec, x));
+      const body = op.requestBody && resolveRef(spec, op.requestBody);
+      ops.push({ method: method.toUpperCase(), path: p, re: pathRegex(p), operationId: op.operationId, parameters, body });
+    }
+  }
+
+  function validate(op, req) {
+    const errors = [];
+
+    for (const prm of op.parameters) {
+      const where = prm.in;
+      if (where !== 'query' && where !== 'header') continue;
+      const raw = where === 'query' ? req.query?.[prm.name] : req.headers?.[prm.name.toLowerCase()];
+      if (raw === undefined || raw === '') {
+        if (prm.required) errors.push({ name: prm.name, in: where, reason: 'es obligatorio' });
+        continue;
+      }
+      const schema = resolveRef(spec, prm.schema || {});
+      const type = [].concat(schema.type || [])[0];
+      const value = coerce(raw, type);
+      if (value === undefined) {
+        errors.push({ name: prm.name, in: where, reason: `debe ser ${type}` });
+        continue;
+      }
+      const e = [];
+      check(spec, schema, value, prm.name, e);
+      errors.push(...e.map(x => ({ name: x.name, in: where, reason: x.reason })));
+    }
+
+    if (op.body) {
+      const media = op.body.content?.['application/json'];
+      const empty = req.body == null || (typeof req.body === 'object' && !Array.isArray(req.body) && !Object.keys(req.body).length);
+      const e = [];
+      if (media?.schema && (!empty || op.body.required)) check(spec, media.schema, empty ? {} : req.body, '', e);
+      if (empty && op.body.required && !e.length) e.push({ name: 'body', reason: 'es obligatorio (JSON)' });
+      errors.push(...e.map(x => ({ name: x.name || 'body', in: 'body', reason: x.reason })));
+    }
+
+    return errors;
+  }
+
+  return {
+    operations: ops,
+    match(method, path) {
+      return ops.find(o => o.method === method && o.re.test(path)) || null;
+    },
+    validate,
+  };
+}
@@ -0,0 +1,54 @@
+// lib/pagination.js
+// Cursores opacos (firmados) para listados y helpers de CSV para exportaciones.
+import crypto from 'crypto';
+
+// Cursor = base64url(JSON {p: path Dux, o: offset, h: hash de los filtros}) + "." + firma HMAC.
+// La firma evita que el cliente lo edite; h evita reusarlo con otros filtros.
+export function createCursorCodec(secret) {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, 22);
+
+  return {
+    encode(data) {
+      const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+      return `${payload}.${sign(payload)}`;
+    },
+    // null si el cursor es inválido o fue alterado
+    decode(token) {
+      if (typeof token !== 'string') return null;
+      const [payload, sig] = token.split('.');
+      if (!payload || !sig) return null;
+      const expected = sign(payload);
+      if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+      try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+// === CSV ===
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Columnas = unión de claves de las filas de muestra, en orden de aparición
+export function csvColumns(rows) {
+  const cols = [];
+  const seen = new Set();
+  for (const r of rows) {
+    for (const k of Object.keys(r || {})) if (!seen.has(k)) { seen.add(k); cols.push(k); }
+  }
+  return cols;
+}
+
+export function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+export function csvRow(row, columns) {
+  return csvLine(columns.map(c => row?.[c]));
+}
@@ -0,0 +1,178 @@
+// lib/preview.js
+// Vista previa (dryRun) de una escritura: resuelve cliente e items, valoriza los renglones con la
+// lista de precios y las percepciones, y arma el payload final que se mandaría a Dux.
+// No llama a Dux: recibe los catálogos ya leídos.
+import { pickDetailArray, pickItemId, pickCantidad, pickNombre } from './analytics.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const num = (v) => (v != null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : null);
+
+export const pickClienteId = (body) =>
+  body?.clienteId ?? body?.idCliente ?? body?.id_cliente ?? body?.cliente?.id ?? null;
+
+export const pickListaId = (obj) =>
+  obj?.idListaPrecio ?? obj?.id_lista_precio ?? obj?.idListaPrecioVenta ?? obj?.id_lista_precio_venta ?? obj?.listaPrecio?.id ?? null;
+
+// Renglones del body: [{ index, itemId, cantidad, precio, descuento, raw }]
+export function bodyLines(body) {
+  return pickDetailArray(body).map((raw, index) => ({
+    index,
+    itemId: pickItemId(raw),
+    cantidad: pickCantidad(raw),
+    precio: num(raw.precio ?? raw.precioUnitario ?? raw.precio_unitario),
+    descuento: num(raw.descuento ?? raw.porcDescuento ?? raw.porc_desc) ?? 0,
+    raw,
+  }));
+}
+
+// Claves con las que un item o cliente puede venir referenciado
+const ITEM_ID_KEYS = ['id_item', 'idItem', 'id', 'cod_item', 'codigo', 'codigoArticulo'];
+const CLIENTE_ID_KEYS = ['id_cliente', 'idCliente', 'id_empresa', 'idEmpresa', 'id'];
+
+export const matchesId = (row, id, keys) => keys.some(k => row?.[k] != null && String(row[k]) === String(id));
+export const findItem = (rows, id) => rows.find(r => matchesId(r, id, ITEM_ID_KEYS)) || null;
+export const findCliente = (rows, id) => rows.find(r => matchesId(r, id, CLIENTE_ID_KEYS)) || null;
+
+// Lista a usar: la del body, la del cliente, la marcada como default o la única
+export function selectLista(listas, body, cliente) {
+  const id = pickListaId(body) ?? pickListaId(cliente);
+  if (id != null) return listas.find(l => matchesId(l, id, ['id_lista_precio', 'idListaPrecio', 'id'])) || { id, nombre: null, noEncontrada: true };
+  return listas.find(l => l.predeterminada || l.default || l.es_default) || (listas.length === 1 ? listas[0] : null);
+}
+
+const listaKey = (l) => l && String(l.id_lista_precio ?? l.idListaPrecio ?? l.id);
+
+// Precio del item en la lista: item.precios[] o el detalle de la lista; si no, el precio base del item
+function listPrice(item, lista) {
+  const key = listaKey(lista);
+  if (key && Array.isArray(item?.precios)) {
+    const p = item.precios.find(x => String(x.id_lista_precio ?? x.idListaPrecio ?? x.id) === key ||
+      (lista.nombre && x.nombre === lista.nombre));
+    if (p && num(p.precio) != null) return { precio: num(p.precio), origen: 'lista' };
+  }
+  const det = lista && (lista.items || lista.precios || lista.detalle);
+  if (Array.isArray(det)) {
+    const p = det.find(x => ITEM_ID_KEYS.some(k => x[k] != null && matchesId(item, x[k], ITEM_ID_KEYS)));
+    if (p && num(p.precio) != null) return { precio: num(p.precio), origen: 'lista' };
+  }
+  const base = num(item?.precio ?? item?.precio_venta ?? item?.precioVenta);
+  return base != null ? { precio: base, origen: 'item' } : null;
+}
+
+const alicuota = (p) => num(p.alicuota ?? p.porcentaje ?? p.porc ?? p.tasa ?? p.valor);
+
+// Percepciones a aplicar: las del body (ids) y las del cliente
+export function selectPercepciones(all, body, cliente) {
+  const ids = [...(body?.percepciones || []), ...(cliente?.percepciones || [])]
+    .map(x => (x && typeof x === 'object' ? x.id ?? x.idPercepcion ?? x.id_percepcion : x))
+    .filter(x => x != null)
+    .map(String);
+  const unique = [...new Set(ids)];
+  return {
+    aplicadas: unique.map(id => all.find(p => matchesId(p, id, ['id', 'idPercepcion', 'id_percepcion', 'id_impuesto']))).filter(Boolean),
+    faltantes: unique.filter(id => !all.some(p => matchesId(p, id, ['id', 'idPercepcion', 'id_percepcion', 'id_impuesto']))),
+  };
+}
+
+// { payload, cliente, lista, lineas, totales, advertencias }
+export function buildPreview({ body, clienteId, cliente, items, lista, percepciones, faltantesPercepcion = [], advertencias = [] }) {
+  const warn = [...advertencias];
+  const lines = bodyLines(body);
+  if (clienteId != null && !cliente) warn.push(`Cliente ${clienteId} no encontrado en /empresas.`);
+  if (lista?.noEncontrada) warn.push(`Lista de precios ${lista.id} no encontrada en /listaprecioventa.`);
+  for (const id of faltantesPercepcion) warn.push(`Percepción ${id} no encontrada en /percepcionesImpuestos.`);
+  if (!lines.length) warn.push('El body no tiene renglones para valorizar.');
+
+  const lineas = [];
+  const detalle = [];
+  let neto = 0, iva = 0;
+  for (const l of lines) {
+    const item = l.itemId != null ? items.get(String(l.itemId)) : null;
+    const fila = `Renglón ${l.index + 1}`;
+    if (l.itemId == null) warn.push(`${fila}: falta itemId.`);
+    else if (!item) warn.push(`${fila}: item ${l.itemId} no encontrado en /items.`);
+    if (!l.cantidad) warn.push(`${fila}: cantidad 0 o inválida.`);
+
+    const deLista = item ? listPrice(item, lista) : null;
+    let precio = l.precio, origen = 'body';
+    if (precio == null && deLista) ({ precio, origen } = deLista);
+    if (precio == null) { precio = 0; origen = 'sin_precio'; warn.push(`${fila}: sin precio (ni en el body ni en la lista).`); }
+    if (l.precio != null && deLista && Math.abs(l.precio - deLista.precio) > 0.005 * Math.max(1, deLista.precio)) {
+      warn.push(`${fila}: precio ${l.precio} difiere del de ${deLista.origen === 'lista' ? 'lista' : 'item'} (${deLista.precio}).`);
+    }
+    const stock = num(item?.stock ?? item?.stock_disponible ?? item?.stockDisponible);
+    if (stock != null && l.cantidad > stock) warn.push(`${fila}: cantidad ${l.cantidad} supera el stock (${stock}).`);
+
+    const subtotal = round2(l.cantidad * precio * (1 - l.descuento / 100));
+    const porcIva = num(item?.porc_iva ?? item?.iva ?? item?.alicuotaIva);
+    const ivaLinea = porcIva != null ? round2(subtotal * porcIva / 100) : 0;
+    neto += subtotal;
+    iva += ivaLinea;
+
+    lineas.push({
+      itemId: l.itemId,
+      ...(l.itemId != null && !item ? { item_encontrado: false } : {}),
+      descripcion: (item && (item.item ?? pickNombre(item))) || pickNombre(l.raw) || null,
+      cantidad: l.cantidad,
+      precio_unitario: precio,
+      origen_precio: origen,
+      descuento: l.descuento,
+      subtotal,
+      ...(porcIva != null ? { porc_iva: porcIva, iva: ivaLinea } : {}),
+      total: round2(subtotal + ivaLinea),
+      ...(stock != null ? { stock } : {}),
+    });
+    detalle.push(l.raw.precio == null && origen !== 'sin_precio' ? { ...l.raw, precio } : l.raw);
+  }
+
+  const percs = percepciones.map(p => {
+    const a = alicuota(p);
+    if (a == null) warn.push(`Percepción ${p.id ?? p.nombre}: sin alícuota, no se calcula.`);
+    return { id: p.id ?? p.idPercepcion ?? p.id_percepcion ?? null, nombre: p.nombre ?? p.descripcion ?? null, alicuota: a, importe: a == null ? 0 : round2(neto * a / 100) };
+  });
+  const totalPerc = percs.reduce((s, p) => s + p.importe, 0);
+
+  // Payload final: el body con los precios resueltos en los renglones
+  const detailArray = pickDetailArray(body);
+  const detailKey = Object.keys(body || {}).find(k => body[k] === detailArray);
+  const payload = detailKey ? { ...body, [detailKey]: detalle } : { ...body };
+
+  return {
+    payload,
+    cliente: cliente ? { id: clienteId, nombre: cliente.razon_social ?? cliente.nombre ?? cliente.apellido_razon_social ?? null } : null,
+    lista_precio: lista && !lista.noEncontrada ? { id: listaKey(lista), nombre: lista.nombre ?? lista.descripcion ?? null } : null,
+    lineas,
+    totales: {
+      neto: round2(neto),
+      iva: round2(iva),
+      percepciones: percs,
+      total: round2(neto + iva + totalPerc),
+    },
+    advertencias: warn,
+  };
+}
+
+// Cotización a partir de la vista previa: totales con impuestos separados y el body listo para POST /duxc/pedido
+// (sólo los renglones con item encontrado y precio).
+export function buildQuote({ payload, cliente, lista_precio, lineas, totales, advertencias }) {
+  const cotizables = lineas.filter(l => l.itemId != null && l.item_encontrado !== false && l.origen_precio !== 'sin_precio');
+  const totalPercepciones = round2(totales.percepciones.reduce((s, p) => s + p.importe, 0));
+  return {
+    cliente,
+    lista_precio,
+    lineas: lineas.map(l => ({ ...l, ...(l.stock != null ? { disponible: l.stock >= l.cantidad } : {}) })),
+    totales: {
+      subtotal: totales.neto,
+      iva: totales.iva,
+      percepciones: totales.percepciones,
+      impuestos: round2(totales.iva + totalPercepciones),
+      total: totales.total,
+    },
+    pedido: {
+      clienteId: pickClienteId(payload),
+      items: cotizables.map(l => ({ itemId: l.itemId, cantidad: l.cantidad, precio: l.precio_unitario, ...(l.descuento ? { descuento: l.descuento } : {}) })),
+      ...(payload.observaciones ? { observaciones: payload.observaciones } : {}),
+    },
+    advertencias,
+  };
+}
@@ -0,0 +1,124 @@
+// lib/query.js
+// Mini lenguaje de consulta sobre filas de Dux: filter, sort y q (búsqueda de texto).
+//
+//   filter=precio gt 100;rubro.nombre contains perro;estado in A,B
+//     cláusulas separadas por ";" (todas deben cumplirse), cada una "campo op valor".
+//     ops: eq ne gt lt gte lte contains in. Campos anidados con punto.
+//   sort=-precio,item      ("-" => descendente)
+//   q=yerba mate           todas las palabras, sin acentos ni mayúsculas, en los campos de texto
+
+const OPS = ['eq', 'ne', 'gt', 'lt', 'gte', 'lte', 'contains', 'in'];
+
+export function normalizeText(v) {
+  return String(v ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+export function getPath(row, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), row);
+}
+
+const isNumeric = (v) => v !== '' && v !== null && typeof v !== 'boolean' && Number.isFinite(Number(v));
+
+// Números como números; el resto como texto normalizado (fechas ISO ordenan bien como texto)
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;   // nulos al final
+  if (b == null) return -1;
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const x = normalizeText(a), y = normalizeText(b);
+  return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+// Error con el param culpable (para invalidParams)
+function queryError(param, reason) {
+  const e = new Error(`${param}: ${reason}`);
+  e.isQuery = true;
+  e.param = param;
+  e.reason = reason;
+  return e;
+}
+
+export function parseFilter(expr) {
+  return String(expr)
+    .split(';')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(clause => {
+      const m = clause.match(/^([\w.]+)\s+(\w+)\s+(.*)$/);
+      if (!m) throw queryError('filter', `"${clause}" debe tener la forma "campo op valor"`);
+      const [, field, rawOp, value] = m;
+      const op = rawOp.toLowerCase();
+      if (!OPS.includes(op)) throw queryError('filter', `operador "${rawOp}" inválido (usar ${OPS.join(', ')})`);
+      return { field, op, value: op === 'in' ? value.split(',').map(s => s.trim()) : value.trim() };
+    });
+}
+
+export function parseSort(expr) {
+  return String(expr)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => {
+      const desc = s.startsWith('-');
+      const field = s.replace(/^[-+]/, '');
+      if (!/^[\w.]+$/.test(field)) throw queryError('sort', `campo "${s}" inválido`);
+      return { field, desc };
+    });
+}
+
+function matchClause(row, { field, op, value }) {
+  const v = getPath(row, field);
+  switch (op) {
+    case 'eq':       return compareValues(v, value) === 0;
+    case 'ne':       return compareValues(v, value) !== 0;
+    case 'gt':       return v != null && compareValues(v, value) > 0;
+    case 'lt':       return v != null && compareValues(v, value) < 0;
+    case 'gte':      return v != null && compareValues(v, value) >= 0;
+    case 'lte':      return v != null && compareValues(v, value) <= 0;
+    case 'contains': return normalizeText(typeof v === 'object' ? JSON.stringify(v) : v).includes(normalizeText(value));
+    case 'in':       return value.some(x => compareValues(v, x) === 0);
+    default:         return false;
+  }
+}
+
+// Texto buscable de la fila: los campos indicados o todos los escalares de primer nivel
+function searchableText(row, fields) {
+  const vals = fields?.length
+    ? fields.map(f => getPath(row, f)).map(v => (v && typeof v === 'object' ? JSON.stringify(v) : v))
+    : Object.values(row || {}).filter(v => typeof v === 'string' || typeof v === 'number');
+  return normalizeText(vals.filter(v => v != null).join(' '));
+}
+
+// null si no hay filter/sort/q; si no { match(row), sort(rows), sorted }
+export function compileListQuery({ filter, sort, q } = {}, { searchFields = null } = {}) {
+  if (!filter && !sort && !q) return null;
+  const clauses = filter ? parseFilter(filter) : [];
+  const order = sort ? parseSort(sort) : [];
+  const terms = q ? normalizeText(q).split(/\s+/).filter(Boolean) : [];
+
+  return {
+    sorted: order.length > 0,
+    match(row) {
+      if (!clauses.every(c => matchClause(row, c))) return false;
+      if (!terms.length) return true;
+      const text = searchableText(row, searchFields);
+      return terms.every(t => text.includes(t));
+    },
+    sort(rows) {
+      if (!order.length) return rows;
+      return [...rows].sort((a, b) => {
+        for (const { field, desc } of order) {
+          const va = getPath(a, field), vb = getPath(b, field);
+          const c = compareValues(va, vb);
+          // nulos siempre al final, también en orden descendente
+          if (c !== 0) return (va == null || vb == null) ? c : (desc ? -c : c);
+        }
+        return 0;
+      });
+    },
+  };
+}
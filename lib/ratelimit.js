@@ -0,0 +1,111 @@
+// lib/ratelimit.js
+// Límites de entrada por API key, por clase de ruta (read, write, analytics): token bucket (ráfaga `burst`
+// que se recarga a `perMinute`) y cupo diario (`daily`, corta a la medianoche de tz). Se revisan antes de
+// encolar hacia Dux, así un cliente desbocado no deja sin turno a los demás. 0 o null = sin límite.
+//
+// Los buckets viven en memoria; los contadores diarios se guardan en JSON (el cupo sobrevive reinicios).
+import { readJson, writeJsonAtomic } from './feed.js';
+import { todayIn, secondsUntilMidnight } from './dates.js';
+
+export const LIMIT_CLASSES = ['read', 'write', 'analytics'];
+
+export function createRateLimiter({ file = null, tz, historyDays = 7, flushMs = 5000 }) {
+  const buckets = new Map(); // `${keyId}:${cls}` -> { tokens, at }
+  const state = file ? readJson(file, { days: {} }) : { days: {} }; // days[fecha][keyId] = { read, write, analytics, rejected: {...} }
+  let dirty = false;
+  let timer = null;
+
+  function countsFor(keyId) {
+    const day = todayIn(tz);
+    if (!state.days[day]) {
+      state.days[day] = {};
+      for (const d of Object.keys(state.days).sort().slice(0, -historyDays)) delete state.days[d];
+    }
+    return (state.days[day][keyId] ||= { read: 0, write: 0, analytics: 0, rejected: { read: 0, write: 0, analytics: 0 } });
+  }
+
+  // Recarga el bucket según el tiempo transcurrido; null si la clase no tiene ritmo
+  function bucketFor(keyId, cls, l) {
+    if (!l.perMinute) return null;
+    const burst = l.burst || l.perMinute;
+    const key = `${keyId}:${cls}`;
+    const now = Date.now();
+    const b = buckets.get(key) || { tokens: burst, at: now };
+    b.tokens = Math.min(burst, b.tokens + ((now - b.at) / 60000) * l.perMinute);
+    b.at = now;
+    buckets.set(key, b);
+    return { b, burst, perSecond: l.perMinute / 60 };
+  }
+
+  // Lo que se informa en RateLimit-*: la ventana más cerca de agotarse (cupo diario o bucket)
+  function window({ bucket, l, used }) {
+    const quota = l.daily ? { limit: l.daily, remaining: Math.max(0, l.daily - used), resetS: secondsUntilMidnight(tz) } : null;
+    const rate = bucket
+      ? { limit: bucket.burst, remaining: Math.floor(bucket.b.tokens), resetS: Math.ceil((bucket.burst - bucket.b.tokens) / bucket.perSecond) }
+      : null;
+    const policy = [l.perMinute ? `${l.perMinute};w=60;burst=${bucket.burst}` : null, l.daily ? `${l.daily};w=86400` : null].filter(Boolean).join(', ');
+    const shown = quota && (!rate || quota.remaining < rate.remaining) ? quota : rate;
+    return shown ? { ...shown, policy } : null;
+  }
+
+  return {
+    // Consume `cost` (p.ej. operaciones de un lote) => { ok, window } o { ok: false, reason: 'rate'|'quota', retryAfterS, window }
+    take(keyId, cls, limits, cost = 1) {
+      const l = limits?.[cls] || {};
+      const counts = countsFor(keyId);
+      const used = counts[cls];
+      const bucket = bucketFor(keyId, cls, l);
+      // Al bucket se le cobra a lo sumo la ráfaga (un lote más grande igual tiene que poder entrar); al cupo, todo
+      const tokens = bucket ? Math.min(cost, bucket.burst) : 0;
+
+      let reject = null;
+      if (l.daily && used + cost > l.daily) reject = { reason: 'quota', retryAfterS: secondsUntilMidnight(tz) };
+      else if (bucket && bucket.b.tokens < tokens) reject = { reason: 'rate', retryAfterS: Math.ceil((tokens - bucket.b.tokens) / bucket.perSecond) };
+
+      if (reject) {
+        counts.rejected[cls]++;
+      } else {
+        if (bucket) bucket.b.tokens -= tokens;
+        counts[cls] = used + cost;
+      }
+      dirty = true;
+      return { ok: !reject, ...reject, window: window({ bucket, l, used: counts[cls] }) };
+    },
+
+    // Consumo de las keys: hoy, historial y ráfaga disponible ahora
+    usage(keyId, limits) {
+      const today = todayIn(tz);
+      const history = Object.keys(state.days).sort().reverse()
+        .filter(d => state.days[d][keyId])
+        .map(d => ({ date: d, ...state.days[d][keyId] }));
+      const counts = state.days[today]?.[keyId];
+      return {
+        apiKeyId: keyId,
+        limits,
+        today: Object.fromEntries(LIMIT_CLASSES.map(c => {
+          const used = counts?.[c] || 0;
+          const l = limits?.[c] || {};
+          const bucket = bucketFor(keyId, c, l);
+          return [c, {
+            used,
+            rejected: counts?.rejected[c] || 0,
+            ...(l.daily ? { remaining: Math.max(0, l.daily - used) } : {}),
+            ...(bucket ? { burstAvailable: Math.floor(bucket.b.tokens) } : {}),
+          }];
+        })),
+        history,
+      };
+    },
+
+    flush() {
+      if (file && dirty) writeJsonAtomic(file, state);
+      dirty = false;
+    },
+    start() {
+      if (timer || !file) return;
+      timer = setInterval(() => this.flush(), flushMs);
+      timer.unref();
+    },
+    stop() { clearInterval(timer); timer = null; this.flush(); },
+  };
+}
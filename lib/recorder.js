@@ -0,0 +1,98 @@
+// lib/recorder.js
+// Grabación y reproducción de intercambios con Dux (DUX_MODE=record|replay).
+//
+// record: cada respuesta real de Dux se agrega al cassette (JSONL) sin el header authorization
+//         y con los datos sensibles del body/params redactados.
+// replay: un adapter de axios responde desde el cassette sin salir a la red. Se busca por
+//         método + path + params + hash del body; si hay varias grabaciones se sirven en orden
+//         (la última se repite). Lo no grabado responde 501.
+import fs from 'fs';
+import path from 'path';
+import { AxiosError } from 'axios';
+import { hashPayload, stableStringify } from './idempotency.js';
+import { redact } from './audit.js';
+
+export const DUX_MODES = ['live', 'record', 'replay'];
+
+// Clave de un request (los params se ordenan; undefined/'' no cuentan)
+export function exchangeKey({ method = 'get', url, params, data }) {
+  const clean = Object.fromEntries(Object.entries(params || {}).filter(([, v]) => v !== undefined && v !== ''));
+  const body = typeof data === 'string' ? JSON.parse(data || 'null') : data;
+  return `${method.toUpperCase()} ${url} ${stableStringify(redact(clean))} ${body == null ? '-' : hashPayload(redact(body))}`;
+}
+
+export function createDuxRecorder({ mode = 'live', file, log = console }) {
+  if (!DUX_MODES.includes(mode)) throw new Error(`DUX_MODE inválido: ${mode} (${DUX_MODES.join(', ')})`);
+
+  function readCassette() {
+    const byKey = new Map();
+    if (!fs.existsSync(file)) return byKey;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const ex = JSON.parse(line);
+        if (!byKey.has(ex.key)) byKey.set(ex.key, []);
+        byKey.get(ex.key).push(ex);
+      } catch { /* línea truncada */ }
+    }
+    return byKey;
+  }
+
+  function attachRecord(instance) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(file, 'a');
+    const save = (config, response) => {
+      if (!response) return; // error de red: no hay nada que reproducir
+      const ex = {
+        key: exchangeKey(config),
+        at: new Date().toISOString(),
+        request: { method: config.method.toUpperCase(), url: config.url, params: redact(config.params || {}) },
+        response: {
+          status: response.status,
+          headers: response.headers?.['retry-after'] ? { 'retry-after': response.headers['retry-after'] } : {},
+          data: redact(response.data),
+        },
+      };
+      try {
+        fs.writeSync(fd, JSON.stringify(ex) + '\n');
+      } catch (e) {
+        log.warn(`[recorder] no se pudo grabar: ${e.message}`);
+      }
+    };
+    instance.interceptors.response.use(
+      (resp) => { save(resp.config, resp); return resp; },
+      (err) => { if (err.config) save(err.config, err.response); return Promise.reject(err); },
+    );
+  }
+
+  function attachReplay(instance) {
+    const cassette = readCassette();
+    const served = new Map(); // key -> cuántas se sirvieron
+    log.info(`[recorder] replay de ${[...cassette.values()].reduce((n, l) => n + l.length, 0)} intercambios desde ${file}`);
+
+    instance.defaults.adapter = async (config) => {
+      const key = exchangeKey(config);
+      const list = cassette.get(key);
+      if (!list) {
+        const response = { status: 501, statusText: 'Not Recorded', headers: {}, config, data: `Sin grabación para ${key}` };
+        throw new AxiosError('Request no grabado en el cassette', AxiosError.ERR_BAD_RESPONSE, config, null, response);
+      }
+      const i = Math.min(served.get(key) || 0, list.length - 1);
+      served.set(key, i + 1);
+      const { status, headers, data } = list[i].response;
+      const response = { status, statusText: String(status), headers, config, data, request: {} };
+      if (status >= 200 && status < 300) return response;
+      throw new AxiosError(`Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, null, response);
+    };
+  }
+
+  return {
+    mode,
+    attach(instance) {
+      if (mode === 'record') attachRecord(instance);
+      else if (mode === 'replay') attachReplay(instance);
+      return instance;
+    },
+  };
+}
@@ -0,0 +1,794 @@
+// lib/routes.js
+// Registro único de operaciones del bridge: de acá salen las rutas Express y el OpenAPI.
+//
+// kind: 'list'   => passthrough GET paginado (makeGetProxy)
+//       'write'  => POST hacia Dux (makePostProxy)
+//       'custom' => handler propio en server.js; sólo se documenta acá
+// params: { name, in='query', type, required, description, default, minimum, maximum, enum, format }
+// cache: 'static' | 'catalog' | 'prices' (ver políticas en server.js)
+// searchFields: campos donde busca ?q= (default: todos los de texto/número de la fila)
+// actions: false => no entra en la variante para ChatGPT Actions
+// job: { kind, statusPath } => la escritura responde 202 con un job que el bridge sigue en segundo plano
+// confirm: true => la escritura responde 202 con un borrador; se ejecuta con POST /duxc/confirmar/{token}
+// accepted: '<descripción>' => (custom) responde 202 con response
+
+import { AUDIT_OUTCOMES } from './audit.js';
+import { BATCH_MODES } from './batch.js';
+import { SEARCH_TYPES } from './search.js';
+import { BREAKER_STATES } from './breaker.js';
+import { ERROR_CODES, LANGS } from './errors.js';
+
+export const DUX_PATHS = {
+  items: '/items',
+  compras: '/compras',
+  cobranzas: '/cobranzas',
+  depositos: '/deposito',        // antes estaba '/deposito'
+  empresas: '/empresas',
+  facturas: '/facturas',
+  pedidos: '/pedidos',
+  listasPrecioVenta: '/listaprecioventa',
+  localidades: '/localidades',    // antes estaba '/localidad'
+  percepciones: '/percepcionesImpuestos',
+  personal: '/personal',
+  provincias: '/provincias',
+  rubros: '/rubros',
+  subrubros: '/subrubros',
+  sucursales: '/sucursales',      // antes estaba '/sucursal'
+};
+
+// Formato de fechaDesde/fechaHasta que espera cada path de Dux ('iso' = YYYY-MM-DD, 'dmy' = DD/MM/YYYY).
+// El bridge siempre resuelve a YYYY-MM-DD y convierte al llamar; los paths sin entrada van en 'iso'.
+export const DUX_DATE_FORMAT = {
+  [DUX_PATHS.compras]: 'iso',
+  [DUX_PATHS.cobranzas]: 'iso',
+  [DUX_PATHS.facturas]: 'iso',
+  [DUX_PATHS.pedidos]: 'iso',
+};
+
+// --- Params compartidos ---
+const p = (name, type, extra = {}) => ({ name, type, ...extra });
+
+const LIMIT_50 = p('limit', 'integer', { default: 50 });
+const OFFSET   = p('offset', 'integer', { default: 0 });
+const BUSCAR   = p('buscar', 'string');
+
+// Fechas: YYYY-MM-DD, DD/MM/YYYY o expresiones (lib/dates.js)
+const fechaDesde = (description = 'Desde: YYYY-MM-DD, DD/MM/YYYY o expresión ("ayer", "este mes"...).') => p('fechaDesde', 'string', { format: 'date', description });
+const fechaHasta = (description = 'Hasta: YYYY-MM-DD, DD/MM/YYYY o expresión ("hoy"; "mes pasado" = su último día).') => p('fechaHasta', 'string', { format: 'date', description });
+const PERIODO = p('periodo', 'string', { format: 'date', description: 'Rango en palabras, en vez de fechaDesde/fechaHasta: "ayer", "la semana pasada", "este mes", "mes pasado", "Q3", "marzo 2024", "últimos 30 días", "del 1/3 al 15/3".' });
+
+const EMPRESA_SUCURSAL_FECHAS = [
+  p('idEmpresa', 'integer', { required: true, description: 'ID de la empresa.' }),
+  p('idSucursal', 'integer', { description: 'ID de sucursal (opcional).' }),
+  fechaDesde(),
+  fechaHasta(),
+  PERIODO,
+  p('limit', 'integer', { minimum: 1, maximum: 1000, default: 50, description: 'Tamaño de página.' }),
+  p('offset', 'integer', { minimum: 0, default: 0, description: 'Desplazamiento.' }),
+];
+
+// --- Schemas reutilizables (components.schemas) ---
+export const SCHEMAS = {
+  DuxOk: {
+    type: 'object',
+    description: 'Respuesta passthrough desde Dux',
+    properties: {
+      data: { description: 'Contenido devuelto por Dux', type: 'object', additionalProperties: true },
+    },
+    additionalProperties: true,
+  },
+  Problem: {
+    type: 'object',
+    description: 'Error del bridge (RFC 7807). title y detail vienen en el idioma de Accept-Language (es|en) y se pueden mostrar tal cual al usuario.',
+    properties: {
+      type: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string', description: 'Qué pasó y qué hacer' },
+      code: { type: 'string', enum: ERROR_CODES, description: 'Código estable (catálogo en GET /errors)' },
+      instance: { type: 'string' },
+      requestId: { type: 'string' },
+      invalidParams: {
+        type: 'array',
+        description: 'Errores por campo (del bridge o traducidos de la respuesta de Dux)',
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string' }, in: { type: 'string' }, reason: { type: 'string' } },
+        },
+      },
+      operation: { type: 'string' },
+      upstream: {
+        type: 'object',
+        description: 'Respuesta original de Dux (diagnóstico)',
+        properties: { status: { type: 'integer', nullable: true }, netCode: { type: 'string' }, body: {} },
+      },
+    },
+    required: ['title', 'status', 'code'],
+    additionalProperties: true,
+  },
+  ErrorCatalog: {
+    type: 'object',
+    properties: {
+      lang: { type: 'string', enum: LANGS },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            status: { type: 'integer', nullable: true, description: 'null: sólo aparece en jobs y lotes' },
+            title: { type: 'string' },
+            detail: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  CrearPedidoBody: {
+    type: 'object',
+    required: ['clienteId', 'items'],
+    properties: {
+      clienteId: { type: 'integer' },
+      observaciones: { type: 'string' },
+      externalId: { type: 'string', description: 'Idempotencia: clave única del pedido' },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['itemId', 'cantidad'],
+          properties: {
+            itemId: { type: 'integer' },
+            cantidad: { type: 'number' },
+            precio: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+  CotizacionBody: {
+    type: 'object',
+    required: ['clienteId', 'items'],
+    properties: {
+      clienteId: { type: 'integer' },
+      idListaPrecio: { type: 'integer', description: 'Default: la lista del cliente o la predeterminada.' },
+      percepciones: { type: 'array', items: { type: 'integer' }, description: 'Además de las del cliente.' },
+      observaciones: { type: 'string' },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['itemId', 'cantidad'],
+          properties: {
+            itemId: { type: 'integer' },
+            cantidad: { type: 'number', minimum: 0 },
+            precio: { type: 'number', description: 'Precio pactado; default: el de la lista.' },
+            descuento: { type: 'number', description: 'Porcentaje.' },
+          },
+        },
+      },
+    },
+  },
+  Cotizacion: {
+    type: 'object',
+    properties: {
+      cliente: { type: 'object', nullable: true, properties: { id: {}, nombre: { type: 'string', nullable: true } } },
+      lista_precio: { type: 'object', nullable: true, properties: { id: { type: 'string' }, nombre: { type: 'string', nullable: true } } },
+      lineas: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            itemId: { type: 'integer' },
+            descripcion: { type: 'string', nullable: true },
+            cantidad: { type: 'number' },
+            precio_unitario: { type: 'number' },
+            origen_precio: { type: 'string', enum: ['body', 'lista', 'item', 'sin_precio'] },
+            descuento: { type: 'number' },
+            subtotal: { type: 'number' },
+            porc_iva: { type: 'number' },
+            iva: { type: 'number' },
+            total: { type: 'number' },
+            stock: { type: 'number' },
+            disponible: { type: 'boolean', description: 'El stock alcanza para la cantidad pedida.' },
+          },
+        },
+      },
+      totales: {
+        type: 'object',
+        properties: {
+          subtotal: { type: 'number', description: 'Neto con descuentos, sin impuestos.' },
+          iva: { type: 'number' },
+          percepciones: {
+            type: 'array',
+            items: { type: 'object', properties: { id: {}, nombre: { type: 'string' }, alicuota: { type: 'number' }, importe: { type: 'number' } } },
+          },
+          impuestos: { type: 'number', description: 'IVA + percepciones.' },
+          total: { type: 'number' },
+        },
+      },
+      pedido: { $ref: '#/components/schemas/CrearPedidoBody', description: 'Body listo para POST /duxc/pedido con los precios cotizados.' },
+      advertencias: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  VentasResumen: {
+    type: 'object',
+    properties: {
+      rango: { $ref: '#/components/schemas/Rango' },
+      rango_anterior: { $ref: '#/components/schemas/Rango', nullable: true },
+      groupBy: { type: 'string' },
+      source: { type: 'string' },
+      totales: { $ref: '#/components/schemas/TotalesVentas' },
+      anterior: { $ref: '#/components/schemas/TotalesVentas', nullable: true },
+      variacion: {
+        type: 'object',
+        nullable: true,
+        description: 'Diferencia contra el período anterior: { diferencia, variacion_pct } por métrica.',
+        additionalProperties: true,
+      },
+      series: {
+        type: 'array',
+        description: 'Un elemento por período o por sucursal/vendedor/rubro según groupBy.',
+        items: {
+          type: 'object',
+          description: 'Mismos campos que TotalesVentas, más clave/nombre y la comparación.',
+          additionalProperties: true,
+          properties: {
+            clave: { type: 'string' },
+            nombre: { type: 'string', nullable: true },
+            anterior: { type: 'number', description: 'Ventas netas del período/clave equivalente anterior.' },
+          },
+        },
+      },
+      filas_procesadas: { type: 'integer' },
+    },
+  },
+  TotalesVentas: {
+    type: 'object',
+    properties: {
+      ventas_netas: { type: 'number' },
+      ventas_brutas: { type: 'number' },
+      notas_credito: { type: 'number' },
+      comprobantes: { type: 'integer' },
+      cantidad_notas_credito: { type: 'integer' },
+      ticket_promedio: { type: 'number' },
+    },
+  },
+  Rango: {
+    type: 'object',
+    description: 'Fechas efectivamente usadas (expresiones ya resueltas)',
+    properties: {
+      fechaDesde: { type: 'string', format: 'date' },
+      fechaHasta: { type: 'string', format: 'date' },
+      tz: { type: 'string', description: 'Zona horaria en la que se resolvieron' },
+    },
+  },
+  CuentasACobrar: {
+    type: 'object',
+    properties: {
+      fecha_corte: { type: 'string', format: 'date' },
+      rango: { $ref: '#/components/schemas/Rango' },
+      modo: { type: 'string', enum: ['saldo_dux', 'imputacion'], description: 'saldo_dux: saldos informados por Dux; imputacion: calculados con cobranzas y notas de crédito.' },
+      totales: {
+        type: 'object',
+        properties: {
+          saldo: { type: 'number' },
+          a_favor: { type: 'number' },
+          clientes: { type: 'integer' },
+          buckets: { $ref: '#/components/schemas/AgingBuckets' },
+        },
+      },
+      clientes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            idCliente: { type: 'string' },
+            nombre: { type: 'string', nullable: true },
+            saldo: { type: 'number' },
+            a_favor: { type: 'number', description: 'Créditos sin imputar (cobranzas o notas de crédito).' },
+            buckets: { $ref: '#/components/schemas/AgingBuckets' },
+            dias_max: { type: 'integer' },
+            documentos: {
+              type: 'array',
+              description: 'Comprobantes abiertos (con detalle=1).',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {}, numero: {}, tipo: { type: 'string' }, fecha: { type: 'string', nullable: true },
+                  dias: { type: 'integer', nullable: true }, total: { type: 'number' }, saldo: { type: 'number' }, bucket: { type: 'string' },
+                  estimado: { type: 'boolean', description: 'Dux no informó su saldo: total menos cobranzas imputadas.' },
+                },
+              },
+            },
+          },
+        },
+      },
+      total_clientes: { type: 'integer' },
+      filas_procesadas: { type: 'integer' },
+      advertencias: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  AgingBuckets: {
+    type: 'object',
+    description: 'Saldo por antigüedad en días desde la emisión.',
+    properties: {
+      '0-30': { type: 'number' }, '31-60': { type: 'number' }, '61-90': { type: 'number' }, '90+': { type: 'number' },
+    },
+  },
+  Job: {
+    type: 'object',
+    description: 'Escritura asíncrona seguida por el bridge',
+    properties: {
+      id: { type: 'string' },
+      kind: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'pending', 'ok', 'rejected', 'error'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time' },
+      dux_ref: { type: 'object', description: 'Identificador devuelto por Dux con el que se consulta el estado.', additionalProperties: true },
+      result: {
+        type: 'object',
+        properties: { cae: { type: 'string' }, caeVencimiento: { type: 'string' }, numero: {} },
+        additionalProperties: true,
+      },
+      error: { type: 'object', properties: { code: { type: 'string' }, detail: { type: 'string' } } },
+      callback: { type: 'object', properties: { url: { type: 'string' }, status: { type: 'string', enum: ['pending', 'sent', 'failed'] } } },
+      links: { type: 'object', properties: { self: { type: 'string' } } },
+    },
+  },
+  Borrador: {
+    type: 'object',
+    description: 'Escritura pendiente de confirmación',
+    properties: {
+      token: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled', 'expired'] },
+      route: { type: 'string', description: 'Operación que se ejecuta al confirmar.' },
+      resumen: { type: 'string', description: 'Qué se va a escribir, para mostrar antes de confirmar.' },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      confirmar: { type: 'object', properties: { method: { type: 'string' }, url: { type: 'string' } } },
+      cancelar: { type: 'object', properties: { method: { type: 'string' }, url: { type: 'string' } } },
+    },
+  },
+  LoteBody: {
+    type: 'object',
+    required: ['operations'],
+    properties: {
+      mode: { type: 'string', enum: BATCH_MODES, default: 'stop', description: 'stop: tras un error se saltean las siguientes; continue: se ejecutan igual.' },
+      operations: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['op', 'body'],
+          properties: {
+            id: { type: 'string', description: 'Nombre para referenciar el resultado (default: la posición).' },
+            op: { type: 'string', description: 'operationId (crear_cobranza) o path (/duxc/cobranza) de una escritura.' },
+            body: { type: 'object', additionalProperties: true, description: 'Body de la escritura; { "$ref": "<id>.<campo>" } toma un valor del resultado de una operación anterior.' },
+            idempotencyKey: { type: 'string', description: 'Default: <Idempotency-Key del lote o id del lote>:<id>.' },
+          },
+        },
+      },
+    },
+  },
+  Lote: {
+    type: 'object',
+    description: 'Lote de escrituras y el resultado de cada operación',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'ok', 'partial', 'failed'] },
+      mode: { type: 'string', enum: BATCH_MODES },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time' },
+      summary: {
+        type: 'object',
+        properties: { total: { type: 'integer' }, ok: { type: 'integer' }, error: { type: 'integer' }, skipped: { type: 'integer' }, pending: { type: 'integer' } },
+      },
+      operations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            op: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'running', 'ok', 'error', 'skipped'] },
+            idempotencyKey: { type: 'string' },
+            replayed: { type: 'boolean', description: 'Ya se había ejecutado con esa clave; se devuelve el resultado original.' },
+            result: { type: 'object', additionalProperties: true, description: 'Respuesta de Dux; en factura/items, el resultado final del job.' },
+            error: { type: 'object', properties: { code: { type: 'string' }, detail: { type: 'string' } } },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+      },
+      links: { type: 'object', properties: { self: { type: 'string' } } },
+    },
+  },
+  Busqueda: {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { description: 'id_item, id_cliente o id_personal en Dux.' },
+            nombre: { type: 'string', nullable: true },
+            confianza: { type: 'number', description: '0 a 1; 1 = código o id exacto.' },
+            coincidencia: { type: 'string', enum: ['codigo', 'id', 'nombre'] },
+            data: { type: 'object', additionalProperties: true, description: 'Fila tal como la devuelve Dux.' },
+          },
+        },
+      },
+      ambiguo: { type: 'boolean', description: 'Los dos primeros tienen casi la misma confianza.' },
+      indexedAt: { type: 'string', format: 'date-time' },
+      total: { type: 'integer', description: 'Registros en el índice.' },
+    },
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      ready: { type: 'boolean' },
+      dux: {
+        type: 'object',
+        properties: {
+          circuit: {
+            type: 'object',
+            properties: {
+              state: { type: 'string', enum: BREAKER_STATES },
+              consecutiveFailures: { type: 'integer' },
+              openedAt: { type: 'string', format: 'date-time' },
+              retryAfterS: { type: 'integer' },
+              lastFailure: { type: 'object', properties: { at: { type: 'string', format: 'date-time' }, reason: { type: 'string' } } },
+            },
+          },
+          lastSuccessAt: { type: 'string', format: 'date-time', nullable: true },
+          tokenRejected: { type: 'boolean', description: 'Dux respondió 401/403 (DUX_UNAUTHORIZED) hace poco para algún tenant.' },
+          rejectedCount: { type: 'integer', description: 'Cuántos tenants; el detalle está en GET /admin/health (scope admin).' },
+        },
+      },
+      queue: { type: 'object', properties: { depth: { type: 'integer' }, running: { type: 'integer' } } },
+    },
+  },
+  Auditoria: {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ts: { type: 'string', format: 'date-time' },
+            requestId: { type: 'string' },
+            tenantId: { type: 'string' },
+            apiKeyId: { type: 'string', description: 'Hash corto de la API key que hizo la llamada.' },
+            operation: { type: 'string', description: 'operationId de la escritura.' },
+            event: { type: 'string', description: '"job.finished" en el resultado final de un job.' },
+            externalId: { type: 'string', nullable: true },
+            payloadHash: { type: 'string' },
+            payload: { type: 'object', additionalProperties: true, description: 'Body con datos sensibles redactados.' },
+            status: { type: 'integer', nullable: true },
+            outcome: { type: 'string', enum: AUDIT_OUTCOMES },
+            response: { description: 'Respuesta de Dux (recortada si es grande).' },
+            error: { description: 'Error devuelto al cliente o informado por Dux.' },
+            latencyMs: { type: 'integer' },
+          },
+        },
+      },
+      hasMore: { type: 'boolean', description: 'Hay más entradas; acotar con hasta= o filtros.' },
+    },
+  },
+  Uso: {
+    type: 'object',
+    properties: {
+      tenantId: { type: 'string' },
+      tz: { type: 'string', description: 'Zona horaria en la que corta el cupo diario.' },
+      keys: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            apiKeyId: { type: 'string', description: 'Hash corto de la API key.' },
+            current: { type: 'boolean', description: 'Es la key que hizo este pedido.' },
+            limits: {
+              type: 'object',
+              description: 'Por clase (read, write, analytics): perMinute, burst y daily (0 = sin límite).',
+              additionalProperties: {
+                type: 'object',
+                properties: { perMinute: { type: 'integer' }, burst: { type: 'integer' }, daily: { type: 'integer' } },
+              },
+            },
+            today: {
+              type: 'object',
+              description: 'Consumo de hoy por clase.',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  used: { type: 'integer' },
+                  rejected: { type: 'integer', description: 'Pedidos rechazados con 429.' },
+                  remaining: { type: 'integer', description: 'Cupo diario que queda (si hay cupo).' },
+                  burstAvailable: { type: 'integer', description: 'Pedidos que se pueden hacer ya sin esperar.' },
+                },
+              },
+            },
+            history: {
+              type: 'array',
+              description: 'Consumo de los últimos días (más nuevos primero).',
+              items: { type: 'object', properties: { date: { type: 'string', format: 'date' } }, additionalProperties: true },
+            },
+          },
+        },
+      },
+    },
+  },
+  Eventos: {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            seq: { type: 'integer' },
+            id: { type: 'string' },
+            type: { type: 'string', enum: ['factura.created', 'pedido.created', 'compra.created'] },
+            occurredAt: { type: 'string', format: 'date-time' },
+            idEmpresa: { type: 'string' },
+            resource: { type: 'string' },
+            data: { type: 'object', additionalProperties: true, description: 'Fila tal como la devuelve Dux.' },
+          },
+        },
+      },
+      nextCursor: { type: 'string', description: 'Pasar como ?cursor= en la próxima consulta.' },
+      hasMore: { type: 'boolean' },
+      missed: { type: 'boolean', description: 'El cursor era anterior a los eventos retenidos; se perdieron eventos.' },
+    },
+  },
+  WebhookBody: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', description: 'URL http(s) que recibe los eventos (POST firmado).' },
+      events: { type: 'array', items: { type: 'string', enum: ['factura.created', 'pedido.created', 'compra.created'] }, description: 'Tipos a recibir (default: todos).' },
+      description: { type: 'string' },
+    },
+  },
+  FreeForm: {
+    type: 'object',
+    description: 'Cuerpo libre, passthrough al servicio Dux',
+    properties: { payload: { type: 'object', additionalProperties: true } },
+    additionalProperties: true,
+  },
+  TopVendidos: {
+    type: 'object',
+    properties: {
+      top: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            itemId: { type: 'integer' },
+            nombre: { type: 'string', nullable: true },
+            cantidad: { type: 'number' },
+          },
+        },
+      },
+      total_items: { type: 'integer' },
+      rango: {
+        type: 'object',
+        properties: {
+          fechaDesde: { type: 'string', format: 'date', nullable: true },
+          fechaHasta: { type: 'string', format: 'date', nullable: true },
+          tz: { type: 'string' },
+        },
+      },
+      idEmpresa: { type: 'integer' },
+    },
+  },
+};
+
+const list = (path, duxPath, operationId, tag, summary, params = [], extra = {}) =>
+  ({ kind: 'list', method: 'GET', path, duxPath, operationId, tags: [tag], summary, params, scope: 'read', ...extra });
+
+const write = (path, duxPath, operationId, tag, summary, scope, errorTitle, extra = {}) =>
+  ({ kind: 'write', method: 'POST', path, duxPath, operationId, tags: [tag], summary, scope, errorTitle,
+     body: 'FreeForm', idempotent: true, ...extra });
+
+export const ROUTES = [
+  // ----------------- públicas -----------------
+  { kind: 'custom', method: 'GET', path: '/health', operationId: 'health', summary: 'Healthcheck (sin auth)',
+    public: true, actions: false, response: { type: 'object', properties: { ok: { type: 'boolean' } } } },
+  { kind: 'custom', method: 'GET', path: '/health/ready', operationId: 'health_ready', summary: 'Readiness: salud de Dux vista por el bridge (503 si no está listo)',
+    public: true, actions: false, response: 'Readiness' },
+  { kind: 'custom', method: 'GET', path: '/errors', operationId: 'catalogo_errores', summary: 'Catálogo de códigos de error (idioma según Accept-Language)',
+    public: true, actions: false, response: 'ErrorCatalog' },
+
+  // ----------------- GET (consultas) -----------------
+  list('/duxc/items', DUX_PATHS.items, 'buscar_items', 'Items', 'Lista items desde Dux (paginado)', [
+    p('limit', 'integer', { default: 20, minimum: 1, maximum: 100, description: 'Cantidad de registros por página.' }),
+    p('offset', 'integer', { default: 0, minimum: 0, description: 'Desplazamiento (salto) de página.' }),
+    p('buscar', 'string', { description: 'Texto de búsqueda opcional.' }),
+  ], { compact: 'cod_item,item,precios,stock', searchFields: ['item', 'cod_item', 'codigos_barra'] }),
+  list('/duxc/compras', DUX_PATHS.compras, 'listar_compras', 'Compras', 'Lista compras', [
+    fechaDesde(), fechaHasta(), PERIODO, p('idEmpresa', 'integer'),
+    p('limit', 'integer', { default: 20 }), OFFSET,
+  ]),
+  list('/duxc/depositos', DUX_PATHS.depositos, 'listar_depositos', 'Maestros', 'Lista depósitos', [LIMIT_50, OFFSET], { cache: 'catalog' }),
+  list('/duxc/empresas', DUX_PATHS.empresas, 'listar_empresas', 'Maestros', 'Lista empresas'),
+  list('/duxc/facturas', DUX_PATHS.facturas, 'listar_facturas', 'Ventas', 'Lista facturas', EMPRESA_SUCURSAL_FECHAS),
+  list('/duxc/pedidos', DUX_PATHS.pedidos, 'listar_pedidos', 'Ventas', 'Lista pedidos', EMPRESA_SUCURSAL_FECHAS),
+  list('/duxc/listas-precio-venta', DUX_PATHS.listasPrecioVenta, 'listar_listas_precio_venta', 'Maestros', 'Lista de precios de venta',
+    [LIMIT_50, OFFSET], { cache: 'prices' }),
+  list('/duxc/localidades', DUX_PATHS.localidades, 'listar_localidades', 'Maestros', 'Lista localidades',
+    [p('idProvincia', 'integer'), LIMIT_50, OFFSET, BUSCAR], { cache: 'static', actions: false }),
+  list('/duxc/percepciones', DUX_PATHS.percepciones, 'listar_percepciones', 'Maestros', 'Lista percepciones/impuestos', [LIMIT_50, OFFSET]),
+  list('/duxc/personal', DUX_PATHS.personal, 'listar_personal', 'Maestros', 'Lista personal', [LIMIT_50, OFFSET, BUSCAR]),
+  list('/duxc/provincias', DUX_PATHS.provincias, 'listar_provincias', 'Maestros', 'Lista provincias', [LIMIT_50, OFFSET], { cache: 'static', actions: false }),
+  list('/duxc/rubros', DUX_PATHS.rubros, 'listar_rubros', 'Maestros', 'Lista rubros', [
+    p('limit', 'integer', { minimum: 1, maximum: 1000, default: 50, description: 'Tamaño de página.' }),
+    p('offset', 'integer', { minimum: 0, default: 0, description: 'Desplazamiento.' }),
+    p('buscar', 'string', { description: 'Texto de búsqueda (opcional).' }),
+    p('idDeposito', 'integer', { description: 'Filtro por depósito (opcional).' }),
+    p('idSucursal', 'integer', { description: 'Filtro por sucursal (opcional).' }),
+  ], { cache: 'catalog' }),
+  list('/duxc/subrubros', DUX_PATHS.subrubros, 'listar_subrubros', 'Maestros', 'Lista subrubros',
+    [p('idRubro', 'integer'), LIMIT_50, OFFSET, BUSCAR], { cache: 'catalog', actions: false }),
+  list('/duxc/sucursales', DUX_PATHS.sucursales, 'listar_sucursales', 'Maestros', 'Lista sucursales', [LIMIT_50, OFFSET], { cache: 'catalog' }),
+
+  { kind: 'custom', method: 'GET', path: '/duxc/buscar', operationId: 'buscar', tags: ['Busqueda'],
+    summary: 'Busca items, clientes o personal por nombre, código o código de barras y devuelve sus ids', scope: 'read', response: 'Busqueda',
+    description: 'Índice local del bridge (no consulta Dux en cada búsqueda): sin acentos y tolerante a errores de tipeo. Si "ambiguo" es true, confirmar con el usuario antes de usar el id.',
+    params: [
+      p('tipo', 'string', { required: true, enum: SEARCH_TYPES }),
+      p('q', 'string', { required: true, minLength: 1, description: 'Nombre, código, código de barras o CUIT.' }),
+      p('limit', 'integer', { minimum: 1, maximum: 20, default: 5 }),
+    ] },
+
+  // Estado crudo en Dux; params passthrough. Para el GPT alcanza con /jobs/{id}
+  list('/duxc/factura/estado', '/obtenerEstadoFactura', 'estado_factura', 'Ventas', 'Estado de procesamiento de facturas en Dux',
+    [], { actions: false }),
+  list('/duxc/items/estado', '/obtenerEstadoItems', 'estado_items', 'Items', 'Estado de procesamiento de altas/modificaciones de items',
+    [], { actions: false }),
+
+  { kind: 'custom', method: 'GET', path: '/jobs/{id}', operationId: 'consultar_job', tags: ['Jobs'],
+    summary: 'Estado de una factura o alta de item enviada a Dux (pending/ok/rejected con CAE o error)', scope: 'read', response: 'Job',
+    params: [p('id', 'string', { in: 'path', required: true, description: 'ID del job devuelto por el POST.' })] },
+
+  // ----------------- Eventos y webhooks -----------------
+  { kind: 'custom', method: 'GET', path: '/events', operationId: 'listar_eventos', tags: ['Eventos'],
+    summary: 'Facturas, pedidos y compras nuevas detectadas en Dux, desde un cursor', scope: 'read', response: 'Eventos', actions: false,
+    params: [
+      p('cursor', 'string', { description: 'nextCursor de la consulta anterior (vacío = desde el evento más viejo retenido).' }),
+      p('types', 'string', { description: 'Tipos separados por coma: factura.created, pedido.created, compra.created.' }),
+      p('limit', 'integer', { minimum: 1, maximum: 1000, default: 100 }),
+    ] },
+  { kind: 'custom', method: 'GET', path: '/webhooks', operationId: 'listar_webhooks', tags: ['Eventos'],
+    summary: 'Lista las suscripciones de webhooks', scope: 'webhooks', actions: false },
+  { kind: 'custom', method: 'POST', path: '/webhooks', operationId: 'crear_webhook', tags: ['Eventos'],
+    summary: 'Suscribe una URL a los eventos (devuelve el secreto de firma una sola vez)', scope: 'webhooks', body: 'WebhookBody', actions: false },
+  { kind: 'custom', method: 'DELETE', path: '/webhooks/{id}', operationId: 'borrar_webhook', tags: ['Eventos'],
+    summary: 'Elimina una suscripción', scope: 'webhooks', actions: false,
+    params: [p('id', 'string', { in: 'path', required: true })] },
+  { kind: 'custom', method: 'GET', path: '/webhooks/dead-letters', operationId: 'listar_dead_letters', tags: ['Eventos'],
+    summary: 'Entregas que agotaron los reintentos', scope: 'webhooks', actions: false },
+  { kind: 'custom', method: 'POST', path: '/webhooks/dead-letters/{id}/retry', operationId: 'reintentar_dead_letter', tags: ['Eventos'],
+    summary: 'Reenvía una entrega fallida', scope: 'webhooks', actions: false,
+    params: [p('id', 'string', { in: 'path', required: true })] },
+  { kind: 'custom', method: 'DELETE', path: '/webhooks/dead-letters/{id}', operationId: 'borrar_dead_letter', tags: ['Eventos'],
+    summary: 'Descarta una entrega fallida', scope: 'webhooks', actions: false,
+    params: [p('id', 'string', { in: 'path', required: true })] },
+
+  // ----------------- Auditoría -----------------
+  { kind: 'custom', method: 'GET', path: '/audit', operationId: 'consultar_auditoria', tags: ['Auditoria'],
+    summary: 'Escrituras hechas a través del bridge (más nuevas primero)', scope: 'audit', response: 'Auditoria', actions: false,
+    params: [
+      p('desde', 'string', { description: 'Desde: ISO 8601 con hora, o un día/expresión ("ayer", "este mes") desde su inicio en DATE_TZ.' }),
+      p('hasta', 'string', { description: 'Hasta: ISO 8601 con hora, o un día/expresión que incluye hasta el final de su último día en DATE_TZ.' }),
+      p('operation', 'string', { description: 'operationId, p.ej. crear_pago.' }),
+      p('externalId', 'string', { description: 'Idempotency-Key o externalId del body.' }),
+      p('outcome', 'string', { enum: AUDIT_OUTCOMES }),
+      p('requestId', 'string'),
+      p('tenantId', 'string', { description: 'Sólo con scope admin.' }),
+      p('limit', 'integer', { minimum: 1, maximum: 1000, default: 100 }),
+    ] },
+
+  // ----------------- Uso -----------------
+  { kind: 'custom', method: 'GET', path: '/usage', operationId: 'consultar_uso', tags: ['Uso'],
+    summary: 'Consumo y límites de esta API key (con scope admin, de todas las del tenant): rate limit y cupo diario por clase', response: 'Uso', actions: false },
+
+  // ----------------- Analytics -----------------
+  { kind: 'custom', method: 'GET', path: '/analytics/top-vendidos', operationId: 'analytics_top_vendidos', tags: ['Analytics'],
+    summary: 'Top productos vendidos (agregado en el bridge)', scope: 'analytics', response: 'TopVendidos',
+    params: [
+      p('idEmpresa', 'integer', { required: true }),
+      p('idSucursal', 'integer'),
+      fechaDesde(),
+      fechaHasta(),
+      PERIODO,
+      p('top', 'integer', { minimum: 1, maximum: 100, default: 10 }),
+      p('source', 'string', { enum: ['pedidos', 'facturas'], description: 'Origen de datos; default "facturas".' }),
+    ] },
+  { kind: 'custom', method: 'GET', path: '/analytics/ventas-resumen', operationId: 'analytics_ventas_resumen', tags: ['Analytics'],
+    summary: 'Resumen de ventas: netas, comprobantes y ticket promedio vs. período anterior', scope: 'analytics', response: 'VentasResumen',
+    description: 'Ventas netas (facturas menos notas de crédito), cantidad de comprobantes y ticket promedio, agrupados por período o dimensión y comparados con el período anterior de igual duración. Sin fechas usa el mes en curso.',
+    params: [
+      p('idEmpresa', 'integer', { required: true }),
+      p('idSucursal', 'integer'),
+      fechaDesde('Desde (default: primer día del mes en curso). Acepta expresiones como "mes pasado".'),
+      fechaHasta('Hasta (default: hoy).'),
+      PERIODO,
+      p('groupBy', 'string', { enum: ['day', 'week', 'month', 'sucursal', 'vendedor', 'rubro'], default: 'month' }),
+      p('compare', 'integer', { enum: [0, 1], default: 1, description: 'Si es 1, compara con el período anterior.' }),
+      p('source', 'string', { enum: ['pedidos', 'facturas'], description: 'Origen de datos; default "facturas".' }),
+    ] },
+
+  { kind: 'custom', method: 'GET', path: '/analytics/cuentas-a-cobrar', operationId: 'analytics_cuentas_a_cobrar', tags: ['Analytics'],
+    summary: 'Cuentas a cobrar: saldo por cliente y antigüedad (0-30/31-60/61-90/90+)', scope: 'analytics', response: 'CuentasACobrar',
+    description: 'Saldo abierto por cliente a partir de facturas, notas de crédito/débito y cobranzas, separado por antigüedad. Con idCliente o detalle=1 incluye los comprobantes que forman cada saldo.',
+    params: [
+      p('idEmpresa', 'integer', { required: true }),
+      p('idSucursal', 'integer'),
+      p('idCliente', 'integer', { description: 'Sólo este cliente (con detalle de comprobantes).' }),
+      p('fechaCorte', 'string', { format: 'date', description: 'Fecha a la que se calcula la antigüedad (default: hoy). Con una expresión ("mes pasado") toma su último día.' }),
+      fechaDesde('Comprobantes desde (default: fechaCorte - 365 días).'),
+      p('detalle', 'integer', { enum: [0, 1], description: 'Si es 1, incluye los comprobantes abiertos de cada cliente.' }),
+      p('limit', 'integer', { minimum: 1, maximum: 1000, default: 100, description: 'Máximo de clientes (ordenados por saldo).' }),
+    ] },
+
+  // ----------------- POST (operaciones) -----------------
+  { kind: 'custom', method: 'POST', path: '/duxc/cotizacion', operationId: 'cotizar', tags: ['Ventas'],
+    summary: 'Cotiza items para un cliente con su lista de precios, stock y percepciones (no escribe en Dux)', scope: 'read',
+    body: 'CotizacionBody', response: 'Cotizacion',
+    description: 'Devuelve subtotal, IVA, percepciones y total, y en "pedido" el body para POST /duxc/pedido.' },
+  write('/duxc/pedido', '/pedido/nuevopedido', 'crear_pedido', 'Ventas', 'Crea un pedido en Dux',
+    'write:ventas', 'Error creando pedido', { body: 'CrearPedidoBody' }),
+  write('/duxc/factura', '/factura/nuevaFactura', 'crear_factura', 'Ventas', 'Emite una factura en Dux (asíncrono, devuelve un job)',
+    'write:facturacion', 'Error creando factura', { job: { kind: 'factura', statusPath: '/obtenerEstadoFactura' }, confirm: true }),
+  write('/duxc/items/modificar', '/item/nuevoItem', 'modificar_item', 'Items', 'Crea o modifica un item en Dux (asíncrono, devuelve un job)',
+    'write:items', 'Error modificando/creando item', { job: { kind: 'item', statusPath: '/obtenerEstadoItems' } }),
+  write('/duxc/nota-credito', '/notaCredito/nuevaNotaCredito', 'crear_nota_credito', 'Ventas', 'Emite una nota de crédito',
+    'write:facturacion', 'Error creando nota de crédito', { confirm: true }),
+  write('/duxc/nota-debito', '/notaDebito/nuevaNotaDebito', 'crear_nota_debito', 'Ventas', 'Emite una nota de débito',
+    'write:facturacion', 'Error creando nota de débito'),
+  write('/duxc/cobranza', '/cobranza/nuevaCobranza', 'crear_cobranza', 'Tesoreria', 'Registra una cobranza',
+    'write:tesoreria', 'Error creando cobranza'),
+  write('/duxc/pago', '/pago/nuevoPago', 'crear_pago', 'Tesoreria', 'Registra un pago',
+    'write:tesoreria', 'Error creando pago', { confirm: true }),
+  write('/duxc/remito', '/remito/nuevoRemito', 'crear_remito', 'Stock', 'Crea un remito',
+    'write:stock', 'Error creando remito'),
+  write('/duxc/transferencia', '/transferencia/nuevaTransferencia', 'crear_transferencia', 'Stock', 'Crea una transferencia entre depósitos',
+    'write:stock', 'Error creando transferencia'),
+  write('/duxc/ajuste-stock', '/ajusteStock/nuevoAjusteStock', 'crear_ajuste_stock', 'Stock', 'Crea un ajuste de stock',
+    'write:stock', 'Error creando ajuste de stock'),
+  write('/duxc/movimiento-stock', '/movimientoStock/nuevoMovimientoStock', 'crear_movimiento_stock', 'Stock', 'Crea un movimiento de stock',
+    'write:stock', 'Error creando movimiento de stock'),
+
+  // ----------------- Confirmación en dos pasos -----------------
+  { kind: 'custom', method: 'POST', path: '/duxc/confirmar/{token}', operationId: 'confirmar_borrador', tags: ['Borradores'],
+    summary: 'Confirma un borrador y ejecuta la escritura en Dux (la factura devuelve un job)', scope: 'read',
+    description: 'Ejecuta la factura, pago o nota de crédito guardada en el borrador. Confirmar dos veces devuelve el mismo resultado sin volver a escribir.',
+    params: [p('token', 'string', { in: 'path', required: true, description: 'Token devuelto al crear el borrador.' })] },
+  { kind: 'custom', method: 'GET', path: '/duxc/borradores', operationId: 'listar_borradores', tags: ['Borradores'],
+    summary: 'Borradores de esta API key', scope: 'read', actions: false,
+    params: [p('status', 'string', { enum: ['pending', 'confirmed', 'cancelled', 'expired'] })] },
+  { kind: 'custom', method: 'DELETE', path: '/duxc/borradores/{token}', operationId: 'cancelar_borrador', tags: ['Borradores'],
+    summary: 'Cancela un borrador pendiente', scope: 'read', response: 'Borrador',
+    params: [p('token', 'string', { in: 'path', required: true })] },
+
+  // ----------------- Lotes -----------------
+  { kind: 'custom', method: 'POST', path: '/duxc/batch', operationId: 'crear_lote', tags: ['Lotes'],
+    summary: 'Ejecuta varias escrituras en orden (devuelve el lote para consultar)', body: 'LoteBody', response: 'Lote',
+    accepted: 'Aceptado; consultar el avance en /duxc/batch/{id} (si incluye factura, pago o nota de crédito: 202 con un Borrador)',
+    description: 'Cada operación necesita el scope de su escritura. Una operación puede usar el resultado de una anterior con { "$ref": "<id>.<campo>" }.',
+    idempotent: true, actions: false },
+  { kind: 'custom', method: 'GET', path: '/duxc/batch/{id}', operationId: 'consultar_lote', tags: ['Lotes'],
+    summary: 'Estado de un lote y resultado de cada operación', scope: 'read', response: 'Lote', actions: false,
+    params: [p('id', 'string', { in: 'path', required: true })] },
+
+  // Ruta de prueba de idempotencia (no pega a Dux)
+  { kind: 'custom', method: 'POST', path: '/tests/idem', operationId: 'test_idempotencia', tags: ['Tests'],
+    summary: 'Prueba de idempotencia (no llama a Dux)', scope: 'read', body: 'FreeForm', idempotent: true, actions: false },
+];
@@ -0,0 +1,147 @@
+// lib/scheduler.js
+// Cola hacia Dux con clases de prioridad, deadlines y pausa global por Retry-After.
+// Mismo ritmo que la PQueue anterior (intervalCap llamadas cada intervalMs), pero:
+// - escrituras antes que lecturas interactivas, y éstas antes que analytics/background;
+// - un trabajo vencido o abortado se descarta al desencolar SIN gastar el turno;
+// - pauseUntil() congela toda la cola (p.ej. Dux respondió 429 con Retry-After).
+
+export const PRIORITIES = ['write', 'interactive', 'background'];
+
+const WAIT_SAMPLES = 200; // últimas N esperas por clase para promedios/p95
+
+function queueError(message, { status, code }) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  e.detail = message;
+  return e;
+}
+
+// onStart(priority, waitMs): se llama cada vez que un trabajo sale de la cola (métricas)
+export function createScheduler({ intervalMs = 5000, intervalCap = 1, onStart = () => {} } = {}) {
+  const queues = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  const waits = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  const counters = Object.fromEntries(PRIORITIES.map(p => [p, { started: 0, expired: 0, aborted: 0 }]));
+  let starts = [];        // timestamps de arranque dentro de la ventana
+  let running = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function remove(job) {
+    const q = queues[job.priority];
+    const i = q.indexOf(job);
+    if (i >= 0) q.splice(i, 1);
+    return i >= 0;
+  }
+
+  // Próximo trabajo vivo por orden de prioridad; los vencidos se rechazan sin consumir turno
+  function nextJob(now) {
+    for (const p of PRIORITIES) {
+      const q = queues[p];
+      while (q.length) {
+        const job = q.shift();
+        if (job.deadline && job.deadline <= now) {
+          counters[p].expired++;
+          job.reject(queueError('La solicitud venció esperando turno hacia Dux.', { status: 504, code: 'DUX_QUEUE_TIMEOUT' }));
+          continue;
+        }
+        return job;
+      }
+    }
+    return null;
+  }
+
+  function recordWait(p, ms) {
+    const w = waits[p];
+    w.push(ms);
+    if (w.length > WAIT_SAMPLES) w.shift();
+  }
+
+  function pump() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    const now = Date.now();
+    starts = starts.filter(t => t > now - intervalMs);
+
+    while (now >= pausedUntil && starts.length < intervalCap) {
+      const job = nextJob(now);
+      if (!job) return;
+      job.signal?.removeEventListener('abort', job.onAbort);
+      starts.push(now);
+      running++;
+      counters[job.priority].started++;
+      recordWait(job.priority, now - job.enqueuedAt);
+      onStart(job.priority, now - job.enqueuedAt);
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => { running--; });
+    }
+
+    if (!PRIORITIES.some(p => queues[p].length)) return;
+    const slotAt = starts.length >= intervalCap ? starts[0] + intervalMs : now;
+    timer = setTimeout(pump, Math.max(slotAt, pausedUntil) - now);
+  }
+
+  function stats(list) {
+    if (!list.length) return { avgMs: 0, p95Ms: 0, maxMs: 0 };
+    const sorted = [...list].sort((a, b) => a - b);
+    return {
+      avgMs: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+      p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+      maxMs: sorted[sorted.length - 1],
+    };
+  }
+
+  return {
+    // fn se ejecuta cuando haya turno. opts: { priority, deadline (epoch ms), signal, front }
+    schedule(fn, { priority = 'interactive', deadline = null, signal = null, front = false } = {}) {
+      if (!queues[priority]) priority = 'interactive';
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          counters[priority].aborted++;
+          return reject(queueError('El cliente cerró la conexión antes de llegar a Dux.', { status: 499, code: 'CLIENT_CLOSED' }));
+        }
+        const job = { fn, priority, deadline, signal, resolve, reject, enqueuedAt: Date.now() };
+        job.onAbort = () => {
+          if (!remove(job)) return;
+          counters[priority].aborted++;
+          reject(queueError('El cliente cerró la conexión antes de llegar a Dux.', { status: 499, code: 'CLIENT_CLOSED' }));
+        };
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+        if (front) queues[priority].unshift(job);
+        else queues[priority].push(job);
+        pump();
+      });
+    },
+
+    // Congela la cola hasta ts (no adelanta una pausa más larga ya vigente)
+    pauseUntil(ts) {
+      if (ts > pausedUntil) {
+        pausedUntil = ts;
+        pump();
+      }
+    },
+
+    get size() {
+      return PRIORITIES.reduce((n, p) => n + queues[p].length, 0);
+    },
+
+    snapshot() {
+      const now = Date.now();
+      const oldest = (p) => queues[p].length ? now - queues[p][0].enqueuedAt : 0;
+      return {
+        intervalMs,
+        intervalCap,
+        running,
+        pausedForMs: Math.max(0, pausedUntil - now),
+        queued: this.size,
+        classes: Object.fromEntries(PRIORITIES.map(p => [p, {
+          depth: queues[p].length,
+          oldestWaitMs: oldest(p),
+          ...counters[p],
+          wait: stats(waits[p]),
+        }])),
+      };
+    },
+  };
+}
@@ -0,0 +1,175 @@
+// lib/search.js
+// Índice local para pasar de nombres a ids ("la yerba de 1kg" => id_item) sin gastar cupo de Dux en cada búsqueda.
+// Se arma con los listados completos de Dux (la primera búsqueda espera) y se refresca en segundo plano.
+//
+// Búsqueda sin acentos ni mayúsculas; por palabra: igual > prefijo > con errores de tipeo (Damerau-Levenshtein).
+// Un código, código de barras, CUIT o id exacto gana con confianza 1.
+import { normalizeText } from './query.js';
+
+export const SEARCH_TYPES = ['item', 'cliente', 'personal'];
+
+const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'y', 'con', 'para', 'en', 'x', 'un', 'una']);
+
+export const normalize = (s) => normalizeText(s).replace(/[^a-z0-9]+/g, ' ').trim();
+
+const tokens = (s) => normalize(s).split(' ').filter(t => t && !STOPWORDS.has(t));
+const compactCode = (s) => normalize(s).replace(/ /g, '');
+
+// Cómo se indexa cada tipo: id, nombre visible y códigos que se buscan exactos
+const FIELDS = {
+  item: (r) => ({
+    id: r.id_item ?? r.idItem ?? r.id,
+    nombre: r.item ?? r.nombre ?? r.descripcion,
+    codigos: [r.cod_item, r.codigo, r.codigoArticulo, r.codigo_barra, ...(r.codigos_barra || [])],
+  }),
+  cliente: (r) => ({
+    id: r.id_cliente ?? r.idCliente ?? r.id_empresa ?? r.idEmpresa ?? r.id,
+    nombre: r.razon_social ?? r.apellido_razon_social ?? r.nombre_fantasia ?? r.nombre,
+    codigos: [r.cuit, r.nro_doc, r.codigo, r.cod_cliente],
+  }),
+  personal: (r) => ({
+    id: r.id_personal ?? r.idPersonal ?? r.id,
+    nombre: r.apellido_nombre ?? [r.apellido, r.nombre].filter(Boolean).join(', '),
+    codigos: [r.legajo, r.cuil, r.nro_doc],
+  }),
+};
+
+export function toDoc(tipo, row) {
+  const { id, nombre, codigos } = FIELDS[tipo](row);
+  if (id == null) return null;
+  return {
+    id,
+    nombre: nombre || null,
+    tokens: tokens(nombre),
+    junto: tokens(nombre).join(''),
+    codigos: codigos.filter(c => c != null && c !== '').map(compactCode),
+    row,
+  };
+}
+
+// Damerau-Levenshtein (transposiciones adyacentes) cortando cuando supera max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Parecido de una palabra de la búsqueda con una del nombre (0..1)
+function tokenScore(q, t) {
+  if (q === t) return 1;
+  if (q.length >= 2 && t.startsWith(q)) return 0.9;
+  const max = q.length <= 3 ? 0 : q.length <= 6 ? 1 : 2;
+  if (!max) return 0;
+  const d = editDistance(q, t, max);
+  return d <= max ? 0.85 * (1 - d / Math.max(q.length, t.length)) : 0;
+}
+
+// { confianza, coincidencia: 'codigo'|'id'|'nombre' } o null
+export function scoreDoc(query, doc) {
+  const code = compactCode(query);
+  if (code && doc.codigos.includes(code)) return { confianza: 1, coincidencia: 'codigo' };
+  if (code && String(doc.id) === code) return { confianza: 1, coincidencia: 'id' };
+
+  const qs = tokens(query);
+  if (!qs.length || !doc.tokens.length) return null;
+  const used = new Set();
+  let sum = 0;
+  for (const q of qs) {
+    let best = 0, at = -1;
+    doc.tokens.forEach((t, i) => {
+      const s = tokenScore(q, t);
+      if (s > best) { best = s; at = i; }
+    });
+    if (at >= 0) used.add(at);
+    sum += best;
+  }
+  // promedio por palabra buscada, con un leve castigo a nombres con muchas palabras sin usar
+  let score = used.size ? (sum / qs.length) * (0.9 + 0.1 * used.size / doc.tokens.length) : 0;
+  // palabras pegadas o separadas distinto ("petshop" / "Pet Shop")
+  const junto = qs.join('');
+  if (junto.length >= 4 && doc.junto.includes(junto)) score = Math.max(score, 0.8);
+  return score ? { confianza: Math.round(score * 100) / 100, coincidencia: 'nombre' } : null;
+}
+
+// load(tenant, tipo, priority) => filas de Dux; refreshMs: cada cuánto se rearma un índice ya usado
+export function createSearchIndex({ load, refreshMs = 30 * 60 * 1000, minScore = 0.4, log = console }) {
+  const indexes = new Map(); // `${tenantId}:${tipo}` -> { tenant, tipo, docs, builtAt, building, error }
+  let timer = null;
+
+  function refresh(ix, priority = 'background') {
+    if (!ix.building) {
+      ix.building = load(ix.tenant, ix.tipo, priority)
+        .then(rows => {
+          ix.docs = rows.map(r => toDoc(ix.tipo, r)).filter(Boolean);
+          ix.builtAt = Date.now();
+          ix.error = null;
+        })
+        .catch(e => {
+          ix.error = String(e?.message || e);
+          log.warn(`[buscar] no se pudo indexar ${ix.tipo} de ${ix.tenant.id}: ${ix.error}`);
+          if (!ix.docs) throw e; // sin índice previo no hay con qué responder
+        })
+        .finally(() => { ix.building = null; });
+    }
+    return ix.building;
+  }
+
+  async function ready(tenant, tipo) {
+    const key = `${tenant.id}:${tipo}`;
+    if (!indexes.has(key)) indexes.set(key, { tenant, tipo, docs: null, builtAt: null, building: null, error: null });
+    const ix = indexes.get(key);
+    if (!ix.docs) await refresh(ix, 'interactive'); // la primera búsqueda espera el armado
+    return ix;
+  }
+
+  return {
+    // { data: [{ id, nombre, confianza, coincidencia, data }], ambiguo, indexedAt, total }
+    async search(tenant, tipo, q, { limit = 5 } = {}) {
+      const ix = await ready(tenant, tipo);
+      const hits = [];
+      for (const doc of ix.docs) {
+        const s = scoreDoc(q, doc);
+        if (s && s.confianza >= minScore) hits.push({ doc, ...s });
+      }
+      hits.sort((a, b) => b.confianza - a.confianza || a.doc.tokens.length - b.doc.tokens.length);
+      return {
+        data: hits.slice(0, limit).map(h => ({ id: h.doc.id, nombre: h.doc.nombre, confianza: h.confianza, coincidencia: h.coincidencia, data: h.doc.row })),
+        // el primero no se distingue del segundo: conviene preguntar antes de usar el id
+        ambiguo: hits.length > 1 && hits[0].confianza - hits[1].confianza < 0.05,
+        indexedAt: new Date(ix.builtAt).toISOString(),
+        total: ix.docs.length,
+      };
+    },
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        for (const ix of indexes.values()) {
+          if (ix.docs && Date.now() - ix.builtAt >= refreshMs) refresh(ix).catch(() => {});
+        }
+      }, Math.min(refreshMs, 60 * 1000));
+      timer.unref();
+    },
+    stop() { clearInterval(timer); timer = null; },
+    stats: () => [...indexes.values()].map(ix => ({
+      tenantId: ix.tenant.id,
+      tipo: ix.tipo,
+      docs: ix.docs?.length ?? 0,
+      indexedAt: ix.builtAt ? new Date(ix.builtAt).toISOString() : null,
+      refreshing: !!ix.building,
+      ...(ix.error ? { error: ix.error } : {}),
+    })),
+  };
+}
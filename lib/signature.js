@@ -0,0 +1,20 @@
+// lib/signature.js
+// Firma de notificaciones salientes (callbacks de jobs).
+// Header: X-Bridge-Signature: t=<unix s>,v1=<hex HMAC-SHA256 de "<t>.<body>">
+// El receptor recalcula el HMAC con su secreto y descarta firmas viejas (t) para evitar replays.
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Bridge-Signature';
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+export function verifySignature(secret, body, header, { toleranceS = 300 } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(kv => kv.split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(Date.now() / 1000 - t) > toleranceS) return false;
+  const expected = signPayload(secret, body, t).split('v1=')[1];
+  return parts.v1.length === expected.length && crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+}
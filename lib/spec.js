@@ -0,0 +1,108 @@
+// lib/spec.js
+// Genera el documento OpenAPI a partir del registro de rutas (lib/routes.js).
+// variant 'actions': subset para ChatGPT Actions (máx. 30 operaciones, descripciones <= 300 chars).
+import YAML from 'yaml';
+
+export const ACTIONS_MAX_OPERATIONS = 30;
+const ACTIONS_MAX_DESCRIPTION = 300;
+
+// Params que el bridge agrega a todo listado (no se reenvían a Dux).
+// actions: false => sólo en el spec completo (exportaciones para scripts, no para el GPT)
+const LIST_BRIDGE_PARAMS = [
+  { name: 'compact', type: 'integer', enum: [0, 1], description: 'Si es 1, devuelve sólo los campos principales.' },
+  { name: 'fields', type: 'string', description: 'Campos a devolver, separados por coma.' },
+  { name: 'filter', type: 'string', description: 'Filtro en el bridge: "campo op valor" separados por ";". ops: eq ne gt lt gte lte contains in (valores de in separados por coma). Ej: precio gt 100;rubro.nombre contains perro' },
+  { name: 'sort', type: 'string', description: 'Orden: campos separados por coma; "-" adelante = descendente. Ej: -precio,item' },
+  { name: 'q', type: 'string', description: 'Búsqueda de texto sin acentos ni mayúsculas; todas las palabras deben aparecer.' },
+  { name: 'cursor', type: 'string', description: 'Cursor opaco para seguir paginando (header X-Next-Cursor o checkpoint de exportación).' },
+  { name: 'all', type: 'integer', enum: [0, 1], actions: false, description: 'Si es 1, recorre todas las páginas y las emite en streaming (NDJSON o CSV).' },
+  { name: 'format', type: 'string', enum: ['ndjson', 'csv'], actions: false, description: 'Formato de la exportación con all=1 (default ndjson).' },
+  { name: 'pageSize', type: 'integer', minimum: 1, maximum: 1000, actions: false, description: 'Tamaño de página hacia Dux con all=1.' },
+];
+
+// Params que el bridge agrega a toda escritura
+const WRITE_BRIDGE_PARAMS = [
+  { name: 'dryRun', type: 'integer', enum: [0, 1], description: 'Si es 1, devuelve el payload final valorizado (precios, percepciones, advertencias) sin escribir en Dux.' },
+  { name: 'Prefer', in: 'header', type: 'string', actions: false, description: '"return=preview" equivale a dryRun=1.' },
+];
+
+const clip = (s, max) => (s && s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+function toParameter({ name, in: where = 'query', type, required, description, actions: _actions, ...schema }) {
+  return {
+    in: where,
+    name,
+    ...(required ? { required: true } : {}),
+    schema: { type, ...schema },
+    ...(description ? { description } : {}),
+  };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema } });
+const problem = { 'application/problem+json': { schema: ref('Problem') } };
+
+function toOperation(r, { actions }) {
+  const bridgeParams = r.kind === 'list' ? LIST_BRIDGE_PARAMS : (r.kind === 'write' ? WRITE_BRIDGE_PARAMS : []);
+  const params = [...(r.params || []), ...bridgeParams]
+    .filter(prm => !actions || prm.actions !== false);
+  if (r.idempotent) {
+    params.unshift({ name: 'Idempotency-Key', in: 'header', type: 'string', description: 'Clave única idempotente (alternativa a externalId).' });
+  }
+
+  const op = {
+    operationId: r.operationId,
+    ...(r.tags ? { tags: r.tags } : {}),
+    summary: r.summary,
+    ...(r.description ? { description: actions ? clip(r.description, ACTIONS_MAX_DESCRIPTION) : r.description } : {}),
+    ...(r.public ? { security: [] } : {}),
+    ...(params.length ? { parameters: params.map(toParameter) } : {}),
+  };
+  if (r.body) op.requestBody = { required: true, content: json(r.body) };
+
+  op.responses = r.confirm
+    ? { 202: { description: 'Borrador creado; se escribe en Dux al confirmarlo', content: json('Borrador') } }
+    : r.job
+    ? { 202: { description: 'Aceptado; consultar el job en /jobs/{id}', content: json('Job') } }
+    : r.accepted
+    ? { 202: { description: r.accepted, content: json(r.response) } }
+    : { 200: { description: r.method === 'POST' ? 'Creado' : 'OK', content: json(r.response || 'DuxOk') } };
+  if (!r.public) {
+    op.responses['4XX'] = { description: 'Error del cliente (code del catálogo en GET /errors)', content: problem };
+    op.responses['5XX'] = { description: 'Error del bridge o de Dux (code del catálogo en GET /errors)', content: problem };
+  }
+  return op;
+}
+
+export function buildOpenApi(routes, { schemas, serverUrl, title, version = '1.0.0', variant = 'full' } = {}) {
+  const actions = variant === 'actions';
+  const selected = actions ? routes.filter(r => r.actions !== false) : routes;
+  // Pasarse del límite de ChatGPT es un error del registro: no se recorta en silencio
+  if (actions && selected.length > ACTIONS_MAX_OPERATIONS) {
+    throw new Error(`La variante Actions tiene ${selected.length} operaciones (máx. ${ACTIONS_MAX_OPERATIONS}); `
+      + `marcar con actions: false en lib/routes.js alguna de: ${selected.map(r => r.operationId).join(', ')}`);
+  }
+
+  const paths = {};
+  for (const r of selected) {
+    paths[r.path] = paths[r.path] || {};
+    paths[r.path][r.method.toLowerCase()] = toOperation(r, { actions });
+  }
+
+  const doc = {
+    openapi: '3.1.0',
+    info: { title, version },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    security: [{ ApiKeyAuth: [] }],
+    components: {
+      securitySchemes: { ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'Authorization' } },
+      schemas,
+    },
+    paths,
+  };
+  return doc;
+}
+
+export function toYaml(doc) {
+  return YAML.stringify(doc, { aliasDuplicateObjects: false, lineWidth: 0 });
+}
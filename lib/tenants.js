@@ -0,0 +1,80 @@
+// lib/tenants.js
+// Tenants: cada API key del bridge mapea a su propio DUX_TOKEN, empresas/sucursales permitidas y scopes.
+//
+// Formato (TENANTS_FILE o TENANTS_JSON), una lista de:
+// { "id": "mascotera-gpt", "apiKeys": ["..."], "duxToken": "...",
+//   "empresas": [1234], "sucursales": [1, 2], "scopes": ["read", "analytics", "write:ventas"],
+//   "callbackSecret": "...",    // opcional: firma de callbacks (default CALLBACK_SECRET)
+//   "feed": { "empresas": [1234], "resources": ["facturas", "pedidos"] },  // opcional: change feed
+//   "limits": { "write": { "perMinute": 10, "daily": 500 } } }           // opcional: pisa RATE_LIMIT_*/QUOTA_* por clase
+//
+// Scopes: read | analytics | admin | webhooks | audit | write:<grupo> (ventas, facturacion, tesoreria, stock, items).
+// "*" habilita todo y "write:*" todas las escrituras. Sin empresas/sucursales => sin restricción.
+import fs from 'fs';
+import crypto from 'crypto';
+
+const keyHash = (k) => crypto.createHash('sha256').update(String(k)).digest('hex');
+
+function normalizeTenant(t, i) {
+  if (!t || typeof t !== 'object') throw new Error(`tenant #${i}: debe ser un objeto`);
+  const apiKeys = t.apiKeys || (t.apiKey ? [t.apiKey] : []);
+  if (!apiKeys.length) throw new Error(`tenant #${i}: falta apiKeys`);
+  return {
+    id: String(t.id || `tenant-${i}`),
+    name: t.name || t.id || `tenant-${i}`,
+    apiKeys,
+    duxToken: t.duxToken,
+    empresas: (t.empresas || []).map(String),
+    sucursales: (t.sucursales || []).map(String),
+    scopes: t.scopes || ['read'],
+    callbackSecret: t.callbackSecret || null,
+    feed: t.feed?.empresas?.length ? { empresas: t.feed.empresas.map(String), resources: t.feed.resources || null } : null,
+    limits: t.limits || null,
+  };
+}
+
+// Lee la config; si no hay ninguna, arma un tenant único con API_KEY/DUX_TOKEN y todos los scopes
+export function loadTenants({ file, json, apiKey, duxToken, feed } = {}) {
+  let raw = null;
+  if (json) raw = JSON.parse(json);
+  else if (file && fs.existsSync(file)) raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const list = raw
+    ? (Array.isArray(raw) ? raw : raw.tenants || []).map(normalizeTenant)
+    : (apiKey ? [normalizeTenant({ id: 'default', apiKeys: [apiKey], duxToken, scopes: ['*'], feed }, 0)] : []);
+
+  const byHash = new Map();
+  for (const t of list) {
+    t.duxToken = t.duxToken || duxToken;
+    for (const k of t.apiKeys) {
+      const h = keyHash(k);
+      if (byHash.has(h)) throw new Error(`API key repetida en tenants "${byHash.get(h).id}" y "${t.id}"`);
+      byHash.set(h, t);
+    }
+  }
+
+  return {
+    list,
+    // Lookup por hash: no se compara la key en claro contra cada tenant
+    byApiKey(key) {
+      return key ? byHash.get(keyHash(key)) || null : null;
+    },
+  };
+}
+
+export function hasScope(tenant, scope) {
+  const s = tenant?.scopes || [];
+  if (s.includes('*') || s.includes(scope)) return true;
+  return scope.startsWith('write:') && s.includes('write:*');
+}
+
+// Devuelve el primer parámetro fuera de lo permitido ({ name, value }) o null
+export function checkTenantTargets(tenant, { idEmpresa, idSucursal } = {}) {
+  if (idEmpresa != null && tenant.empresas.length && !tenant.empresas.includes(String(idEmpresa))) {
+    return { name: 'idEmpresa', value: idEmpresa };
+  }
+  if (idSucursal != null && tenant.sucursales.length && !tenant.sucursales.includes(String(idSucursal))) {
+    return { name: 'idSucursal', value: idSucursal };
+  }
+  return null;
+}
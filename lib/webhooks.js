@@ -0,0 +1,179 @@
+// lib/webhooks.js
+// Suscripciones a eventos del feed y entrega firmada con reintentos.
+//
+// Cada suscripción avanza en orden sobre el log de eventos (cursor = último seq entregado).
+// Si un evento falla, se reintenta con backoff exponencial; agotados los intentos pasa a la
+// dead-letter list y la suscripción sigue con el siguiente.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { signPayload, SIGNATURE_HEADER } from './signature.js';
+import { readJson, writeJsonAtomic } from './feed.js';
+
+// === Suscripciones (JSON chico, se reescribe entero) ===
+export function createWebhookRegistry({ file = null } = {}) {
+  const subs = new Map((file ? readJson(file, []) : []).map(s => [s.id, s]));
+  const save = () => { if (file) writeJsonAtomic(file, [...subs.values()]); };
+
+  return {
+    add(tenantId, { url, events = null, description = null }, { cursor }) {
+      const sub = {
+        id: `wh_${crypto.randomUUID()}`,
+        tenantId,
+        url,
+        events: events?.length ? events : null, // null = todos
+        description,
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        cursor,              // arranca desde ahora; lo anterior se lee con GET /events
+        createdAt: new Date().toISOString(),
+      };
+      subs.set(sub.id, sub);
+      save();
+      return sub;
+    },
+    update(id, patch) {
+      if (!subs.has(id)) return null;
+      subs.set(id, { ...subs.get(id), ...patch });
+      save();
+      return subs.get(id);
+    },
+    remove(id) {
+      const ok = subs.delete(id);
+      if (ok) save();
+      return ok;
+    },
+    get: (id) => subs.get(id) || null,
+    list: (tenantId) => [...subs.values()].filter(s => !tenantId || s.tenantId === tenantId),
+  };
+}
+
+// Vista pública (el secreto sólo se muestra al crear)
+export const publicWebhook = ({ secret: _s, tenantId: _t, ...rest }) => rest;
+
+// === Dead letters (JSONL; al arrancar se compacta) ===
+export function createDeadLetterStore({ file = null, max = 1000 } = {}) {
+  const items = new Map();
+  let fd = null;
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const rec = JSON.parse(line);
+          if (rec.op === 'del') items.delete(rec.id); else items.set(rec.item.id, rec.item);
+        } catch { /* línea truncada */ }
+      }
+    }
+    fs.writeFileSync(`${file}.tmp`, [...items.values()].slice(-max).map(item => JSON.stringify({ op: 'set', item }) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    fd = fs.openSync(file, 'a');
+  }
+  const persist = (rec) => { if (fd != null) fs.writeSync(fd, JSON.stringify(rec) + '\n'); };
+
+  return {
+    add(item) {
+      const dl = { id: `dlq_${crypto.randomUUID()}`, failedAt: new Date().toISOString(), ...item };
+      items.set(dl.id, dl);
+      if (items.size > max) items.delete(items.keys().next().value);
+      persist({ op: 'set', item: dl });
+      return dl;
+    },
+    remove(id) {
+      const ok = items.delete(id);
+      if (ok) persist({ op: 'del', id });
+      return ok;
+    },
+    get: (id) => items.get(id) || null,
+    list: (tenantId) => [...items.values()].filter(d => !tenantId || d.tenantId === tenantId),
+  };
+}
+
+// === Entrega ===
+export function createDeliveryWorker({
+  registry, eventLog, deadLetters, maxAttempts = 6, baseDelayMs = 10000, maxDelayMs = 60 * 60 * 1000,
+  timeoutMs = 10000, tickMs = 1000, log = console,
+}) {
+  const retryState = new Map(); // subId -> { attempts, nextAt, lastError } (en memoria: tras reiniciar se reintenta ya)
+  const busy = new Set();
+  let timer = null;
+
+  async function post(sub, event) {
+    const body = JSON.stringify(event);
+    const r = await fetch(sub.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'X-Bridge-Event': event.type,
+        'X-Bridge-Delivery': event.id,
+        [SIGNATURE_HEADER]: signPayload(sub.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  }
+
+  const publicEvent = ({ tenantId: _t, ...e }) => e;
+
+  async function drain(sub) {
+    busy.add(sub.id);
+    try {
+      while (true) {
+        const current = registry.get(sub.id);
+        if (!current) return;
+        const rs = retryState.get(sub.id);
+        if (rs && rs.nextAt > Date.now()) return;
+        const [event] = eventLog.since(current.cursor, { tenantId: current.tenantId, types: current.events, limit: 1 });
+        if (!event) return;
+
+        try {
+          await post(current, publicEvent(event));
+          retryState.delete(sub.id);
+          registry.update(sub.id, { cursor: event.seq, lastDeliveryAt: new Date().toISOString() });
+        } catch (e) {
+          const attempts = (rs?.attempts || 0) + 1;
+          if (attempts < maxAttempts) {
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+            retryState.set(sub.id, { attempts, nextAt: Date.now() + delay, lastError: e.message });
+            return;
+          }
+          log.warn(`[webhooks] ${sub.id}: evento ${event.id} a dead-letter tras ${attempts} intentos (${e.message})`);
+          deadLetters.add({ tenantId: current.tenantId, webhookId: sub.id, url: current.url, attempts, lastError: e.message, event: publicEvent(event) });
+          retryState.delete(sub.id);
+          registry.update(sub.id, { cursor: event.seq });
+        }
+      }
+    } finally {
+      busy.delete(sub.id);
+    }
+  }
+
+  // Revisa todas las suscripciones; cada una entrega de a un evento, en orden
+  function kick() {
+    for (const sub of registry.list()) if (!busy.has(sub.id)) drain(sub);
+  }
+
+  return {
+    kick,
+    start() {
+      if (timer) return;
+      timer = setInterval(kick, tickMs);
+      timer.unref();
+    },
+    // Reenvía un dead letter una vez; si vuelve a fallar queda en la lista
+    async redeliver(id) {
+      const dl = deadLetters.get(id);
+      if (!dl) return null;
+      const sub = registry.get(dl.webhookId);
+      if (!sub) throw Object.assign(new Error('La suscripción ya no existe.'), { code: 'WEBHOOK_NOT_FOUND' });
+      await post(sub, dl.event);
+      deadLetters.remove(id);
+      return dl;
+    },
+    status(subId) {
+      const rs = retryState.get(subId);
+      return rs ? { attempts: rs.attempts, nextAttemptAt: new Date(rs.nextAt).toISOString(), lastError: rs.lastError } : null;
+    },
+  };
+}
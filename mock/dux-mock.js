@@ -0,0 +1,129 @@
+// mock/dux-mock.js
+// Simulador local de la API de Dux para desarrollo sin DUX_TOKEN real y para los tests de integración.
+//
+// - GET de cada path de DUX_PATHS con datos de fixtures.json (limit/offset, fechaDesde/fechaHasta, buscar).
+// - POST de las escrituras del registro (lib/routes.js): guardan el body y devuelven un id.
+// - /obtenerEstadoFactura y /obtenerEstadoItems: pendiente las primeras pendingPolls consultas, después aprobado.
+// - Fallas inyectables (latencia, 429, 5xx, 401) por config o en caliente con POST /__mock/faults.
+//
+// Control (sin auth): GET /__mock/requests, POST|DELETE /__mock/faults, POST /__mock/reset.
+import fs from 'fs';
+import express from 'express';
+import { DUX_PATHS, ROUTES } from '../lib/routes.js';
+import { pickFecha } from '../lib/analytics.js';
+
+const FIXTURES_FILE = new URL('./fixtures.json', import.meta.url);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export const loadFixtures = (file = FIXTURES_FILE) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// faults: [{ path = '*', method = '*', status, count = Infinity, latencyMs, retryAfter, body }]
+export function createDuxMock({ token = 'mock-token', fixtures = loadFixtures(), latencyMs = 0, pendingPolls = 1, faults = [] } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  let data, rules, requests, writes, seq, polls;
+  function reset() {
+    data = structuredClone(fixtures);
+    rules = faults.map(f => ({ ...f }));
+    requests = [];
+    writes = [];
+    seq = 1000;
+    polls = new Map();
+  }
+  reset();
+
+  const matchRule = (req) => rules.find(r =>
+    r.count !== 0 &&
+    (!r.path || r.path === '*' || r.path === req.path) &&
+    (!r.method || r.method === '*' || r.method === req.method));
+
+  // === Control del mock ===
+  app.get('/__mock/requests', (_req, res) => res.json({ requests, writes }));
+  app.post('/__mock/faults', (req, res) => {
+    const rule = { count: Infinity, ...req.body };
+    rules.push(rule);
+    res.status(201).json(rule);
+  });
+  app.delete('/__mock/faults', (_req, res) => { rules = []; res.json({ ok: true }); });
+  app.post('/__mock/reset', (_req, res) => { reset(); res.json({ ok: true }); });
+
+  // === Registro, latencia, fallas y auth ===
+  app.use(async (req, res, next) => {
+    requests.push({ at: new Date().toISOString(), method: req.method, path: req.path, query: req.query, body: req.method === 'POST' ? req.body : undefined });
+    if (latencyMs) await sleep(latencyMs);
+
+    const rule = matchRule(req);
+    if (rule) {
+      if (rule.count !== Infinity) rule.count--;
+      if (rule.latencyMs) await sleep(rule.latencyMs);
+      if (rule.status) {
+        if (rule.retryAfter != null) res.setHeader('Retry-After', String(rule.retryAfter));
+        return res.status(rule.status).json(rule.body ?? { error: `Falla simulada ${rule.status}` });
+      }
+    }
+    // Dux espera el token tal cual en "authorization" (sin Bearer)
+    if (token && req.get('authorization') !== token) return res.status(401).json({ error: 'Token inválido' });
+    next();
+  });
+
+  // === Consultas ===
+  const textOf = (row) => JSON.stringify(row).toLowerCase();
+  for (const [key, duxPath] of Object.entries(DUX_PATHS)) {
+    app.get(duxPath, (req, res) => {
+      const { fechaDesde, fechaHasta, buscar } = req.query;
+      const limit = Math.max(1, Number(req.query.limit) || 20);
+      const offset = Math.max(0, Number(req.query.offset) || 0);
+      const rows = (data[key] || []).filter(row => {
+        const f = pickFecha(row);
+        if (fechaDesde && f && f < fechaDesde) return false;
+        if (fechaHasta && f && f > fechaHasta) return false;
+        return !buscar || textOf(row).includes(String(buscar).toLowerCase());
+      });
+      res.json(rows.slice(offset, offset + limit));
+    });
+  }
+
+  // === Escrituras ===
+  const estadoFor = (id) => {
+    const n = (polls.get(id) || 0) + 1;
+    polls.set(id, n);
+    return n <= pendingPolls;
+  };
+  app.get('/obtenerEstadoFactura', (req, res) => {
+    const id = String(req.query.idFactura ?? req.query.id ?? '');
+    const w = writes.find(x => String(x.id) === id);
+    if (!w) return res.status(404).json({ error: `Factura ${id} inexistente` });
+    if (estadoFor(id)) return res.json({ idFactura: w.id, estado: 'PENDIENTE' });
+    res.json({ idFactura: w.id, estado: 'PROCESADO', cae: `7${String(w.id).padStart(13, '0')}`, vencimientoCae: '2026-12-31', nro_comp: `0001-${String(w.id).padStart(8, '0')}` });
+  });
+  app.get('/obtenerEstadoItems', (req, res) => {
+    const id = String(req.query.idProceso ?? req.query.id ?? '');
+    if (!writes.some(x => String(x.id) === id)) return res.status(404).json({ error: `Proceso ${id} inexistente` });
+    res.json(estadoFor(id) ? { idProceso: Number(id), estado: 'EN PROCESO' } : { idProceso: Number(id), estado: 'FINALIZADO' });
+  });
+
+  const REF_BY_PATH = { '/factura/nuevaFactura': 'idFactura', '/item/nuevoItem': 'idProceso' };
+  for (const r of ROUTES.filter(x => x.kind === 'write')) {
+    app.post(r.duxPath, (req, res) => {
+      if (!req.body || typeof req.body !== 'object' || !Object.keys(req.body).length) {
+        return res.status(400).json({ estado: 'ERROR', errores: ['Body vacío'] });
+      }
+      const w = { id: ++seq, path: r.duxPath, body: req.body, at: new Date().toISOString() };
+      writes.push(w);
+      const ref = REF_BY_PATH[r.duxPath] || 'id';
+      res.json({ [ref]: w.id, estado: ref === 'id' ? 'OK' : 'PENDIENTE' });
+    });
+  }
+
+  app.use((req, res) => res.status(404).json({ error: `Path no simulado: ${req.method} ${req.path}` }));
+
+  return {
+    app,
+    reset,
+    get requests() { return requests; },
+    get writes() { return writes; },
+    addFault(rule) { rules.push({ count: Infinity, ...rule }); },
+    clearFaults() { rules = []; },
+  };
+}
@@ -0,0 +1,18 @@
+// mock/server.js
+// Levanta el simulador de Dux: npm run mock (y el bridge con DUX_BASE=http://localhost:4000 DUX_TOKEN=mock-token)
+//
+// DUX_MOCK_PORT (4000), DUX_MOCK_TOKEN (mock-token; vacío = sin auth), DUX_MOCK_LATENCY_MS (0),
+// DUX_MOCK_FIXTURES (JSON con el mismo formato que mock/fixtures.json),
+// DUX_MOCK_FAULTS (JSON, p.ej. [{"path":"/items","status":429,"count":2,"retryAfter":1}]).
+import 'dotenv/config';
+import { createDuxMock, loadFixtures } from './dux-mock.js';
+
+const PORT = Number(process.env.DUX_MOCK_PORT || 4000);
+const mock = createDuxMock({
+  token: process.env.DUX_MOCK_TOKEN ?? 'mock-token',
+  latencyMs: Number(process.env.DUX_MOCK_LATENCY_MS || 0),
+  fixtures: process.env.DUX_MOCK_FIXTURES ? loadFixtures(process.env.DUX_MOCK_FIXTURES) : undefined,
+  faults: process.env.DUX_MOCK_FAULTS ? JSON.parse(process.env.DUX_MOCK_FAULTS) : [],
+});
+
+mock.app.listen(PORT, () => console.log(`Dux mock escuchando en :${PORT}`));
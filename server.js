@@ -1,46 +1,61 @@
 // server.js
 import 'dotenv/config';
 import express from 'express';
-import morgan from 'morgan';
 import compression from 'compression';
 import axios from 'axios';
-import PQueue from 'p-queue';
-import fs from 'fs';
-
-const DUX_PATHS = {
-  items: '/items',
-  compras: '/compras',
-  depositos: '/deposito',        // antes estaba '/deposito'
-  empresas: '/empresas',
-  facturas: '/facturas',
-  pedidos: '/pedidos',
-  listasPrecioVenta: '/listaprecioventa',
-  localidades: '/localidades',    // antes estaba '/localidad'
-  percepciones: '/percepcionesImpuestos',
-  personal: '/personal',
-  provincias: '/provincias',
-  rubros: '/rubros',
-  subrubros: '/subrubros',
-  sucursales: '/sucursales',      // antes estaba '/sucursal'
-};
+import { createFileIdemStore, createMemoryIdemStore, hashPayload } from './lib/idempotency.js';
+import { createCache, cacheKey, shortHash } from './lib/cache.js';
+import { createScheduler } from './lib/scheduler.js';
+import { createCircuitBreaker, BREAKER_STATES } from './lib/breaker.js';
+import { createLogger } from './lib/logger.js';
+import { createMetrics } from './lib/metrics.js';
+import { createDuxRecorder } from './lib/recorder.js';
+import { loadTenants, hasScope, checkTenantTargets } from './lib/tenants.js';
+import { compileSpec } from './lib/openapi.js';
+import { ROUTES, SCHEMAS, DUX_PATHS, DUX_DATE_FORMAT } from './lib/routes.js';
+import { buildOpenApi, toYaml } from './lib/spec.js';
+import { createJobStore, createJobRunner, publicJob, FINAL_STATES } from './lib/jobs.js';
+import { parseBatch, createBatchStore, createBatchRunner, publicBatch, summarizeBatch } from './lib/batch.js';
+import { createFeedState, createEventLog, createFeedPoller, FEED_RESOURCES, EVENT_TYPES } from './lib/feed.js';
+import { pickClienteId, bodyLines, findItem, findCliente, selectLista, selectPercepciones, buildPreview, buildQuote } from './lib/preview.js';
+import { createAuditLog, redact, clipResponse, outcomeFor } from './lib/audit.js';
+import { createDraftStore, summarizeDraft, publicDraft } from './lib/drafts.js';
+import { createWebhookRegistry, createDeadLetterStore, createDeliveryWorker, publicWebhook } from './lib/webhooks.js';
+import { createCursorCodec, csvColumns, csvLine, csvRow } from './lib/pagination.js';
+import { compileListQuery } from './lib/query.js';
+import { createSearchIndex } from './lib/search.js';
+import { createRateLimiter, LIMIT_CLASSES } from './lib/ratelimit.js';
+import { buildMcpTools, toolRequest, createMcpServer, serveStdio, rpcError } from './lib/mcp.js';
+import { DEFAULT_TZ, DATE_FORMATS, assertTimeZone, todayIn, resolveDateRange, resolveDate, resolveInstant, formatDuxDate } from './lib/dates.js';
+import { ERROR_CATALOG, pickLang, problemFor, describeCatalog, translateDuxError } from './lib/errors.js';
+import {
+  pickDetailArray, pickItemId, pickCantidad, pickNombre, pickRubroLinea,
+  summarizeVentas, compareTotals, buildSeries, previousRange, addDays,
+  computeReceivables, needsCobranzas, pickCliente,
+} from './lib/analytics.js';
+
 
 const app = express();
-const idemStore = new Map(); // key -> resultado
-function toIsoDateMaybe(s) {
-  if (typeof s !== 'string') return s;
-  // DD/MM/YYYY -> YYYY-MM-DD
-  const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
-  return s;
-}
 
-async function withIdempotency(key, handler) {
-  if (!key) return handler(); // si no mandan clave, procesa normal
-  if (idemStore.has(key)) return idemStore.get(key);
-  const result = await handler();
-  idemStore.set(key, result);
-  return result;
-}
+// === Logs y métricas ===
+// Logs JSON en stdout (LOG_LEVEL=debug|info|warn|error); métricas Prometheus en GET /metrics
+// Con MCP_STDIO=1 stdout es del protocolo MCP: los logs van a stderr
+const MCP_STDIO = process.env.MCP_STDIO === '1';
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info', ...(MCP_STDIO ? { write: (line) => process.stderr.write(line) } : {}) });
+const metrics = createMetrics();
+const m = {
+  httpRequests: metrics.counter('bridge_http_requests_total', 'Requests recibidos por ruta y status', ['method', 'route', 'status']),
+  httpDuration: metrics.histogram('bridge_http_request_duration_seconds', 'Duración de los requests por ruta', ['method', 'route']),
+  duxRequests: metrics.counter('bridge_dux_requests_total', 'Llamadas HTTP a Dux (cada intento) por path y status o código de red', ['method', 'path', 'status']),
+  duxDuration: metrics.histogram('bridge_dux_request_duration_seconds', 'Duración de cada llamada a Dux', ['method', 'path']),
+  duxRetries: metrics.counter('bridge_dux_retries_total', 'Reintentos hacia Dux por motivo (429, 5xx)', ['path', 'reason']),
+  duxErrors: metrics.counter('bridge_dux_errors_total', 'Errores finales de callDux por código', ['code']),
+  queueWait: metrics.histogram('bridge_dux_queue_wait_seconds', 'Espera en la cola hacia Dux hasta tener turno', ['priority'],
+    [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600]),
+  idempotency: metrics.counter('bridge_idempotency_requests_total',
+    'Escrituras por resultado de idempotencia (replay = hit; none = sin clave)', ['result']),
+  rateLimited: metrics.counter('bridge_rate_limited_total', 'Requests rechazados por límite de la API key (rate o quota)', ['class', 'reason']),
+};
 
 
 
@@ -52,28 +67,66 @@ app.use((req, res, next) => {
   next();
 });
 
-function sendProblem(res, {
-  status = 500,
-  title = 'Internal Server Error',
-  detail = 'Error interno',
-  type = 'about:blank',
-  instance,
-  requestId,
-  extras = {}
-}) {
-  res.status(status)
+// Log de acceso + métricas HTTP. route = patrón de Express, no la URL (acota la cardinalidad)
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.once('close', () => {
+    const secs = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const status = res.writableFinished ? res.statusCode : 499; // 499: el cliente cortó antes
+    m.httpRequests.inc({ method: req.method, route, status });
+    m.httpDuration.observe({ method: req.method, route }, secs);
+    log[status >= 500 ? 'error' : 'info']('request', {
+      reqId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status,
+      durationMs: Math.round(secs * 1000),
+      tenantId: req.tenant?.id,
+      ...(res.get('Idempotent-Replayed') ? { idempotentReplay: true } : {}),
+    });
+  });
+  next();
+});
+
+// problem+json (RFC 7807) a partir de un código del catálogo (lib/errors.js): status, title y detail
+// salen del catálogo en el idioma del cliente (Accept-Language es|en); params completa el detail.
+function sendProblem(res, { code = 'INTERNAL_ERROR', params, invalidParams, status, retryAfter, instance, requestId, extras = {} }) {
+  const lang = pickLang(res.req);
+  const p = problemFor(code, { lang, params, invalidParams });
+  if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+  res.status(status || p.status)
     .type('application/problem+json')
+    .set('Content-Language', lang)
     .json({
-      type,
-      title,
-      status,
-      detail,
+      type: `${PUBLIC_URL}/errors#${code}`,
+      title: p.title,
+      status: status || p.status,
+      detail: p.detail,
+      code,
       instance: instance || res.req?.originalUrl,
       requestId: requestId || res.req?.id,
-      ...extras,            // campos adicionales (p.ej. code)
+      ...(invalidParams?.length ? { invalidParams } : {}),
+      ...extras,            // campos adicionales (p.ej. upstream, jobId)
     });
 }
 
+// Error de callDux u otro que llega al catch de una ruta: los de Dux y la cola traen su código;
+// cualquier otro es un error interno. upstream (status y body de Dux) queda para diagnóstico.
+function sendRouteError(res, e, operation) {
+  const known = e?.code && ERROR_CATALOG[e.code]?.status;
+  if (!known) log.error('Error no catalogado', { reqId: res.req?.id, operation, error: String(e?.message || e) });
+  sendProblem(res, {
+    code: known ? e.code : 'INTERNAL_ERROR',
+    status: known ? e.status : undefined,
+    params: { motivo: e?.detail },
+    invalidParams: e?.invalidParams,
+    retryAfter: e?.retryAfter,
+    extras: { operation, ...(e?.upstream ? { upstream: e.upstream } : {}) },
+  });
+}
+
 
 // === Config ===
 const PORT      = process.env.PORT || 3000;
@@ -81,57 +134,262 @@ const API_KEY   = process.env.API_KEY; // tu API Key del backend (para proteger
 const DUX_BASE  = process.env.DUX_BASE || 'https://erp.duxsoftware.com.ar/WSERP/rest/services';
 const DUX_TOKEN = process.env.DUX_TOKEN; // token de Dux (va en header "authorization")
 
-if (!API_KEY)  console.warn('[WARN] Falta API_KEY en .env');
-if (!DUX_TOKEN) console.warn('[WARN] Falta DUX_TOKEN en .env');
+const DATA_DIR  = process.env.DATA_DIR || './data';
+
+// Escrituras que requieren confirmación en dos pasos: por default las marcadas confirm: true en lib/routes.js.
+// CONFIRM_OPERATIONS=crear_factura,crear_pago (operationIds) las reemplaza; vacío = ninguna.
+if (process.env.CONFIRM_OPERATIONS != null) {
+  const ops = new Set(process.env.CONFIRM_OPERATIONS.split(',').map(s => s.trim()).filter(Boolean));
+  for (const r of ROUTES) if (r.kind === 'write') r.confirm = ops.has(r.operationId);
+}
+
+// === Tenants ===
+// Sin TENANTS_FILE/TENANTS_JSON se usa un único tenant con API_KEY + DUX_TOKEN y todos los scopes
+const tenants = loadTenants({
+  file: process.env.TENANTS_FILE || './tenants.json',
+  json: process.env.TENANTS_JSON,
+  apiKey: API_KEY,
+  duxToken: DUX_TOKEN,
+  feed: process.env.FEED_EMPRESAS
+    ? { empresas: process.env.FEED_EMPRESAS.split(','), resources: process.env.FEED_RESOURCES?.split(',') }
+    : null,
+});
+
+if (!tenants.list.length) log.warn('Falta API_KEY en .env (o TENANTS_FILE)');
+for (const t of tenants.list) {
+  if (!t.duxToken) log.warn(`Tenant "${t.id}" sin duxToken ni DUX_TOKEN en .env`, { tenantId: t.id });
+}
+
+// === Idempotencia ===
+// IDEM_STORE=file (default, persistente) | memory (tests/dev)
+const IDEM_TTL_MS = Number(process.env.IDEM_TTL_HOURS || 24) * 60 * 60 * 1000;
+const IDEM_COMPACT_MS = Number(process.env.IDEM_COMPACT_MIN || 60) * 60 * 1000;
+const idemStore = process.env.IDEM_STORE === 'memory'
+  ? createMemoryIdemStore({ ttlMs: IDEM_TTL_MS, compactMs: IDEM_COMPACT_MS })
+  : createFileIdemStore({ file: process.env.IDEM_FILE || `${DATA_DIR}/idempotency.jsonl`, ttlMs: IDEM_TTL_MS, compactMs: IDEM_COMPACT_MS });
 
 
 
 // === Rutas públicas (no requieren API_KEY) ===
 app.get('/', (_req, res) => res.json({ name: 'Bridge Dux', base: DUX_BASE, ok: true }));
 app.get('/health', (_req, res) => res.json({ ok: true }));
-app.get('/openapi.yaml', (_req, res) => {
-  try {
-    const file = fs.readFileSync('./openapi.yaml', 'utf8');
-    res.setHeader('Content-Type', 'text/yaml');
-    res.send(file);
-  } catch {
-    res.status(404).send('# openapi.yaml no encontrado');
+
+// Catálogo de códigos de error (type de cada problem+json apunta acá)
+app.get('/errors', (req, res) => {
+  const lang = pickLang(req);
+  res.set('Content-Language', lang).json({ lang, data: describeCatalog(lang) });
+});
+
+// Readiness: estado del circuito hacia Dux, última llamada ok, cola y tokens rechazados por Dux.
+// 503 con el circuito abierto o si Dux rechazó el token de todos los tenants en los últimos DUX_REJECTED_RECENT_MIN.
+const DUX_REJECTED_RECENT_MS = Number(process.env.DUX_REJECTED_RECENT_MIN || 15) * 60 * 1000;
+// Sin auth: sólo si hay tokens rechazados y cuántos; qué tenants, en GET /admin/health (scope admin)
+function readiness() {
+  const now = Date.now();
+  const queue = { depth: 0, running: 0 };
+  for (const sch of schedulers.values()) {
+    const snap = sch.snapshot();
+    queue.depth += snap.queued;
+    queue.running += snap.running;
   }
+  const rejected = tenants.list
+    .map(t => ({ tenantId: t.id, at: duxHealth.rejectedAt.get(t.duxToken || DUX_TOKEN) }))
+    .filter(r => r.at && now - r.at < DUX_REJECTED_RECENT_MS)
+    .map(r => ({ ...r, at: new Date(r.at).toISOString() }));
+  const circuit = breaker.snapshot();
+  const ready = circuit.state !== 'open' && !(tenants.list.length && rejected.length === tenants.list.length);
+  return {
+    ready,
+    dux: {
+      circuit,
+      lastSuccessAt: duxHealth.lastSuccessAt ? new Date(duxHealth.lastSuccessAt).toISOString() : null,
+      tokenRejected: rejected.length > 0,
+      rejectedCount: rejected.length,
+    },
+    queue,
+    rejected,
+  };
+}
+
+app.get('/health/ready', (_req, res) => {
+  const { rejected: _rejected, ...r } = readiness();
+  if (r.dux.circuit.state === 'open') res.setHeader('Retry-After', String(r.dux.circuit.retryAfterS));
+  res.status(r.ready ? 200 : 503).json(r);
+});
+
+// === OpenAPI generado desde lib/routes.js ===
+// ?variant=actions => subset para ChatGPT Actions
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://bridge-dux.onrender.com';
+const specFor = (variant) => buildOpenApi(ROUTES, {
+  schemas: SCHEMAS, serverUrl: PUBLIC_URL, title: 'La Mascotera · Bridge Dux', variant,
+});
+const openApiDocs = { full: specFor('full'), actions: specFor('actions') }; // falla al arrancar si Actions pasa de 30
+
+app.get('/openapi.yaml', (req, res) => {
+  res.setHeader('Content-Type', 'text/yaml');
+  res.send(toYaml(openApiDocs[req.query.variant === 'actions' ? 'actions' : 'full']));
+});
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocs[req.query.variant === 'actions' ? 'actions' : 'full']);
 });
 
 // === Middlewares ===
 app.use(compression());                         // <- gzip
 app.use(express.json({ limit: '1mb' }));
-app.use(morgan('tiny'));
 
 // Límite seguro para Actions (ajustá si querés)
 const MAX_ACTIONS_ROWS = Number(process.env.MAX_ACTIONS_ROWS || 20);
 
-// === Middleware de auth (se aplica a lo demás) ===
+// === Fechas ===
+// "hoy", "ayer", "este mes"... se resuelven en DATE_TZ. Cada path de Dux recibe fechaDesde/fechaHasta en su formato
+// (DUX_DATE_FORMAT en lib/routes.js); DUX_DATE_FORMATS=/compras:dmy,/cobranzas:iso lo ajusta sin tocar código.
+const DATE_TZ = assertTimeZone(process.env.DATE_TZ || DEFAULT_TZ);
+const duxDateFormats = {
+  ...DUX_DATE_FORMAT,
+  ...Object.fromEntries((process.env.DUX_DATE_FORMATS || '').split(',')
+    .map(s => s.trim().split(':'))
+    .filter(([p, f]) => p && DATE_FORMATS.includes(f))),
+};
+
+// fechaDesde/fechaHasta (YYYY-MM-DD) => formato del path de Dux
+function duxDateParams(duxPath, params) {
+  if (!params || !(params.fechaDesde || params.fechaHasta)) return params;
+  const fmt = duxDateFormats[duxPath] || 'iso';
+  return {
+    ...params,
+    ...(params.fechaDesde ? { fechaDesde: formatDuxDate(params.fechaDesde, fmt) } : {}),
+    ...(params.fechaHasta ? { fechaHasta: formatDuxDate(params.fechaHasta, fmt) } : {}),
+  };
+}
+
+// periodo/fechaDesde/fechaHasta del query => { fechaDesde, fechaHasta } en DATE_TZ; si no se entiende responde 400 y devuelve null
+function parseDateQuery(req, res) {
+  try {
+    return resolveDateRange(req.query, { tz: DATE_TZ });
+  } catch (e) {
+    if (!e.isDate) throw e;
+    sendProblem(res, { code: 'INVALID_DATE', params: { motivo: e.reason }, invalidParams: [{ name: e.param, in: 'query', reason: e.reason }] });
+    return null;
+  }
+}
+
+// Rango resuelto que se devuelve al cliente (para que el GPT confirme qué fechas usó)
+const echoRange = (r) => ({ fechaDesde: r.fechaDesde, fechaHasta: r.fechaHasta, tz: DATE_TZ });
+// Header X-Date-Range: intervalo ISO 8601, ".." si una punta queda abierta
+const dateRangeHeader = (r) => `${r.fechaDesde || '..'}/${r.fechaHasta || '..'}`;
+
+// === Auth del Backend (Bearer API Key) ===
+// Requiere: Authorization: Bearer <API_KEY>; deja el tenant en req.tenant
 app.use((req, res, next) => {
   const auth = req.headers.authorization || '';
   if (!auth.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Falta Authorization' });
+    return sendProblem(res, { code: 'MISSING_API_KEY' });
   }
   const key = auth.replace('Bearer ', '').trim();
-  if (key !== API_KEY) {
-    return res.status(403).json({ error: 'API Key inválida' });
+  const tenant = tenants.byApiKey(key);
+  if (!tenant) {
+    return sendProblem(res, { code: 'INVALID_API_KEY' });
   }
+  req.tenant = tenant;
+  req.apiKeyId = shortHash(key); // identifica la key (p.ej. dueña de un borrador) sin guardarla
   next();
 });
 
-// === Auth del Backend (Bearer API Key) ===
-// Requiere: Authorization: Bearer <API_KEY>
+// === Validación contra el OpenAPI ===
+// Query params, headers y body de cada operación del spec se validan ANTES de encolar hacia Dux.
+// Rutas fuera del spec (admin) pasan sin validar.
+const apiSpec = compileSpec(openApiDocs.full);
+
 app.use((req, res, next) => {
-  const auth = req.headers.authorization || '';
-  if (!auth.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Falta Authorization' });
-  }
-  const key = auth.replace('Bearer ', '').trim();
-  if (key !== API_KEY) {
-    return res.status(403).json({ error: 'API Key inválida' });
+  const op = apiSpec.match(req.method, req.path);
+  if (!op) return next();
+  const invalidParams = apiSpec.validate(op, req);
+  if (!invalidParams.length) return next();
+  sendProblem(res, { code: 'VALIDATION_ERROR', invalidParams, extras: { operation: op.operationId || op.path } });
+});
+
+// Exige un scope y que idEmpresa/idSucursal (query o body) estén entre los permitidos del tenant
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.tenant, scope)) {
+      return sendProblem(res, { code: 'SCOPE_REQUIRED', params: { scope } });
+    }
+    const bad = checkTenantTargets(req.tenant, {
+      idEmpresa: req.query.idEmpresa ?? req.body?.idEmpresa,
+      idSucursal: req.query.idSucursal ?? req.body?.idSucursal,
+    });
+    if (bad) {
+      return sendProblem(res, { code: 'TARGET_NOT_ALLOWED', params: bad });
+    }
+    next();
+  };
+}
+
+// === Límites por API key ===
+// Token bucket + cupo diario por key y clase de ruta, ANTES de encolar hacia Dux. Defaults por env
+// (RATE_LIMIT_<CLASE>_PER_MIN, RATE_LIMIT_<CLASE>_BURST, QUOTA_<CLASE>_DAILY; 0 = sin límite); el tenant
+// puede pisarlos con "limits" en tenants.json. RATE_STORE=file (default, el cupo sobrevive reinicios) | memory
+const envInt = (name, def) => Number(process.env[name] ?? def);
+const RATE_DEFAULTS = Object.fromEntries(LIMIT_CLASSES.map(c => {
+  const C = c.toUpperCase();
+  const perMinute = envInt(`RATE_LIMIT_${C}_PER_MIN`, { read: 120, write: 30, analytics: 20 }[c]);
+  return [c, { perMinute, burst: envInt(`RATE_LIMIT_${C}_BURST`, perMinute), daily: envInt(`QUOTA_${C}_DAILY`, 0) }];
+}));
+const limitsFor = (tenant) =>
+  Object.fromEntries(LIMIT_CLASSES.map(c => [c, { ...RATE_DEFAULTS[c], ...tenant?.limits?.[c] }]));
+
+const rateLimiter = createRateLimiter({
+  file: process.env.RATE_STORE === 'memory' ? null : (process.env.RATE_FILE || `${DATA_DIR}/usage.json`),
+  tz: DATE_TZ,
+});
+rateLimiter.start();
+
+// Clase de la ruta: analytics; write = escrituras, lotes y confirmaciones (una vista previa cuenta como read);
+// read = consultas /duxc. Lo que no toca Dux (jobs, borradores, estado de lotes, admin) no se limita.
+function limitClass(req) {
+  if (req.path.startsWith('/analytics/')) return 'analytics';
+  const writes = req.path === '/duxc/batch' || writeRoutes.has(req.path) || req.path.startsWith('/duxc/confirmar/');
+  if (req.method === 'POST' && writes) return isPreview(req) ? 'read' : 'write';
+  if (req.path.startsWith('/duxc/') && !/^\/duxc\/(batch|borradores)(\/|$)/.test(req.path)) return 'read';
+  return null;
+}
+
+app.use((req, res, next) => {
+  const cls = limitClass(req);
+  if (!cls) return next();
+  const cost = req.path === '/duxc/batch' ? Math.max(1, req.body?.operations?.length || 0) : 1; // un lote cuenta cada operación
+  const limits = limitsFor(req.tenant);
+  const r = rateLimiter.take(req.apiKeyId, cls, limits, cost);
+  if (r.window) {
+    res.setHeader('RateLimit-Limit', String(r.window.limit));
+    res.setHeader('RateLimit-Remaining', String(r.window.remaining));
+    res.setHeader('RateLimit-Reset', String(r.window.resetS));
+    res.setHeader('RateLimit-Policy', r.window.policy);
   }
-  next();
+  if (r.ok) return next();
+  m.rateLimited.inc({ class: cls, reason: r.reason });
+  sendProblem(res, {
+    code: r.reason === 'quota' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+    params: { clase: cls, retryAfter: r.retryAfterS, daily: limits[cls].daily },
+    retryAfter: r.retryAfterS,
+  });
+});
+
+// GET /usage: consumo de la key que hace el pedido; con scope admin, el de todas las keys del tenant
+// (la que hace el pedido va con current: true)
+app.get('/usage', (req, res) => {
+  const limits = limitsFor(req.tenant);
+  const ids = hasScope(req.tenant, 'admin') ? req.tenant.apiKeys.map(k => shortHash(k)) : [req.apiKeyId];
+  const keys = ids.map(id => ({ ...rateLimiter.usage(id, limits), current: id === req.apiKeyId }));
+  res.json({ tenantId: req.tenant.id, tz: DATE_TZ, keys });
+});
+
+app.get('/admin/usage', requireScope('admin'), (_req, res) => {
+  const data = tenants.list.map(t => ({
+    tenantId: t.id,
+    keys: t.apiKeys.map(k => rateLimiter.usage(shortHash(k), limitsFor(t))),
+  }));
+  res.json({ tz: DATE_TZ, data });
 });
 
 // === Cliente base hacia Dux ===
@@ -140,76 +398,173 @@ const dux = axios.create({
   timeout: 30000,
 });
 
+// DUX_MODE=record graba los intercambios reales en DUX_CASSETTE; replay los reproduce sin red (ver mock/)
+const DUX_MODE = process.env.DUX_MODE || 'live';
+createDuxRecorder({ mode: DUX_MODE, file: process.env.DUX_CASSETTE || `${DATA_DIR}/dux-cassette.jsonl`, log }).attach(dux);
+if (DUX_MODE !== 'live') log.warn(`Dux en modo ${DUX_MODE}`, { cassette: process.env.DUX_CASSETTE || `${DATA_DIR}/dux-cassette.jsonl` });
+
 // Armado de headers para Dux
-function buildDuxHeaders() {
+function buildDuxHeaders(token = DUX_TOKEN) {
   return {
     'Content-Type': 'application/json',
     accept: 'application/json',
-    authorization: DUX_TOKEN, // <- Dux espera este header sin "Bearer"
+    authorization: token, // <- Dux espera este header sin "Bearer"
   };
 }
 
 // === Rate Limit y reintentos ===
-// 1 request cada 5s; reintentos con backoff para 429/5xx
-const queue = new PQueue({ interval: 5000, intervalCap: 1 });
+// 1 request cada 5s POR DUX_TOKEN (cada token tiene su propio límite en Dux);
+// prioridades write > interactive > background.
+// Reintentos para 429/5xx respetando Retry-After, con backoff exponencial + jitter.
+const schedulers = new Map(); // duxToken -> scheduler
+
+function schedulerFor(token) {
+  if (!schedulers.has(token)) {
+    schedulers.set(token, createScheduler({
+      intervalMs: Number(process.env.DUX_INTERVAL_MS || 5000),
+      intervalCap: 1,
+      onStart: (priority, waitMs) => m.queueWait.observe({ priority }, waitMs / 1000),
+    }));
+  }
+  return schedulers.get(token);
+}
 
-async function callDux(path, { method = 'GET', data, params } = {}) {
-  return queue.add(async () => {
-    const headers = buildDuxHeaders();
-    let attempt = 1;
-    const maxAttempts = 3;
+// === Circuit breaker y salud de Dux ===
+// Tras BREAKER_FAILURES fallas seguidas (red o 5xx, contando cada intento) callDux responde 503 al instante
+// durante BREAKER_OPEN_S; después una sola llamada prueba si Dux volvió.
+const breaker = createCircuitBreaker({
+  failures: Number(process.env.BREAKER_FAILURES || 5),
+  openMs: Number(process.env.BREAKER_OPEN_S || 30) * 1000,
+  onChange: (state, prev) => (state === 'open' ? log.warn : log.info)('Circuito hacia Dux', { state, prev }),
+});
+const duxHealth = {
+  lastSuccessAt: null,
+  rejectedAt: new Map(), // duxToken -> último DUX_UNAUTHORIZED (se borra con la próxima llamada ok)
+};
 
-    while (true) {
-      try {
-        const resp = await dux.request({ url: path, method, data, params, headers });
-        return resp.data;
-      } catch (err) {
-        const ax = err; // AxiosError
-        const status = ax.response?.status;
-        const body = ax.response?.data;
-        const retryAfter = ax.response?.headers?.['retry-after'];
-        const netCode = ax.code; // 'ECONNABORTED', 'ETIMEDOUT', etc.
-        const msg = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : ax.message;
-
-        // 401/403 de Dux: credenciales inválidas del DUX_TOKEN => no reintentar
-        if (status === 401 || status === 403) {
-          const e = new Error(`DUX ${status}: ${msg}`);
-          e.isDux = true;
-          e.status = 502;                 // Gateway error hacia el cliente
-          e.code = 'DUX_UNAUTHORIZED';
-          e.detail = 'El ERP rechazó las credenciales (DUX_TOKEN).';
-          throw e;
-        }
+function circuitOpenError() {
+  const retryAfter = breaker.retryAfterS();
+  const e = new Error(`DUX UNAVAILABLE: circuito abierto tras fallas repetidas de red o 5xx; reintentar en ${retryAfter} s`);
+  e.isDux = true;
+  e.status = ERROR_CATALOG.DUX_UNAVAILABLE.status;
+  e.code = 'DUX_UNAVAILABLE';
+  e.detail = 'fallas repetidas de red o 5xx';
+  e.retryAfter = String(retryAfter);
+  return e;
+}
 
-        // 429 o 5xx: reintentos con backoff
-        if ((status === 429 || (status && status >= 500)) && attempt < maxAttempts) {
-          const backoff = 500 * Math.pow(2, attempt - 1);
-          await new Promise(r => setTimeout(r, backoff));
-          attempt++;
-          continue;
-        }
+// Cuánto puede esperar turno cada clase antes de descartarse (0 = sin límite)
+const QUEUE_DEADLINE_MS = {
+  write:       Number(process.env.QUEUE_DEADLINE_WRITE_S       || 300) * 1000,
+  interactive: Number(process.env.QUEUE_DEADLINE_INTERACTIVE_S || 90)  * 1000,
+  background:  Number(process.env.QUEUE_DEADLINE_BACKGROUND_S  || 0)   * 1000,
+};
 
-        // Errores de red/timeout
-        if (!status) {
-          const e = new Error(`DUX NET: ${netCode || 'NETWORK_ERROR'} - ${msg}`);
-          e.isDux = true;
-          e.status = 504;                 // Gateway Timeout
-          e.code = netCode || 'NETWORK_ERROR';
-          e.detail = 'Error de red al contactar ERP.';
-          throw e;
-        }
+const BACKOFF_BASE_MS = Number(process.env.DUX_BACKOFF_BASE_MS || 500);
+const BACKOFF_MAX_MS  = 30000;
+
+// Retry-After viene en segundos o como fecha HTTP
+function parseRetryAfter(v) {
+  if (v == null || v === '') return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
 
-        // Otros HTTP 4xx/5xx sin reintentos
-        const e = new Error(`DUX ${status}: ${msg}`);
-        e.isDux = true;
-        e.status = status === 429 ? 429 : 502; // 429 se respeta; resto -> 502
-        e.code = status === 429 ? 'DUX_RATE_LIMIT' : 'DUX_ERROR';
-        e.detail = typeof body === 'string' ? body : 'Error desde ERP.';
-        if (retryAfter) e.retryAfter = retryAfter;
-        throw e;
+function backoffDelay(attempt, retryAfterMs) {
+  const jitter = Math.random() * BACKOFF_BASE_MS;
+  if (retryAfterMs != null) return Math.min(retryAfterMs, BACKOFF_MAX_MS) + jitter;
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt)); // full jitter
+}
+
+// Opciones de cola para una request entrante: tenant + prioridad + abort si el cliente se va
+function duxOpts(req, res, priority = 'interactive') {
+  const ctrl = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) ctrl.abort(); });
+  return { tenant: req.tenant, priority, signal: ctrl.signal };
+}
+
+// Un intento contra Dux, medido (status HTTP o código de red como label)
+async function timedDuxRequest(config) {
+  const started = process.hrtime.bigint();
+  let status;
+  try {
+    const resp = await dux.request(config);
+    status = resp.status;
+    return resp;
+  } catch (e) {
+    status = e.response?.status ?? e.code ?? 'NETWORK_ERROR';
+    throw e;
+  } finally {
+    const labels = { method: config.method, path: config.url };
+    m.duxRequests.inc({ ...labels, status });
+    m.duxDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+async function callDux(path, { method = 'GET', data, params, tenant = null, priority = 'interactive', signal = null, deadline } = {}) {
+  const token = tenant?.duxToken || DUX_TOKEN;
+  const headers = buildDuxHeaders(token);
+  const scheduler = schedulerFor(token);
+  const maxAttempts = 3;
+  if (deadline === undefined && QUEUE_DEADLINE_MS[priority]) deadline = Date.now() + QUEUE_DEADLINE_MS[priority];
+
+  const fail = (e) => { m.duxErrors.inc({ code: e.code || 'UNKNOWN' }); return e; };
+  params = duxDateParams(path, params);
+
+  for (let attempt = 1; ; attempt++) {
+    if (breaker.state === 'open') throw fail(circuitOpenError()); // sin esperar turno en la cola
+    try {
+      const resp = await scheduler.schedule(
+        () => {
+          if (!breaker.tryAcquire()) throw circuitOpenError(); // half_open: ya hay una prueba en curso
+          return timedDuxRequest({ url: path, method, data, params, headers });
+        },
+        { priority, deadline, signal, front: attempt > 1 }
+      );
+      breaker.success();
+      duxHealth.lastSuccessAt = Date.now();
+      duxHealth.rejectedAt.delete(token);
+      return resp.data;
+    } catch (err) {
+      if (!err.isAxiosError) throw fail(err); // vencido/abortado en la cola o circuito abierto
+
+      const ax = err; // AxiosError
+      const status = ax.response?.status;
+      const body = ax.response?.data;
+      const retryAfter = ax.response?.headers?.['retry-after'];
+      const netCode = ax.code; // 'ECONNABORTED', 'ETIMEDOUT', etc.
+      // code del catálogo, motivo e invalidParams a partir del body de error de Dux
+      const duxError = () => fail(translateDuxError({ status, body, netCode, retryAfter, message: ax.message }));
+
+      // Dux respondió (4xx/429): está arriba aunque la llamada falle
+      if (status && status < 500) breaker.success();
+      else breaker.failure(status ? `HTTP ${status}` : (netCode || 'NETWORK_ERROR'));
+      // esta falla abrió el circuito: no tiene sentido esperar el backoff para reintentar
+      if (breaker.state === 'open') throw fail(circuitOpenError());
+
+      // 401/403 de Dux: credenciales inválidas del DUX_TOKEN => no reintentar
+      if (status === 401 || status === 403) {
+        duxHealth.rejectedAt.set(token, Date.now());
+        throw duxError();
+      }
+
+      // 429 o 5xx: reintentos con backoff; un 429 con Retry-After pausa toda la cola
+      if ((status === 429 || (status && status >= 500)) && attempt < maxAttempts) {
+        const retryAfterMs = parseRetryAfter(retryAfter);
+        const delay = backoffDelay(attempt, retryAfterMs);
+        m.duxRetries.inc({ path, reason: status === 429 ? '429' : '5xx' });
+        log.warn('Reintento hacia Dux', { path, status, attempt, delayMs: Math.round(delay) });
+        if (status === 429) scheduler.pauseUntil(Date.now() + delay); // el reintento espera en la cola, primero
+        else await new Promise(r => setTimeout(r, delay));
+        continue;
       }
+
+      // Red/timeout (504), 429 agotado (429 + Retry-After), 400/422 con errores por campo, 404, resto 502
+      throw duxError();
     }
-  });
+  }
 }
 
 
@@ -229,155 +584,954 @@ function projectFields(row, fieldsCsv) {
   return out;
 }
 
-function makeGetProxy(localPath, duxPath, { defaultFields = null } = {}) {
-  app.get(localPath, async (req, res) => {
+// Params que consume el bridge y no se reenvían a Dux
+const BRIDGE_PARAMS = ['compact', 'fields', 'all', 'format', 'cursor', 'pageSize', 'filter', 'sort', 'q', 'periodo'];
+
+// Params hacia Dux a partir del query (sin limit/offset ni params del bridge) con las fechas ya resueltas
+function duxListParams(query, rango) {
+  const params = { ...query };
+  for (const p of [...BRIDGE_PARAMS, 'limit', 'offset', 'fechaDesde', 'fechaHasta']) delete params[p];
+  if (rango?.fechaDesde) params.fechaDesde = rango.fechaDesde;
+  if (rango?.fechaHasta) params.fechaHasta = rango.fechaHasta;
+  return params;
+}
+
+// si no viene array directo, intenta localizar la lista (incluye compras)
+function extractRows(data) {
+  return Array.isArray(data) ? data :
+         (Array.isArray(data?.data)      ? data.data      :
+         (Array.isArray(data?.results)   ? data.results   :
+         (Array.isArray(data?.pedidos)   ? data.pedidos   :
+         (Array.isArray(data?.facturas)  ? data.facturas  :
+         (Array.isArray(data?.compras)   ? data.compras   :
+         (Array.isArray(data?.lista)     ? data.lista     :
+         (Array.isArray(data?.resultado) ? data.resultado : [])))))));
+}
+
+// compact/fields
+function fieldsFor(query, defaultFields) {
+  const useCompact = String(query.compact || '0') === '1';
+  return query.fields || (useCompact ? defaultFields : null);
+}
+
+// === Cursores ===
+// Sin CURSOR_SECRET los cursores valen sólo hasta el próximo reinicio
+const cursors = createCursorCodec(process.env.CURSOR_SECRET || crypto.randomUUID());
+
+// Hash de la consulta (filtros Dux + filter/sort/q): un cursor sólo vale para la misma consulta
+function listHash(duxPath, base, query) {
+  const { filter, sort, q } = query;
+  return shortHash(cacheKey(duxPath, { ...base, filter, sort, q }));
+}
+
+// Lee ?cursor=; devuelve { o: offset Dux, s: coincidencias ya entregadas de esa página } o null
+function readCursor(token, duxPath, hash) {
+  const c = cursors.decode(token);
+  if (!c || c.p !== duxPath || c.h !== hash || !Number.isInteger(c.o) || c.o < 0) return null;
+  return { o: c.o, s: Number.isInteger(c.s) && c.s > 0 ? c.s : 0 };
+}
+
+const makeCursor = (duxPath, hash, o, s = 0) => cursors.encode({ p: duxPath, o, h: hash, ...(s ? { s } : {}) });
+
+function sendInvalidCursor(res) {
+  return sendProblem(res, { code: 'INVALID_CURSOR', invalidParams: [{ name: 'cursor', in: 'query', reason: 'cursor inválido' }] });
+}
+
+// filter/sort/q o fechas mal escritos => 400 antes de llamar a Dux
+function parseListQuery(req, res, searchFields) {
+  const rango = parseDateQuery(req, res);
+  if (!rango) return null;
+  if (rango.fechaDesde || rango.fechaHasta) res.setHeader('X-Date-Range', dateRangeHeader(rango));
+  try {
+    return { query: compileListQuery(req.query, { searchFields }), rango };
+  } catch (e) {
+    if (!e.isQuery) throw e;
+    sendProblem(res, { code: 'INVALID_QUERY', params: { motivo: e.message }, invalidParams: [{ name: e.param, in: 'query', reason: e.reason }] });
+    return null;
+  }
+}
+
+// === Cache de catálogos ===
+// TTL en segundos; swr = ventana extra en la que se sirve lo viejo mientras se refresca
+const catalogCache = createCache({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 500) });
+const CACHE_TTL_STATIC  = Number(process.env.CACHE_TTL_STATIC  || 86400); // provincias, localidades
+const CACHE_TTL_CATALOG = Number(process.env.CACHE_TTL_CATALOG || 3600);  // rubros, sucursales, depósitos...
+const CACHE_TTL_PRICES  = Number(process.env.CACHE_TTL_PRICES  || 600);   // listas de precio
+
+// Trae una página de Dux, pasando por la cache si la ruta tiene política.
+// Devuelve { data, entry } (entry sólo si vino de la cache).
+async function fetchListPage(req, res, duxPath, params, cache) {
+  if (!cache) return { data: await callDux(duxPath, { method: 'GET', params, ...duxOpts(req, res) }) };
+
+  // sin signal: el resultado le sirve a todos los que esperan la misma clave.
+  // La clave lleva el tenant: cada DUX_TOKEN ve sus propios datos.
+  const { tenant } = req;
+  const { entry, status } = await catalogCache.wrap(`${tenant.id}:${cacheKey(duxPath, params)}`, cache, ({ background } = {}) =>
+    callDux(duxPath, { method: 'GET', params, tenant, priority: background ? 'background' : 'interactive' })
+  );
+  res.setHeader('X-Cache', status);
+  res.setHeader('Cache-Control', `private, max-age=${Math.max(0, Math.round((entry.freshUntil - Date.now()) / 1000))}`);
+  return { data: entry.value, entry };
+}
+
+// === Exportación completa (all=1) ===
+// Recorre todas las páginas de Dux por la cola (prioridad background) y las emite a medida que llegan.
+// NDJSON: una fila por línea + {"_cursor": "..."} al cerrar cada página.
+// CSV: cabecera con las columnas de la primera página + "#cursor,<token>" al cerrar cada página.
+// Con ?cursor=<último checkpoint> se retoma donde se cortó.
+// Con filter/q se filtra fila a fila; con sort se junta todo, se ordena y recién ahí se emite (sin checkpoints).
+// Al final va {"_meta": {...}} / "#meta,..." con filas escaneadas y coincidentes.
+const EXPORT_PAGE_SIZE = Number(process.env.EXPORT_PAGE_SIZE || 100);
+const EXPORT_MAX_ROWS  = Number(process.env.EXPORT_MAX_ROWS || 100000);
+
+async function streamAllPages(req, res, duxPath, { defaultFields, query, rango }) {
+  const format = req.query.format === 'csv' ? 'csv' : 'ndjson';
+  const pageSize = Math.max(1, Math.min(1000, Number(req.query.pageSize) || EXPORT_PAGE_SIZE));
+  const base = duxListParams(req.query, rango);
+  const hash = listHash(duxPath, base, req.query);
+  const fields = fieldsFor(req.query, defaultFields);
+
+  let offset = 0;
+  if (req.query.cursor) {
+    const c = readCursor(req.query.cursor, duxPath, hash);
+    if (!c) return sendInvalidCursor(res);
+    offset = c.o;
+  }
+
+  const opts = duxOpts(req, res, 'background');
+  res.status(200).type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await new Promise(r => res.once('drain', r));
+  };
+  let columns = null;
+  const emit = async (rows) => {
+    rows = fields ? rows.map(r => projectFields(r, fields)) : rows;
+    if (format === 'csv') {
+      if (!columns && rows.length) {
+        columns = csvColumns(rows);
+        await write(csvLine(columns));
+      }
+      for (const r of rows) await write(csvRow(r, columns));
+    } else {
+      for (const r of rows) await write(JSON.stringify(r) + '\n');
+    }
+  };
+
+  let scanned = 0, matched = 0;
+  const held = []; // filas retenidas para ordenar
+  try {
+    while (!opts.signal.aborted) {
+      const data = await callDux(duxPath, { method: 'GET', params: { ...base, limit: pageSize, offset }, ...opts });
+      const page = extractRows(data);
+      const rows = query ? page.filter(r => query.match(r)) : page;
+      scanned += page.length;
+      matched += rows.length;
+      offset += page.length;
+
+      if (query?.sorted) held.push(...rows);
+      else await emit(rows);
+
+      const done = page.length < pageSize || matched >= EXPORT_MAX_ROWS;
+      if (!done && !query?.sorted) {
+        const cursor = makeCursor(duxPath, hash, offset);
+        await write(format === 'csv' ? csvLine(['#cursor', cursor]) : JSON.stringify({ _cursor: cursor }) + '\n');
+      }
+      res.flush?.(); // compression: no retener el buffer entre páginas
+      if (done) break;
+    }
+    if (query?.sorted) await emit(query.sort(held).slice(0, EXPORT_MAX_ROWS));
+    if (query) {
+      await write(format === 'csv'
+        ? csvLine(['#meta', 'scanned', scanned, 'matched', matched])
+        : JSON.stringify({ _meta: { scanned, matched } }) + '\n');
+    }
+  } catch (e) {
+    // los headers ya salieron: el error va como última línea
+    const err = { code: e.code || 'DUX_ERROR', detail: String(e?.detail || e?.message || e) };
+    await write(format === 'csv' ? csvLine(['#error', err.code, err.detail]) : JSON.stringify({ _error: err }) + '\n').catch(() => {});
+  }
+  res.end();
+}
+
+// === Consulta con filter/sort/q ===
+// Escanea hasta SCAN_MAX_PAGES páginas de Dux juntando coincidencias.
+// Sin sort: corta apenas junta `limit` y devuelve cursor para seguir (offset + coincidencias ya entregadas).
+// Con sort: escanea toda la ventana, ordena y devuelve las primeras `limit` (sin cursor).
+const SCAN_MAX_PAGES = Number(process.env.SCAN_MAX_PAGES || 3);
+
+async function scanListPages(req, res, duxPath, { limit, start, base, hash, query, cache }) {
+  const pageSize = Math.max(limit, Math.min(1000, EXPORT_PAGE_SIZE));
+  let offset = start.o, skip = start.s;
+  let scanned = 0, matched = 0, pages = 0, complete = false, next = null;
+  const out = [];
+
+  scan:
+  while (pages < SCAN_MAX_PAGES) {
+    const { data } = await fetchListPage(req, res, duxPath, { ...base, limit: pageSize, offset }, cache);
+    const page = extractRows(data);
+    pages++;
+    scanned += page.length;
+
+    let inPage = 0; // coincidencias de esta página ya entregadas (o salteadas por el cursor)
+    for (const row of page) {
+      if (!query.match(row)) continue;
+      matched++;
+      inPage++;
+      if (skip > 0) { skip--; continue; }
+      out.push(row);
+      if (!query.sorted && out.length >= limit) {
+        next = makeCursor(duxPath, hash, offset, inPage);
+        break scan;
+      }
+    }
+
+    skip = 0;
+    if (page.length < pageSize) { complete = true; break; }
+    offset += page.length;
+  }
+  if (!complete && !next && !query.sorted) next = makeCursor(duxPath, hash, offset);
+
+  const rows = query.sorted ? query.sort(out).slice(0, limit) : out;
+  return { rows, next, meta: { scanned, matched, returned: rows.length, pages, complete } };
+}
+
+function makeGetProxy(localPath, duxPath, { defaultFields = null, cache = null, searchFields = null } = {}) {
+  app.get(localPath, requireScope('read'), async (req, res) => {
     try {
-      // parámetros normalizados
-      const { limit, offset } = clampListParams(req.query);
+      const parsed = parseListQuery(req, res, searchFields);
+      if (!parsed) return;
+      const { query, rango } = parsed;
 
-      const params = { ...req.query, limit, offset };
-      if ('fechaDesde' in params) params.fechaDesde = toIsoDateMaybe(params.fechaDesde);
-      if ('fechaHasta' in params) params.fechaHasta = toIsoDateMaybe(params.fechaHasta);
+      if (String(req.query.all || '0') === '1') return await streamAllPages(req, res, duxPath, { defaultFields, query, rango });
 
-      const data = await callDux(duxPath, { method: 'GET', params });
+      // parámetros normalizados
+      const base = duxListParams(req.query, rango);
+      const hash = listHash(duxPath, base, req.query);
+      const { limit, offset } = clampListParams(req.query);
+      let start = { o: offset, s: 0 };
+      if (req.query.cursor) {
+        start = readCursor(req.query.cursor, duxPath, hash);
+        if (!start) return sendInvalidCursor(res);
+      }
+      const fields = fieldsFor(req.query, defaultFields);
+      const project = (rows) => (fields ? rows.map(r => projectFields(r, fields)) : rows);
+
+      // filter/sort/q => se responde { data, meta } con lo escaneado y lo que coincidió
+      if (query) {
+        const { rows, next, meta } = await scanListPages(req, res, duxPath, { limit, start, base, hash, query, cache });
+        res.removeHeader('Cache-Control');
+        if (next) res.setHeader('X-Next-Cursor', next);
+        res.setHeader('X-Rows-Scanned', meta.scanned);
+        res.setHeader('X-Rows-Matched', meta.matched);
+        const fechas = rango.fechaDesde || rango.fechaHasta ? { rango: echoRange(rango) } : {};
+        return res.json({ data: project(rows), meta: { ...meta, nextCursor: next, ...fechas } });
+      }
 
-      // si no viene array directo, intenta localizar la lista (incluye compras)
-      const rows = Array.isArray(data) ? data :
-                   (Array.isArray(data?.data)      ? data.data      :
-                   (Array.isArray(data?.results)   ? data.results   :
-                   (Array.isArray(data?.pedidos)   ? data.pedidos   :
-                   (Array.isArray(data?.facturas)  ? data.facturas  :
-                   (Array.isArray(data?.compras)   ? data.compras   :
-                   (Array.isArray(data?.lista)     ? data.lista     :
-                   (Array.isArray(data?.resultado) ? data.resultado : [])))))));
+      const { data, entry } = await fetchListPage(req, res, duxPath, { ...base, limit, offset: start.o }, cache);
+      const rows = extractRows(data);
+      const out = project(rows);
 
-      // compact/fields
-      const useCompact = String(req.query.compact || '0') === '1';
-      const fields = req.query.fields || (useCompact ? defaultFields : null);
+      // página llena => probablemente hay más
+      if (rows.length >= limit) {
+        res.setHeader('X-Next-Cursor', makeCursor(duxPath, hash, start.o + rows.length));
+      }
 
-      const out = fields ? rows.map(r => projectFields(r, fields)) : rows;
+      // ETag estable por contenido cacheado + proyección => 304 si el cliente ya lo tiene
+      if (entry) {
+        res.setHeader('ETag', `"${entry.etag}${fields ? '-' + shortHash(fields) : ''}"`);
+        if (req.fresh) return res.status(304).end();
+      }
 
       res.json(out);
     } catch (e) {
-      res.status(502).json({ error: `Error consultando Dux ${duxPath}`, detail: e.message });
+      if (res.headersSent) return res.end();
+      sendRouteError(res, e, localPath);
     }
   });
 }
 
 
 
-
-// === Endpoints GET (consulta) ===
+// === Rutas del registro (lib/routes.js) ===
 // Usá query params tal cual los pida Dux. Ej: ?offset=0&limit=20
-makeGetProxy('/duxc/items',               DUX_PATHS.items);
-makeGetProxy('/duxc/compras',             DUX_PATHS.compras);
-makeGetProxy('/duxc/depositos',           DUX_PATHS.depositos);
-makeGetProxy('/duxc/empresas',            DUX_PATHS.empresas);
-makeGetProxy('/duxc/facturas',            DUX_PATHS.facturas);
-makeGetProxy('/duxc/pedidos',             DUX_PATHS.pedidos);
-makeGetProxy('/duxc/listas-precio-venta', DUX_PATHS.listasPrecioVenta);
-makeGetProxy('/duxc/localidades',         DUX_PATHS.localidades);
-makeGetProxy('/duxc/percepciones',        DUX_PATHS.percepciones);
-makeGetProxy('/duxc/personal',            DUX_PATHS.personal);
-makeGetProxy('/duxc/provincias',          DUX_PATHS.provincias);
-makeGetProxy('/duxc/rubros',              DUX_PATHS.rubros);
-makeGetProxy('/duxc/subrubros',           DUX_PATHS.subrubros);
-makeGetProxy('/duxc/sucursales',          DUX_PATHS.sucursales);
-
-
-// === Endpoints de estado de jobs (si Dux los expone así) ===
-makeGetProxy('/duxc/factura/estado',      '/obtenerEstadoFactura');
-makeGetProxy('/duxc/items/estado',        '/obtenerEstadoItems');
-
-// justo debajo de makeGetProxy(...)
-app.get('/duxc/items', async (req, res) => {
-  try {
-    const limit  = Number(req.query.limit)  || 20;  // seguro para Actions
-    const offset = Number(req.query.offset) || 0;
+const CACHE_POLICIES = {
+  static:  { ttl: CACHE_TTL_STATIC },
+  catalog: { ttl: CACHE_TTL_CATALOG },
+  prices:  { ttl: CACHE_TTL_PRICES },
+};
+
+const writeRoutes = new Map(); // localPath -> config de escritura (para ejecutar borradores)
 
-    const data = await callDux('/items', {
-      method: 'GET',
-      params: { ...req.query, limit, offset }
+for (const r of ROUTES) {
+  if (r.kind === 'list') {
+    makeGetProxy(r.path, r.duxPath, {
+      defaultFields: r.compact || null,
+      cache: CACHE_POLICIES[r.cache] || null,
+      searchFields: r.searchFields || null,
     });
+  } else if (r.kind === 'write') {
+    makePostProxy(r.path, r.duxPath, {
+      operationId: r.operationId,
+      title: r.errorTitle,
+      scope: r.scope,
+      idempotent: r.idempotent,
+      job: r.job || null,
+      confirm: !!r.confirm,
+      label: r.summary.replace(/\s*\(.*\)$/, ''),
+    });
+  }
+}
 
-    res.json(data);
-  } catch (e) {
-    res.status(502).json({ error: 'Error consultando Dux /items', detail: e.message });
+// === Admin de salud de Dux ===
+// Como /health/ready más los tenants con el token rechazado por Dux
+app.get('/admin/health', requireScope('admin'), (_req, res) => {
+  const { rejected, ...r } = readiness();
+  res.json({ ...r, dux: { ...r.dux, rejected } });
+});
+
+// === Admin de la cola hacia Dux ===
+// Una cola por DUX_TOKEN; se listan por tenant (sin exponer el token)
+app.get('/admin/queue', requireScope('admin'), (_req, res) => {
+  const queues = {};
+  for (const t of tenants.list) {
+    if (schedulers.has(t.duxToken)) queues[t.id] = schedulers.get(t.duxToken).snapshot();
   }
+  res.json({ queues });
 });
 
-// === Endpoints POST (operaciones) ===
-// Idempotencia simple en memoria para externalId (en prod: Redis/DB)
-const seenExternalIds = new Set();
+// === Métricas (Prometheus) ===
+// Profundidad de la cola y descartes se leen de los schedulers al scrapear
+const queueTenant = (token) => tenants.list.find(t => (t.duxToken || DUX_TOKEN) === token)?.id || 'default';
+metrics.gauge('bridge_dux_queue_depth', 'Trabajos esperando turno hacia Dux', ['queue', 'priority'], (set) => {
+  for (const [token, sch] of schedulers) {
+    for (const [priority, c] of Object.entries(sch.snapshot().classes)) set({ queue: queueTenant(token), priority }, c.depth);
+  }
+});
+metrics.gauge('bridge_dux_queue_oldest_wait_seconds', 'Espera del trabajo más viejo en la cola', ['queue', 'priority'], (set) => {
+  for (const [token, sch] of schedulers) {
+    for (const [priority, c] of Object.entries(sch.snapshot().classes)) set({ queue: queueTenant(token), priority }, c.oldestWaitMs / 1000);
+  }
+});
+metrics.counter('bridge_dux_queue_dropped_total', 'Trabajos descartados en la cola (vencidos o abortados)', ['queue', 'priority', 'reason'], (set) => {
+  for (const [token, sch] of schedulers) {
+    for (const [priority, c] of Object.entries(sch.snapshot().classes)) {
+      set({ queue: queueTenant(token), priority, reason: 'expired' }, c.expired);
+      set({ queue: queueTenant(token), priority, reason: 'aborted' }, c.aborted);
+    }
+  }
+});
+
+metrics.gauge('bridge_dux_circuit_state', 'Circuito hacia Dux: 0 closed, 1 open, 2 half_open', [], (set) => {
+  set({}, BREAKER_STATES.indexOf(breaker.state));
+});
+
+// scope admin: en Prometheus va como bearer_token (o authorization.credentials) del job
+app.get('/metrics', requireScope('admin'), (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
+// === Admin de cache ===
+// GET lista entradas y stats; DELETE purga todo, ?prefix=/provincias (path de Dux) y/o ?tenantId=.
+// Las claves son `${tenantId}:${path de Dux}?params`: el prefix se compara después del tenant.
+app.get('/admin/cache', requireScope('admin'), (_req, res) => {
+  res.json({ stats: catalogCache.stats(), entries: catalogCache.list() });
+});
+app.delete('/admin/cache', requireScope('admin'), (req, res) => {
+  const { prefix = '', tenantId } = req.query;
+  res.json({
+    purged: catalogCache.purge((key) => {
+      const i = key.indexOf(':');
+      return (!tenantId || key.slice(0, i) === tenantId) && key.slice(i + 1).startsWith(prefix);
+    }),
+  });
+});
+
+// === Endpoints POST (operaciones) ===
 // Helper para tomar la key de idempotencia
 function getIdemKey(req) {
   return req.headers['idempotency-key'] || req.body?.externalId || null;
 }
 
-// GET /analytics/top-vendidos?fechaDesde=YYYY-MM-DD&fechaHasta=YYYY-MM-DD&idEmpresa=####&idSucursal=##&top=5&source=facturas|pedidos
-app.get('/analytics/top-vendidos', async (req, res) => {
+// Ejecuta el handler una sola vez por scope + clave (sin HTTP; lo usan withIdempotency y los lotes).
+// Devuelve { state, response }: state 'none' (sin clave) | 'acquired' | 'replay' | 'mismatch' | 'inflight'.
+async function runIdempotent(scope, key, payload, handler, status = 200) {
+  if (!key) {
+    m.idempotency.inc({ result: 'none' });
+    return { state: 'none', response: { status, body: await handler() } }; // si no mandan clave, procesa normal
+  }
+
+  const storeKey = `${scope}:${key}`;
+  const { state, entry } = idemStore.begin(storeKey, hashPayload(payload));
+  m.idempotency.inc({ result: state });
+  if (state === 'replay') return { state, response: entry.response };
+  if (state !== 'acquired') return { state };
+
   try {
-    const { fechaDesde, fechaHasta, idEmpresa, idSucursal } = req.query;
-    const source = (req.query.source || 'facturas').toLowerCase();
-    const top = Math.max(1, Math.min(100, Number(req.query.top) || 10));
-    const pageSize = Math.max(50, Math.min(500, Number(req.query.pageSize) || 200));
-    if (!idEmpresa) return res.status(400).json({ error: 'Falta idEmpresa' });
-
-    const duxPath = source === 'pedidos' ? '/pedidos' : '/facturas';
-
-    const pickDetailArray = (row) => {
-      if (!row || typeof row !== 'object') return [];
-      const candidates = [
-        'detalle', 'detalles', 'renglones', 'items', 'lineas', 'líneas',
-        'detalleFactura', 'detalle_factura', 'renglon', 'productos', 'articulos'
-      ];
-      for (const k of candidates) if (Array.isArray(row[k])) return row[k];
-      for (const [, v] of Object.entries(row)) {
-        if (Array.isArray(v) && v.length && typeof v[0] === 'object') return v;
-      }
-      return [];
-    };
+    const response = { status, body: await handler() };
+    idemStore.complete(storeKey, response);
+    return { state, response };
+  } catch (e) {
+    idemStore.release(storeKey);
+    throw e;
+  }
+}
+
+// Ejecuta el handler una sola vez por clave y responde; los reintentos reciben la respuesta original.
+// La clave se acota por ruta: el mismo externalId en /pedido y /factura no colisiona.
+// key/payload explícitos: /duxc/confirmar ejecuta el body guardado en el borrador
+async function withIdempotency(req, res, scope, handler, { status = 200, key = getIdemKey(req), payload = req.body } = {}) {
+  const { state, response } = await runIdempotent(scope, key, payload, handler, status);
+
+  if (state === 'mismatch') {
+    return sendProblem(res, { code: 'IDEMPOTENCY_KEY_MISMATCH' });
+  }
+  if (state === 'inflight') {
+    return sendProblem(res, { code: 'IDEMPOTENCY_IN_PROGRESS', retryAfter: 5 });
+  }
+  if (state === 'replay') res.setHeader('Idempotent-Replayed', 'true');
+  res.status(response.status).json(response.body);
+}
+
+// === Auditoría de escrituras ===
+// AUDIT_DIR (default DATA_DIR/audit) con rotación por tamaño; AUDIT_STORE=memory para tests/dev.
+const audit = createAuditLog({
+  log,
+  dir: process.env.AUDIT_STORE === 'memory' ? null : (process.env.AUDIT_DIR || `${DATA_DIR}/audit`),
+  maxBytes: Number(process.env.AUDIT_MAX_MB || 10) * 1024 * 1024,
+  maxFiles: Number(process.env.AUDIT_MAX_FILES || 10),
+});
+
+// Registra la escritura cuando se cierra la respuesta: éxito, error de Dux, 4xx o replay de idempotencia
+function auditWrite(req, res, { operation, payload, externalId = getIdemKey(req), draft = false, extra = {} }) {
+  const started = Date.now();
+  const json = res.json.bind(res);
+  let body;
+  res.json = (b) => { body = b; return json(b); };
+
+  res.once('close', () => {
+    const aborted = !res.writableFinished; // el cliente cortó antes de la respuesta
+    audit.append({
+      requestId: req.id,
+      tenantId: req.tenant.id,
+      apiKeyId: req.apiKeyId,
+      operation,
+      method: req.method,
+      path: req.path,
+      externalId: externalId ?? null,
+      payloadHash: hashPayload(payload),
+      payload: redact(payload),
+      status: aborted ? null : res.statusCode,
+      outcome: aborted ? 'error' : outcomeFor(res.statusCode, { replayed: res.get('Idempotent-Replayed') === 'true', draft }),
+      ...(aborted ? { error: { detail: 'El cliente cerró la conexión antes de la respuesta.' } } : {}),
+      ...(!aborted && res.statusCode >= 400 ? { error: clipResponse(body) } : {}),
+      ...(!aborted && res.statusCode < 400 ? { response: clipResponse(body) } : {}),
+      latencyMs: Date.now() - started,
+      ...extra,
+    });
+  });
+}
+
+// Resultado final de un job (la entrada del POST queda como "accepted")
+function auditJob(job) {
+  if (!job.meta) return;
+  audit.append({
+    ...job.meta,
+    event: 'job.finished',
+    jobId: job.id,
+    status: null,
+    outcome: job.status === 'error' ? 'error' : job.status,
+    ...(job.error ? { error: job.error } : { response: clipResponse(job.result ?? null) }),
+    latencyMs: (job.finishedAt || Date.now()) - job.createdAt,
+  });
+}
+
+// GET /audit?desde=&hasta=&operation=&externalId=&outcome=&requestId=&limit=
+// Cada tenant ve lo suyo; con scope admin, ?tenantId= (o todo).
+// desde/hasta: ISO 8601 con hora, o un día/expresión ("ayer", "este mes") que cubre días enteros en DATE_TZ.
+app.get('/audit', requireScope('audit'), async (req, res) => {
+  const { operation, externalId, outcome, requestId } = req.query;
+  const tenantId = hasScope(req.tenant, 'admin') ? (req.query.tenantId || null) : req.tenant.id;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  let desde, hasta;
+  try {
+    desde = resolveInstant('desde', req.query.desde, { tz: DATE_TZ });
+    hasta = resolveInstant('hasta', req.query.hasta, { end: true, tz: DATE_TZ });
+  } catch (e) {
+    if (!e.isDate) throw e;
+    return sendProblem(res, { code: 'VALIDATION_ERROR', invalidParams: [{ name: e.param, in: 'query', reason: e.reason }] });
+  }
+  try {
+    res.json(await audit.query({ tenantId, desde, hasta, operation, externalId, outcome, requestId, limit }));
+  } catch (e) {
+    sendRouteError(res, e, 'auditoria');
+  }
+});
+
+// === Jobs asíncronos (factura, items) ===
+// El POST responde 202 con el job; el envío y el polling de /obtenerEstado* siguen en segundo plano.
+const JOBS_TTL_MS = Number(process.env.JOBS_TTL_HOURS || 72) * 60 * 60 * 1000;
+const jobStore = createJobStore({
+  file: process.env.JOBS_STORE === 'memory' ? null : (process.env.JOBS_FILE || `${DATA_DIR}/jobs.jsonl`),
+  ttlMs: JOBS_TTL_MS,
+});
+const callbackSecretFor = (tenant) => tenant.callbackSecret || process.env.CALLBACK_SECRET || null;
+const tenantById = (id) => tenants.list.find(t => t.id === id) || null;
+
+// Quienes esperan el final de un job (las operaciones de un lote)
+const jobWaiters = new Map(); // jobId -> [resolve]
+function waitJob(id) {
+  const job = jobStore.get(id);
+  if (!job || FINAL_STATES.includes(job.status)) return Promise.resolve(job);
+  return new Promise(resolve => jobWaiters.set(id, [...(jobWaiters.get(id) || []), resolve]));
+}
+
+const jobRunner = createJobRunner({
+  log,
+  store: jobStore,
+  callDux,
+  tenantById,
+  secretFor: callbackSecretFor,
+  pollMs: Number(process.env.JOBS_POLL_MS || 15000),
+  maxAgeMs: Number(process.env.JOBS_MAX_AGE_MIN || 60) * 60 * 1000,
+  onFinish: (job) => {
+    auditJob(job);
+    for (const resolve of jobWaiters.get(job.id) || []) resolve(job);
+    jobWaiters.delete(job.id);
+  },
+});
+jobRunner.resume();
+
+// Motivo por el que una URL de notificación no sirve, o null
+function httpUrlProblem(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol) ? null : 'debe ser http(s)';
+  } catch {
+    return 'URL inválida';
+  }
+}
+
+// callbackUrl del body (no se reenvía a Dux) o header X-Callback-Url
+function readCallbackUrl(req, res) {
+  const url = req.get('x-callback-url') || req.body?.callbackUrl || null;
+  if (!url) return { url: null };
+  let reason = httpUrlProblem(url);
+  if (!reason && !callbackSecretFor(req.tenant)) reason = 'no hay secreto de firma configurado (CALLBACK_SECRET)';
+  if (!reason) return { url };
+  sendProblem(res, { code: 'INVALID_CALLBACK_URL', params: { motivo: reason }, invalidParams: [{ name: 'callbackUrl', in: 'body', reason }] });
+  return null;
+}
 
-    const pickItemId = (it) =>
-      it.itemId ?? it.idItem ?? it.idArticulo ?? it.articuloId ?? it.id ?? it.codigoArticulo ?? it.cod_item ?? null;
+app.get('/jobs/:id', requireScope('read'), (req, res) => {
+  const job = jobStore.get(req.params.id);
+  // un job de otro tenant se responde igual que uno inexistente
+  if (!job || job.tenantId !== req.tenant.id) {
+    return sendProblem(res, { code: 'JOB_NOT_FOUND', params: { id: req.params.id } });
+  }
+  if (job.status === 'queued' || job.status === 'pending') res.setHeader('Retry-After', '5');
+  res.json(publicJob(job));
+});
+
+// === Vista previa de escrituras (dryRun=1 o Prefer: return=preview) ===
+// Lee cliente, items, listas de precio y percepciones (con cache) y arma el payload final.
+// No llama al endpoint de escritura ni toca el store de idempotencia.
+const isPreview = (req) =>
+  String(req.query.dryRun || '0') === '1' || /(^|[\s,;])return=preview\b/i.test(req.get('prefer') || '');
+
+// Una página de un listado de Dux, compartiendo la cache de catálogos
+async function cachedRows(tenant, duxPath, params, ttl) {
+  const { entry } = await catalogCache.wrap(`${tenant.id}:${cacheKey(duxPath, params)}`, { ttl }, () =>
+    callDux(duxPath, { method: 'GET', params, tenant, priority: 'interactive' })
+  );
+  return extractRows(entry.value);
+}
+
+async function previewWrite(req, localPath, duxPath) {
+  const { callbackUrl: _cb, ...body } = req.body || {};
+  return { dryRun: true, route: localPath, duxPath, ...(await priceBody(req.tenant, body)) };
+}
+
+// Valoriza un body con cliente, items, lista de precios y percepciones (catálogos con cache)
+async function priceBody(tenant, body) {
+  const clienteId = pickClienteId(body);
+  const lines = bodyLines(body);
+
+  const cliente = clienteId != null
+    ? findCliente(await cachedRows(tenant, DUX_PATHS.empresas, {}, CACHE_TTL_CATALOG), clienteId)
+    : null;
 
-    const pickCantidad = (it) => {
-      const candidates = [it.cantidad, it.cant, it.cantidadFacturada, it.cantidadVendida, it.unidades, it.ctd];
-      for (const v of candidates) { const n = Number(v); if (!Number.isNaN(n) && n) return n; }
-      return 0;
+  const items = new Map();
+  for (const id of new Set(lines.map(l => l.itemId).filter(x => x != null).map(String))) {
+    const rows = await cachedRows(tenant, DUX_PATHS.items, { buscar: id, limit: 20 }, CACHE_TTL_PRICES);
+    const item = findItem(rows, id);
+    if (item) items.set(id, item);
+  }
+
+  const lista = lines.length ? selectLista(await cachedRows(tenant, DUX_PATHS.listasPrecioVenta, {}, CACHE_TTL_PRICES), body, cliente) : null;
+  const wantsPercepciones = body.percepciones?.length || cliente?.percepciones?.length;
+  const { aplicadas, faltantes } = wantsPercepciones
+    ? selectPercepciones(await cachedRows(tenant, DUX_PATHS.percepciones, {}, CACHE_TTL_CATALOG), body, cliente)
+    : { aplicadas: [], faltantes: [] };
+
+  return buildPreview({ body, clienteId, cliente, items, lista, percepciones: aplicadas, faltantesPercepcion: faltantes });
+}
+
+// === Cotización ===
+// Precio para el cliente (su lista y percepciones) con stock, sin escribir; devuelve también el body de /duxc/pedido.
+app.post('/duxc/cotizacion', requireScope('read'), async (req, res) => {
+  try {
+    res.json(buildQuote(await priceBody(req.tenant, req.body)));
+  } catch (e) {
+    sendRouteError(res, e, 'cotizar');
+  }
+});
+
+// === Búsqueda local (items, clientes, personal) ===
+// Índice en memoria por tenant: se arma en la primera búsqueda y se refresca cada SEARCH_REFRESH_MIN en background.
+const SEARCH_SOURCES = { item: DUX_PATHS.items, cliente: DUX_PATHS.empresas, personal: DUX_PATHS.personal };
+const searchIndex = createSearchIndex({
+  log,
+  refreshMs: Number(process.env.SEARCH_REFRESH_MIN || 30) * 60 * 1000,
+  load: async (tenant, tipo, priority) => {
+    const rows = [];
+    await eachDuxPage(SEARCH_SOURCES[tipo], {}, { pageSize: 200, maxPages: Number(process.env.SEARCH_MAX_PAGES || 50), tenant, priority }, r => rows.push(...r));
+    return rows;
+  },
+});
+searchIndex.start();
+
+// GET /duxc/buscar?tipo=item|cliente|personal&q=&limit=
+app.get('/duxc/buscar', requireScope('read'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 5, 20);
+    res.json(await searchIndex.search(req.tenant, req.query.tipo, req.query.q, { limit }));
+  } catch (e) {
+    sendRouteError(res, e, 'buscar');
+  }
+});
+
+app.get('/admin/buscar', requireScope('admin'), (_req, res) => res.json({ indices: searchIndex.stats() }));
+
+// === Helper para POST de passthrough idempotente ===
+// (el body ya viene validado contra el OpenAPI)
+// job: { kind, statusPath } => responde 202 con un job en vez de esperar a Dux
+// confirm: true => guarda un borrador y sólo escribe con POST /duxc/confirmar/{token}
+
+// Escribe en Dux (directo o como job) con idempotencia
+async function executeWrite(req, res, route, { body, idemKey, callbackUrl }) {
+  const { localPath, duxPath, idempotent, job } = route;
+  const scope = `${req.tenant.id}:${localPath}`;
+  if (job) {
+    const meta = { requestId: req.id, tenantId: req.tenant.id, apiKeyId: req.apiKeyId, operation: route.operationId, externalId: idemKey ?? null };
+    const start = () => {
+      const j = jobRunner.start({ tenant: req.tenant, kind: job.kind, duxPath, statusPath: job.statusPath, data: body, callbackUrl, meta });
+      res.setHeader('Location', `/jobs/${j.id}`);
+      return publicJob(j);
     };
+    if (!idempotent) return res.status(202).json(start());
+    return withIdempotency(req, res, scope, start, { status: 202, key: idemKey, payload: body });
+  }
 
-    const pickNombre = (it) =>
-      it.descripcion ?? it.nombre ?? it.detalle ?? it.descripcionArticulo ?? it.nombreArticulo ?? it.item ?? null;
+  const run = () => callDux(duxPath, { method: 'POST', data: body, ...duxOpts(req, res, 'write') });
+  if (!idempotent) return res.json(await run());
+  return withIdempotency(req, res, scope, run, { key: idemKey, payload: body });
+}
 
-    const acumulado = new Map();
-    let offset = 0, totalFilas = 0;
-    let firstRowKeys = null, firstLineKeys = null;
+function makePostProxy(localPath, duxPath, { operationId, title, scope, idempotent = true, job = null, confirm = false, label = title } = {}) {
+  const route = { localPath, duxPath, operationId, title, scope, idempotent, job, confirm, label };
+  writeRoutes.set(localPath, route);
 
-    while (true) {
-      // 👇 usar el mismo criterio que los proxies: convertir DD/MM → ISO, y dejar ISO como está
-      const fDesde = toIsoDateMaybe(fechaDesde);
-      const fHasta = toIsoDateMaybe(fechaHasta);
+  app.post(localPath, requireScope(scope), async (req, res) => {
+    try {
+      if (isPreview(req)) {
+        res.setHeader('Preference-Applied', 'return=preview');
+        return res.json(await previewWrite(req, localPath, duxPath));
+      }
+      const { callbackUrl: _cb, ...body } = req.body || {};
+      auditWrite(req, res, { operation: operationId, payload: job ? body : req.body, draft: confirm });
+      const cb = job ? readCallbackUrl(req, res) : { url: null };
+      if (!cb) return;
+
+      if (confirm) {
+        // un reintento del mismo POST devuelve el mismo borrador
+        return await withIdempotency(req, res, `${req.tenant.id}:${localPath}:draft`, () => publicDraft(drafts.create({
+          tenantId: req.tenant.id,
+          apiKeyId: req.apiKeyId,
+          route: localPath,
+          body,
+          callbackUrl: cb.url,
+          idemKey: getIdemKey(req),
+          resumen: summarizeDraft(label, body),
+        })), { status: 202 });
+      }
 
-      const params = {
-        idEmpresa,
-        limit: pageSize,
-        offset,
-        ...(fDesde ? { fechaDesde: fDesde } : {}),
-        ...(fHasta ? { fechaHasta: fHasta } : {}),
-        ...(idSucursal ? { idSucursal } : {}),
-      };
+      await executeWrite(req, res, route, { body: job ? body : req.body, idemKey: getIdemKey(req), callbackUrl: cb.url });
+    } catch (e) {
+      sendRouteError(res, e, operationId);
+    }
+  });
+}
 
-      const page = await callDux(duxPath, { method: 'GET', params });
+// === Confirmación en dos pasos ===
+const drafts = createDraftStore({
+  file: process.env.DRAFTS_STORE === 'memory' ? null : (process.env.DRAFTS_FILE || `${DATA_DIR}/drafts.jsonl`),
+  ttlMs: Number(process.env.DRAFT_TTL_MIN || 15) * 60 * 1000,
+});
 
-      const rows = Array.isArray(page)
-        ? page
-        : (page?.data || page?.facturas || page?.pedidos || page?.resultado || page?.results || []);
+// Borrador de esta API key; si no, responde el error y devuelve null
+function ownDraft(req, res) {
+  const d = drafts.get(req.params.token);
+  // de otra key se responde igual que inexistente
+  if (!d || d.apiKeyId !== req.apiKeyId) {
+    sendProblem(res, { code: 'DRAFT_NOT_FOUND' });
+    return null;
+  }
+  return d;
+}
 
-      if (!rows.length) break;
+app.post('/duxc/confirmar/:token', requireScope('read'), async (req, res) => {
+  const d = ownDraft(req, res);
+  if (!d) return;
+  if (d.status === 'expired') {
+    return sendProblem(res, { code: 'DRAFT_EXPIRED' });
+  }
+  if (d.status === 'cancelled') {
+    return sendProblem(res, { code: 'DRAFT_CANCELLED' });
+  }
+  // borrador guardado por una versión del bridge que tenía otra ruta de escritura
+  const route = writeRoutes.get(d.route);
+  if (!route) {
+    return sendProblem(res, { code: 'DRAFT_ROUTE_UNAVAILABLE', params: { route: d.route } });
+  }
+  // un lote no tiene scope propio: route.execute revisa el de cada operación
+  if (route.scope && !hasScope(req.tenant, route.scope)) {
+    return sendProblem(res, { code: 'SCOPE_REQUIRED', params: { scope: route.scope } });
+  }
+  const idemKey = d.idemKey || `draft:${d.token}`;
+  auditWrite(req, res, { operation: route.operationId, payload: d.body, externalId: idemKey, extra: { draftToken: d.token } });
 
-      totalFilas += rows.length;
+  // confirmado => la misma clave de idempotencia devuelve el resultado original sin volver a escribir
+  try {
+    await (route.execute || executeWrite)(req, res, route, { body: d.body, idemKey, callbackUrl: d.callbackUrl });
+    if (d.status === 'pending' && res.statusCode < 400) drafts.update(d.token, { status: 'confirmed', confirmedAt: Date.now() });
+  } catch (e) {
+    sendRouteError(res, e, route.operationId);
+  }
+});
+
+// GET /duxc/borradores?status=pending|confirmed|cancelled|expired
+app.get('/duxc/borradores', requireScope('read'), (req, res) => {
+  res.json({ data: drafts.list(req.apiKeyId, { status: req.query.status || null }).map(publicDraft) });
+});
+
+app.delete('/duxc/borradores/:token', requireScope('read'), (req, res) => {
+  const d = ownDraft(req, res);
+  if (!d) return;
+  if (d.status !== 'pending') {
+    return sendProblem(res, { code: 'DRAFT_NOT_PENDING', params: { status: d.status } });
+  }
+  res.json(publicDraft(drafts.update(d.token, { status: 'cancelled', cancelledAt: Date.now() })));
+});
+
+// === Lotes de escrituras ===
+// POST /duxc/batch: operaciones del registro en orden, de a una por la cola hacia Dux; responde 202 con el
+// lote y GET /duxc/batch/{id} informa el resultado de cada operación mientras corre.
+// Si alguna operación requiere confirmación, el lote entero queda como borrador (se confirma con /duxc/confirmar).
+const BATCH_MAX_OPS = Number(process.env.BATCH_MAX_OPS || 100);
+const batchStore = createBatchStore({
+  file: process.env.BATCH_STORE === 'memory' ? null : (process.env.BATCH_FILE || `${DATA_DIR}/batches.jsonl`),
+  ttlMs: JOBS_TTL_MS,
+});
+
+// op: operationId ('crear_cobranza') o path ('/duxc/cobranza')
+const findWriteRoute = (op) =>
+  [...writeRoutes.values()].find(r => !r.execute && (r.localPath === op || r.operationId === op)) || null;
+
+const opError = (code, detail, extra = {}) => Object.assign(new Error(detail), { code, detail, ...extra });
+
+// Scope e idEmpresa/idSucursal de cada operación (los $ref se revisan al resolverse); motivo del rechazo o null
+function batchAccessProblem(tenant, ops) {
+  for (const o of ops) {
+    const route = writeRoutes.get(o.path);
+    if (!hasScope(tenant, route.scope)) return { code: 'SCOPE_REQUIRED', params: { scope: route.scope }, extras: { opId: o.id } };
+    const literal = (v) => (v != null && typeof v === 'object' ? null : v);
+    const bad = checkTenantTargets(tenant, { idEmpresa: literal(o.body.idEmpresa), idSucursal: literal(o.body.idSucursal) });
+    if (bad) return { code: 'TARGET_NOT_ALLOWED', params: bad, extras: { opId: o.id } };
+  }
+  return null;
+}
+
+// Ejecuta una operación del lote con su clave de idempotencia; los jobs se esperan hasta el final
+async function runBatchOp(b, o, resolved) {
+  const route = writeRoutes.get(o.path);
+  const tenant = tenantById(b.tenantId);
+  if (!tenant) throw opError('TENANT_NOT_FOUND', 'El tenant del lote ya no existe.');
+  const { callbackUrl: _cb, ...body } = resolved; // los lotes no notifican por operación
+
+  const invalidParams = apiSpec.validate(apiSpec.match('POST', route.localPath), { query: {}, headers: {}, body });
+  if (invalidParams.length) {
+    throw opError('VALIDATION_ERROR', invalidParams.map(x => `${x.name} ${x.reason}`).join('; '), { invalidParams });
+  }
+  const bad = checkTenantTargets(tenant, { idEmpresa: body.idEmpresa, idSucursal: body.idSucursal });
+  if (bad) throw opError('TARGET_NOT_ALLOWED', `${bad.name}=${bad.value} no habilitado para esta API key`);
+
+  const started = Date.now();
+  const key = route.idempotent ? o.idempotencyKey : null;
+  const meta = { requestId: b.requestId, tenantId: tenant.id, apiKeyId: b.apiKeyId, operation: route.operationId, externalId: key };
+  const handler = route.job
+    ? () => publicJob(jobRunner.start({ tenant, kind: route.job.kind, duxPath: route.duxPath, statusPath: route.job.statusPath, data: body, meta }))
+    : () => callDux(route.duxPath, { method: 'POST', data: body, tenant, priority: 'write' });
+  const record = (outcome, fields) => audit.append({
+    ...meta, method: 'POST', path: route.localPath, payloadHash: hashPayload(body), payload: redact(body),
+    status: null, outcome, ...fields, latencyMs: Date.now() - started, batchId: b.id, opId: o.id,
+  });
+
+  try {
+    const { state, response } = await runIdempotent(`${tenant.id}:${route.localPath}`, key, body, handler, route.job ? 202 : 200);
+    if (state === 'mismatch') throw opError('IDEMPOTENCY_KEY_MISMATCH', `La clave ${key} ya se usó con un payload distinto.`);
+    if (state === 'inflight') throw opError('IDEMPOTENCY_IN_PROGRESS', `Ya hay una solicitud con la clave ${key} en proceso.`);
+
+    let result = response.body;
+    if (route.job) {
+      const job = await waitJob(result.id);
+      if (!job) throw opError('JOB_NOT_FOUND', `El job ${result.id} ya no existe.`);
+      if (job.status !== 'ok') throw opError(job.error?.code || 'DUX_REJECTED', job.error?.detail || `El job ${job.id} terminó ${job.status}.`);
+      result = { jobId: job.id, ...job.dux, ...job.result }; // p.ej. { jobId, idFactura, cae, numero }
+    }
+    record(state === 'replay' ? 'replayed' : 'ok', { response: clipResponse(result) });
+    return { result, replayed: state === 'replay' };
+  } catch (e) {
+    record('error', { error: { code: e.code || 'DUX_ERROR', detail: e.detail || e.message } });
+    throw e;
+  }
+}
+
+const batchRunner = createBatchRunner({ log, store: batchStore, runOp: runBatchOp });
+batchRunner.resume();
+
+// Valida y arranca el lote (también al confirmar su borrador)
+async function startBatch(req, res, route, { body, idemKey }) {
+  const parsed = parseBatch(body, { maxOps: BATCH_MAX_OPS, findRoute: findWriteRoute });
+  if (parsed.errors) return sendBatchInvalid(res, parsed.errors);
+  const denied = batchAccessProblem(req.tenant, parsed.ops);
+  if (denied) return sendProblem(res, denied);
+
+  const start = () => {
+    const b = batchRunner.start({
+      tenantId: req.tenant.id, apiKeyId: req.apiKeyId, requestId: req.id, idemKey: idemKey ?? null, mode: parsed.mode, operations: parsed.ops,
+    });
+    res.setHeader('Location', `/duxc/batch/${b.id}`);
+    return publicBatch(b);
+  };
+  return withIdempotency(req, res, `${req.tenant.id}:${route.localPath}`, start, { status: 202, key: idemKey, payload: body });
+}
+
+function sendBatchInvalid(res, errors) {
+  sendProblem(res, { code: 'VALIDATION_ERROR', invalidParams: errors.map(e => ({ ...e, in: 'body' })), extras: { operation: 'crear_lote' } });
+}
+
+const batchRoute = { localPath: '/duxc/batch', operationId: 'crear_lote', title: 'Error creando el lote', scope: null, label: 'Lote', execute: startBatch };
+writeRoutes.set(batchRoute.localPath, batchRoute);
+
+app.post('/duxc/batch', async (req, res) => {
+  const parsed = parseBatch(req.body, { maxOps: BATCH_MAX_OPS, findRoute: findWriteRoute });
+  if (parsed.errors) return sendBatchInvalid(res, parsed.errors);
+  const confirm = parsed.ops.some(o => writeRoutes.get(o.path).confirm);
+  auditWrite(req, res, { operation: batchRoute.operationId, payload: req.body, draft: confirm });
+
+  try {
+    if (confirm) {
+      const denied = batchAccessProblem(req.tenant, parsed.ops);
+      if (denied) return sendProblem(res, denied);
+      return await withIdempotency(req, res, `${req.tenant.id}:${batchRoute.localPath}:draft`, () => publicDraft(drafts.create({
+        tenantId: req.tenant.id,
+        apiKeyId: req.apiKeyId,
+        route: batchRoute.localPath,
+        body: req.body,
+        idemKey: getIdemKey(req),
+        resumen: summarizeBatch(parsed.ops, (o) => writeRoutes.get(o.path).label),
+      })), { status: 202 });
+    }
+    await startBatch(req, res, batchRoute, { body: req.body, idemKey: getIdemKey(req) });
+  } catch (e) {
+    sendRouteError(res, e, batchRoute.operationId);
+  }
+});
+
+app.get('/duxc/batch/:id', requireScope('read'), (req, res) => {
+  const b = batchStore.get(req.params.id);
+  // un lote de otro tenant se responde igual que uno inexistente
+  if (!b || b.tenantId !== req.tenant.id) {
+    return sendProblem(res, { code: 'BATCH_NOT_FOUND', params: { id: req.params.id } });
+  }
+  if (b.status === 'queued' || b.status === 'running') res.setHeader('Retry-After', '2');
+  res.json(publicBatch(b));
+});
+
+// === Analytics ===
+// Los agregados recorren todas las páginas de Dux por la cola con prioridad background.
+const ANALYTICS_CATALOG_MAX_PAGES = Number(process.env.ANALYTICS_CATALOG_MAX_PAGES || 20);
+
+// Llama onRows(rows) por cada página; devuelve la cantidad de filas recorridas
+async function eachDuxPage(duxPath, params, { pageSize, maxPages = Infinity, ...opts }, onRows) {
+  let offset = 0, total = 0;
+  for (let page = 0; page < maxPages; page++) {
+    const rows = extractRows(await callDux(duxPath, { method: 'GET', params: { ...params, limit: pageSize, offset }, ...opts }));
+    if (!rows.length) break;
+    total += rows.length;
+    onRows(rows);
+    if (rows.length < pageSize) break;
+    offset += pageSize;
+  }
+  return total;
+}
+
+// Catálogo completo (items, personal) como Map id -> valor, cacheado por tenant con la política 'catalog'
+async function catalogMap(tenant, duxPath, toEntry) {
+  const { entry } = await catalogCache.wrap(`${tenant.id}:analytics:${duxPath}`, { ttl: CACHE_TTL_CATALOG }, async () => {
+    const pairs = [];
+    await eachDuxPage(duxPath, {}, { pageSize: 200, maxPages: ANALYTICS_CATALOG_MAX_PAGES, tenant, priority: 'background' }, rows => {
+      for (const r of rows) { const e = toEntry(r); if (e) pairs.push(e); }
+    });
+    return pairs;
+  });
+  return new Map(entry.value);
+}
+
+// Params comunes de los agregados sobre /facturas o /pedidos
+function analyticsSource(req) {
+  const source = (req.query.source || 'facturas').toLowerCase();
+  return { source, duxPath: source === 'pedidos' ? DUX_PATHS.pedidos : DUX_PATHS.facturas };
+}
+
+function docsParams({ idEmpresa, idSucursal, fechaDesde, fechaHasta }) {
+  return {
+    idEmpresa,
+    ...(fechaDesde ? { fechaDesde } : {}),
+    ...(fechaHasta ? { fechaHasta } : {}),
+    ...(idSucursal ? { idSucursal } : {}),
+  };
+}
+
+const analyticsPageSize = (q) => Math.max(50, Math.min(500, Number(q.pageSize) || 200));
+
+// GET /analytics/top-vendidos?fechaDesde=YYYY-MM-DD&fechaHasta=YYYY-MM-DD&idEmpresa=####&idSucursal=##&top=5&source=facturas|pedidos
+app.get('/analytics/top-vendidos', requireScope('analytics'), async (req, res) => {
+  try {
+    const { idEmpresa, idSucursal } = req.query;
+    const { source, duxPath } = analyticsSource(req);
+    const top = Math.max(1, Math.min(100, Number(req.query.top) || 10));
+    if (!idEmpresa) return sendProblem(res, { code: 'VALIDATION_ERROR', invalidParams: [{ name: 'idEmpresa', in: 'query', reason: 'es obligatorio' }] });
+    const rango = parseDateQuery(req, res);
+    if (!rango) return;
+
+    const acumulado = new Map();
+    let firstRowKeys = null, firstLineKeys = null;
+
+    const params = docsParams({ idEmpresa, idSucursal, ...rango });
+    const opts = { pageSize: analyticsPageSize(req.query), ...duxOpts(req, res, 'background') };
+
+    const totalFilas = await eachDuxPage(duxPath, params, opts, rows => {
       if (!firstRowKeys && rows[0] && typeof rows[0] === 'object') firstRowKeys = Object.keys(rows[0]);
 
       for (const row of rows) {
@@ -395,10 +1549,7 @@ app.get('/analytics/top-vendidos', async (req, res) => {
           acumulado.set(itemId, prev);
         }
       }
-
-      if (rows.length < pageSize) break;
-      offset += pageSize;
-    }
+    });
 
     const ranking = [...acumulado.entries()]
       .map(([itemId, v]) => ({ itemId, nombre: v.nombre || null, cantidad: v.cantidad }))
@@ -409,264 +1560,416 @@ app.get('/analytics/top-vendidos', async (req, res) => {
       top: ranking,
       total_items: acumulado.size,
       filas_procesadas: totalFilas,
-      rango: { fechaDesde, fechaHasta },
+      rango: echoRange(rango),
       idEmpresa: String(idEmpresa),
       ...(idSucursal ? { idSucursal: String(idSucursal) } : {}),
       source,
       debug_sample: { first_row_keys: firstRowKeys || [], first_line_keys: firstLineKeys || [] }
     });
   } catch (e) {
-    res.status(502).json({ error: 'Error calculando top-vendidos', detail: String(e?.message || e) });
+    sendRouteError(res, e, 'top_vendidos');
   }
 });
 
+// GET /analytics/ventas-resumen?idEmpresa=##&fechaDesde=&fechaHasta=&groupBy=day|week|month|sucursal|vendedor|rubro&compare=1
+// Ventas netas (facturas - notas de crédito), cantidad de comprobantes y ticket promedio,
+// comparados contra el período anterior de igual duración. Sin fechas: mes en curso.
+app.get('/analytics/ventas-resumen', requireScope('analytics'), async (req, res) => {
+  try {
+    const { idEmpresa, idSucursal } = req.query;
+    const { source, duxPath } = analyticsSource(req);
+    const groupBy = req.query.groupBy || 'month';
+    const compare = String(req.query.compare ?? '1') !== '0';
+
+    const fechas = parseDateQuery(req, res);
+    if (!fechas) return;
+    const hoy = todayIn(DATE_TZ);
+    const rango = {
+      fechaDesde: fechas.fechaDesde || `${hoy.slice(0, 7)}-01`,
+      fechaHasta: fechas.fechaHasta || hoy,
+    };
+    if (rango.fechaDesde > rango.fechaHasta) {
+      return sendProblem(res, { code: 'INVALID_DATE', params: { motivo: 'fechaDesde es posterior a fechaHasta' }, invalidParams: [{ name: 'fechaDesde', in: 'query', reason: `${rango.fechaDesde} es posterior a fechaHasta (${rango.fechaHasta})` }] });
+    }
 
+    const opts = { pageSize: analyticsPageSize(req.query), ...duxOpts(req, res, 'background') };
 
+    // Renglones sin rubro: se resuelve por el catálogo de items
+    let rubroDeItem;
+    if (groupBy === 'rubro') {
+      const rubros = await catalogMap(req.tenant, DUX_PATHS.items, it => {
+        const id = pickItemId(it), rubro = pickRubroLinea(it);
+        return id != null && rubro ? [String(id), rubro] : null;
+      });
+      rubroDeItem = (id) => (id == null ? null : rubros.get(String(id)) || null);
+    }
 
+    const resumir = async (r) => {
+      const docs = [];
+      const filas = await eachDuxPage(duxPath, docsParams({ idEmpresa, idSucursal, ...r }), opts, rows => docs.push(...rows));
+      return { filas, ...summarizeVentas(docs, { groupBy, rubroDeItem, tz: DATE_TZ }) };
+    };
 
-// Helpers
-function normalizeDate(s) {
-  // si viene 'YYYY-MM-DD' => 'DD/MM/YYYY'; si ya viene 'DD/MM/YYYY' la deja.
-  if (!s) return s;
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
-    const [y, m, d] = s.split('-');
-    return `${d}/${m}/${y}`;
-  }
-  return s;
-}
-function num(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-
+    const rangoAnterior = compare ? previousRange(rango.fechaDesde, rango.fechaHasta) : null;
+    const actual = await resumir(rango);
+    const anterior = compare ? await resumir(rangoAnterior) : null;
+
+    // Vendedores sin nombre en el comprobante: se completa con /personal
+    if (groupBy === 'vendedor' && actual.grupos.some(g => !g.nombre)) {
+      const personal = await catalogMap(req.tenant, DUX_PATHS.personal, r => {
+        const id = r.id_personal ?? r.idPersonal ?? r.id;
+        const nombre = r.apellido_nombre ?? ([r.nombre, r.apellido].filter(Boolean).join(' ') || null);
+        return id != null && nombre ? [String(id), nombre] : null;
+      });
+      for (const g of actual.grupos) g.nombre = g.nombre || personal.get(g.clave) || null;
+    }
 
-// Ruta de prueba (no pega a Dux)
-app.post('/tests/idem', async (req, res) => {
-  try {
-    const key = req.headers['idempotency-key'] || req.body?.externalId || null;
-    const result = await withIdempotency(key, async () => {
-      // "Trabajo caro" simulado
-      const opId = Math.random().toString(36).slice(2);
-      return { ok: true, opId, note: 'operación simulada' };
+    res.json({
+      rango: echoRange(rango),
+      rango_anterior: rangoAnterior,
+      idEmpresa: String(idEmpresa),
+      ...(idSucursal ? { idSucursal: String(idSucursal) } : {}),
+      source,
+      groupBy,
+      totales: actual.totales,
+      anterior: anterior ? anterior.totales : null,
+      variacion: anterior ? compareTotals(actual.totales, anterior.totales) : null,
+      series: buildSeries(actual, anterior, { groupBy, rango, rangoAnterior }),
+      filas_procesadas: actual.filas + (anterior?.filas || 0),
     });
-    res.json(result);
   } catch (e) {
-    res.sendProblem?.(500, 'Error interno', e.message) || res.status(500).json({ error: e.message });
+    sendRouteError(res, e, 'ventas_resumen');
   }
 });
 
-// Crear Pedido
-// Body esperado (ejemplo):
-// { clienteId, items:[{ itemId, cantidad, precio? }], observaciones?, externalId? }
-app.post('/duxc/pedido', async (req, res) => {
-  const key = getIdemKey(req);
+// GET /analytics/cuentas-a-cobrar?idEmpresa=##&idSucursal=##&idCliente=##&fechaCorte=YYYY-MM-DD&detalle=1
+// Saldo abierto por cliente con antigüedad 0-30/31-60/61-90/90+ días a la fecha de corte.
+// Se leen facturas/notas (y cobranzas si Dux no informa saldos) desde fechaCorte - AR_LOOKBACK_DAYS.
+const AR_LOOKBACK_DAYS = Number(process.env.AR_LOOKBACK_DAYS || 365);
+
+app.get('/analytics/cuentas-a-cobrar', requireScope('analytics'), async (req, res) => {
   try {
-    const { clienteId, items } = req.body || {};
-    if (!clienteId || !Array.isArray(items) || items.length === 0) {
-      return res.sendProblem(
-        400,
-        'Solicitud inválida',
-        'Faltan campos obligatorios.',
-        { invalidParams: ['clienteId', 'items[]'] }
-      );
-    }
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Pedido ya procesado' });
+    const { idEmpresa, idSucursal, idCliente } = req.query;
+    let fechaCorte, desde;
+    try {
+      fechaCorte = resolveDate('fechaCorte', req.query.fechaCorte, { tz: DATE_TZ }) || todayIn(DATE_TZ);
+      desde = resolveDateRange({ fechaDesde: req.query.fechaDesde }, { tz: DATE_TZ }).fechaDesde;
+    } catch (e) {
+      if (!e.isDate) throw e;
+      return sendProblem(res, { code: 'INVALID_DATE', params: { motivo: e.reason }, invalidParams: [{ name: e.param, in: 'query', reason: e.reason }] });
     }
-    const resultado = await callDux('/pedido/nuevopedido', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando pedido', String(e?.message || e));
-  }
-});
+    const rango = {
+      fechaDesde: desde || addDays(fechaCorte, -AR_LOOKBACK_DAYS),
+      fechaHasta: fechaCorte,
+    };
+    const detalle = String(req.query.detalle ?? (idCliente ? '1' : '0')) === '1';
+    const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
 
+    const opts = { pageSize: analyticsPageSize(req.query), ...duxOpts(req, res, 'background') };
+    const params = docsParams({ idEmpresa, idSucursal, ...rango });
+    const delCliente = (row) => !idCliente || pickCliente(row)?.key === String(idCliente);
 
-// Crear Factura
-// Body: conforme al payload que requiera Dux
-app.post('/duxc/factura', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Factura ya procesada' });
+    const docs = [];
+    let filas = await eachDuxPage(DUX_PATHS.facturas, params, opts, rows => docs.push(...rows.filter(delCliente)));
+
+    // Facturas sin saldo de Dux: hay que imputar cobranzas; si Dux no las expone se sigue sin ellas
+    const cobranzas = [];
+    const advertencias = [];
+    if (needsCobranzas(docs)) {
+      try {
+        filas += await eachDuxPage(DUX_PATHS.cobranzas, params, opts, rows => cobranzas.push(...rows.filter(delCliente)));
+      } catch (e) {
+        if (!e.isDux || !['DUX_ERROR', 'DUX_NOT_FOUND', 'DUX_VALIDATION_ERROR'].includes(e.code)) throw e;
+        advertencias.push(`No se pudieron leer cobranzas (${e.detail}); los saldos sólo descuentan notas de crédito.`);
+      }
     }
-    const resultado = await callDux('/factura/nuevaFactura', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
+
+    const { modo, totales, clientes, sin_saldo } = computeReceivables(docs, cobranzas, { fechaCorte, tz: DATE_TZ });
+    if (modo === 'saldo_dux' && sin_saldo) {
+      advertencias.push(`${sin_saldo} comprobante(s) sin saldo informado por Dux: se estimó total menos cobranzas imputadas (estimado: true).`);
+    }
+
+    res.json({
+      fecha_corte: fechaCorte,
+      rango: echoRange(rango),
+      idEmpresa: String(idEmpresa),
+      ...(idSucursal ? { idSucursal: String(idSucursal) } : {}),
+      ...(idCliente ? { idCliente: String(idCliente) } : {}),
+      modo,
+      totales,
+      clientes: clientes.slice(0, limit).map(c => (detalle ? c : { ...c, documentos: undefined, cantidad_documentos: c.documentos.length })),
+      total_clientes: clientes.length,
+      filas_procesadas: filas,
+      ...(advertencias.length ? { advertencias } : {}),
+    });
   } catch (e) {
-    res.sendProblem(502, 'Error creando factura', String(e?.message || e));
+    sendRouteError(res, e, 'cuentas_a_cobrar');
   }
 });
 
-// Modificar/Crear Item (según API Dux: /item/nuevoItem)
-app.post('/duxc/items/modificar', async (req, res) => {
-  try {
-    const resultado = await callDux('/item/nuevoItem', { method: 'POST', data: req.body });
-    res.json(resultado);
-  } catch (e) {
-    res.status(502).json({ error: 'Error modificando/creando item', detail: e.message });
-  }
+// === Change feed y webhooks ===
+// Un poller por tenant con `feed` (o FEED_EMPRESAS) detecta facturas/pedidos/compras nuevas,
+// las registra en DATA_DIR/events.jsonl y las entrega a los webhooks suscriptos.
+// EVENTS_STORE / WEBHOOKS_STORE = file (default, persistente) | memory (tests/dev)
+const feedState = createFeedState({
+  file: process.env.EVENTS_STORE === 'memory' ? null : (process.env.FEED_STATE_FILE || `${DATA_DIR}/feed-state.json`),
+});
+const eventLog = createEventLog({
+  file: process.env.EVENTS_STORE === 'memory' ? null : (process.env.EVENTS_FILE || `${DATA_DIR}/events.jsonl`),
+  maxEvents: Number(process.env.EVENTS_MAX || 10000),
+});
+const webhooks = createWebhookRegistry({
+  file: process.env.WEBHOOKS_STORE === 'memory' ? null : (process.env.WEBHOOKS_FILE || `${DATA_DIR}/webhooks.json`),
+});
+const deadLetters = createDeadLetterStore({
+  file: process.env.WEBHOOKS_STORE === 'memory' ? null : (process.env.DEAD_LETTERS_FILE || `${DATA_DIR}/dead-letters.jsonl`),
+});
+const delivery = createDeliveryWorker({
+  log,
+  registry: webhooks,
+  eventLog,
+  deadLetters,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_S || 10) * 1000,
 });
 
+const feedTargets = tenants.list.flatMap(tenant => (tenant.feed
+  ? tenant.feed.empresas.flatMap(idEmpresa =>
+    (tenant.feed.resources || Object.keys(FEED_RESOURCES))
+      .filter(resource => FEED_RESOURCES[resource])
+      .map(resource => ({ tenant, resource, idEmpresa })))
+  : []));
+
+const feedPoller = createFeedPoller({
+  log,
+  targets: feedTargets,
+  state: feedState,
+  eventLog,
+  intervalMs: Number(process.env.FEED_POLL_S || 60) * 1000,
+  today: () => todayIn(DATE_TZ),
+  listRows: async (duxPath, params, tenant) => {
+    const rows = [];
+    await eachDuxPage(duxPath, params, { pageSize: 100, tenant, priority: 'background' }, page => rows.push(...page));
+    return rows;
+  },
+  onEvents: () => delivery.kick(),
+});
+feedPoller.start();
+delivery.start();
+
+const publicEvent = ({ tenantId: _t, ...e }) => e;
+
+// GET /events?cursor=<seq>&types=factura.created,pedido.created&limit=100
+app.get('/events', requireScope('read'), (req, res) => {
+  const raw = req.query.cursor;
+  const cursor = raw === undefined || raw === '' ? 0 : Number(raw);
+  if (!Number.isInteger(cursor) || cursor < 0) return sendInvalidCursor(res);
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+  const types = req.query.types ? String(req.query.types).split(',').map(s => s.trim()) : null;
+
+  const data = eventLog.since(cursor, { tenantId: req.tenant.id, types, limit: limit + 1 });
+  const hasMore = data.length > limit;
+  const page = data.slice(0, limit);
+  res.json({
+    data: page.map(publicEvent),
+    // si no hay más, el cursor salta al último seq: no hace falta re-escanear eventos de otros tenants
+    nextCursor: String(hasMore ? page[page.length - 1].seq : eventLog.lastSeq),
+    hasMore,
+    // el cursor apunta a eventos que ya se descartaron (EVENTS_MAX)
+    ...(cursor && cursor + 1 < eventLog.firstSeq ? { missed: true } : {}),
+  });
+});
 
+const webhookNotFound = (res, id) =>
+  sendProblem(res, { code: 'WEBHOOK_NOT_FOUND', params: { id } });
 
-// Nota de Crédito
-app.post('/duxc/nota-credito', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Nota de crédito ya procesada' });
-    }
-    const resultado = await callDux('/notaCredito/nuevaNotaCredito', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando nota de crédito', String(e?.message || e));
-  }
+app.get('/webhooks', requireScope('webhooks'), (req, res) => {
+  res.json({
+    data: webhooks.list(req.tenant.id).map(w => ({ ...publicWebhook(w), retry: delivery.status(w.id) })),
+    eventTypes: EVENT_TYPES,
+  });
 });
 
-// Nota de Débito
-app.post('/duxc/nota-debito', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Nota de débito ya procesada' });
-    }
-    const resultado = await callDux('/notaDebito/nuevaNotaDebito', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando nota de débito', String(e?.message || e));
+app.post('/webhooks', requireScope('webhooks'), (req, res) => {
+  const { url, events, description } = req.body || {};
+  const reason = httpUrlProblem(url);
+  if (reason) {
+    return sendProblem(res, { code: 'VALIDATION_ERROR', invalidParams: [{ name: 'url', in: 'body', reason }] });
   }
+  const sub = webhooks.add(req.tenant.id, { url, events, description }, { cursor: eventLog.lastSeq });
+  // el secreto se devuelve sólo acá
+  res.status(201).json({ ...publicWebhook(sub), secret: sub.secret });
 });
 
-// Cobranza
-app.post('/duxc/cobranza', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Cobranza ya procesada' });
-    }
-    const resultado = await callDux('/cobranza/nuevaCobranza', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando cobranza', String(e?.message || e));
-  }
+app.delete('/webhooks/:id', requireScope('webhooks'), (req, res) => {
+  const sub = webhooks.get(req.params.id);
+  if (!sub || sub.tenantId !== req.tenant.id) return webhookNotFound(res, req.params.id);
+  webhooks.remove(sub.id);
+  res.json({ ok: true, id: sub.id });
 });
 
-// Pago
-app.post('/duxc/pago', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Pago ya procesado' });
-    }
-    const resultado = await callDux('/pago/nuevoPago', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando pago', String(e?.message || e));
-  }
+app.get('/webhooks/dead-letters', requireScope('webhooks'), (req, res) => {
+  res.json({ data: deadLetters.list(req.tenant.id).map(({ tenantId: _t, ...d }) => d) });
 });
 
-// Remito
-app.post('/duxc/remito', async (req, res) => {
-  const key = getIdemKey(req);
+app.post('/webhooks/dead-letters/:id/retry', requireScope('webhooks'), async (req, res) => {
+  const dl = deadLetters.get(req.params.id);
+  if (!dl || dl.tenantId !== req.tenant.id) return webhookNotFound(res, req.params.id);
   try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Remito ya procesado' });
-    }
-    const resultado = await callDux('/remito/nuevoRemito', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
+    await delivery.redeliver(dl.id);
+    res.json({ ok: true, id: dl.id });
   } catch (e) {
-    res.sendProblem(502, 'Error creando remito', String(e?.message || e));
+    if (e.code === 'WEBHOOK_NOT_FOUND') return webhookNotFound(res, dl.webhookId);
+    sendProblem(res, { code: 'WEBHOOK_DELIVERY_FAILED', params: { motivo: e.message } });
   }
 });
 
-// Transferencia de depósitos
-app.post('/duxc/transferencia', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Transferencia ya procesada' });
-    }
-    const resultado = await callDux('/transferencia/nuevaTransferencia', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando transferencia', String(e?.message || e));
-  }
+app.delete('/webhooks/dead-letters/:id', requireScope('webhooks'), (req, res) => {
+  const dl = deadLetters.get(req.params.id);
+  if (!dl || dl.tenantId !== req.tenant.id) return webhookNotFound(res, req.params.id);
+  deadLetters.remove(dl.id);
+  res.json({ ok: true, id: dl.id });
 });
 
-// Ajuste de Stock
-app.post('/duxc/ajuste-stock', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Ajuste de stock ya procesado' });
-    }
-    const resultado = await callDux('/ajusteStock/nuevoAjusteStock', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando ajuste de stock', String(e?.message || e));
-  }
+app.get('/admin/feed', requireScope('admin'), (_req, res) => {
+  res.json({ targets: feedPoller.status(), lastSeq: eventLog.lastSeq });
 });
 
-// Movimiento de Stock
-app.post('/duxc/movimiento-stock', async (req, res) => {
-  const key = getIdemKey(req);
-  try {
-    if (key && seenExternalIds.has(key)) {
-      return res.json({ estado: 'duplicado', mensaje: 'Movimiento de stock ya procesado' });
-    }
-    const resultado = await callDux('/movimientoStock/nuevoMovimientoStock', { method: 'POST', data: req.body });
-    if (key) seenExternalIds.add(key);
-    res.json(resultado);
-  } catch (e) {
-    res.sendProblem(502, 'Error creando movimiento de stock', String(e?.message || e));
-  }
+// Helpers
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+
+
+// === MCP (Model Context Protocol) ===
+// Las mismas operaciones como tools MCP, por HTTP (POST /mcp y GET /mcp/sse) y por stdio (MCP_STDIO=1).
+// Cada tool se ejecuta como un request HTTP al propio bridge con la API key del cliente MCP: pasa por la
+// misma auth, validación, límites, idempotencia, auditoría y callDux que la ruta REST.
+const MCP_EXTRA_TOOLS = ['analytics_top_vendidos', 'confirmar_borrador', 'consultar_job'];
+const mcpTools = buildMcpTools(openApiDocs.full,
+  ROUTES.filter(r => r.kind === 'list' || r.kind === 'write' || MCP_EXTRA_TOOLS.includes(r.operationId)));
+
+// Catálogos como resources (salen de la cache de catálogos del bridge)
+const mcpResources = ['provincias', 'rubros', 'sucursales'].map(name => ({
+  uri: `dux://catalogo/${name}`,
+  name,
+  title: `Catálogo de ${name}`,
+  description: `Lista de ${name} de Dux (GET /duxc/${name}).`,
+  mimeType: 'application/json',
+  path: `/duxc/${name}?limit=1000`,
+}));
+
+const local = axios.create({ validateStatus: () => true, maxRedirects: 0 });
+let localBase = null; // http://127.0.0.1:<puerto>, al escuchar
+
+function callLocal(ctx, { method = 'GET', url, headers = {}, data }) {
+  return local.request({
+    method, url: localBase + url, data,
+    headers: {
+      ...headers,
+      authorization: ctx.authorization,
+      ...(ctx.requestId ? { 'x-request-id': ctx.requestId } : {}),
+      ...(ctx.lang ? { 'accept-language': ctx.lang } : {}),
+    },
+  });
+}
+
+const mcpServer = createMcpServer({
+  info: { name: 'bridge-dux', title: 'La Mascotera · Bridge Dux', version: '1.0.0' },
+  instructions: 'Consultas y escrituras en Dux ERP. Las escrituras aceptan idempotencyKey; si responden un borrador, confirmarlo con confirmar_borrador. Los errores traen un code del catálogo (GET /errors).',
+  log,
+  tools: (ctx) => mcpTools.filter(t => !t.scope || hasScope(ctx.tenant, t.scope)),
+  async callTool(tool, args, ctx) {
+    const r = await callLocal(ctx, toolRequest(tool, args));
+    return { content: [{ type: 'text', text: JSON.stringify(r.data) }], isError: r.status >= 400 };
+  },
+  resources: (ctx) => (hasScope(ctx.tenant, 'read') ? mcpResources : []),
+  async readResource(res, ctx) {
+    const r = await callLocal(ctx, { url: res.path });
+    if (r.status >= 400) throw rpcError(-32603, r.data?.detail || `HTTP ${r.status}`, { uri: res.uri, code: r.data?.code });
+    return { uri: res.uri, mimeType: res.mimeType, text: JSON.stringify(r.data) };
+  },
 });
 
+const mcpCtx = (req) => ({ tenant: req.tenant, authorization: req.headers.authorization, requestId: req.id, lang: req.headers['accept-language'] });
+
+// Streamable HTTP sin sesión: cada POST trae un mensaje (o lote) y la respuesta va en el mismo request
+app.post('/mcp', async (req, res) => {
+  const out = await mcpServer.handle(req.body, mcpCtx(req));
+  if (!out) return res.status(202).end();
+  res.json(out);
+});
+
+// HTTP+SSE (clientes MCP anteriores a 2025-03-26): GET /mcp/sse abre el stream y anuncia dónde postear;
+// las respuestas a POST /mcp/messages?sessionId= vuelven por el stream
+const mcpSessions = new Map(); // sessionId -> { send, apiKeyId, ctx }
+app.get('/mcp/sse', (req, res) => {
+  const id = crypto.randomUUID();
+  res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  const write = (chunk) => { res.write(chunk); res.flush?.(); };
+  const send = (event, data) => write(`event: ${event}\ndata: ${data}\n\n`);
+  mcpSessions.set(id, { send, apiKeyId: req.apiKeyId, ctx: mcpCtx(req) });
+  send('endpoint', `/mcp/messages?sessionId=${id}`);
+  const ping = setInterval(() => write(': ping\n\n'), 25000);
+  req.on('close', () => { clearInterval(ping); mcpSessions.delete(id); });
+});
+app.post('/mcp/messages', async (req, res) => {
+  const id = String(req.query.sessionId || '');
+  const s = mcpSessions.get(id);
+  if (!s || s.apiKeyId !== req.apiKeyId) return sendProblem(res, { code: 'MCP_SESSION_NOT_FOUND', params: { id } });
+  res.status(202).end();
+  const out = await mcpServer.handle(req.body, { ...s.ctx, requestId: req.id });
+  if (out) s.send('message', JSON.stringify(out));
+});
+
+// stdio: el cliente MCP lanza `node server.js` con MCP_STDIO=1; usa MCP_API_KEY (default API_KEY)
+function startMcpStdio() {
+  const key = process.env.MCP_API_KEY || API_KEY;
+  const tenant = tenants.byApiKey(key);
+  if (!tenant) {
+    log.error('MCP_STDIO: MCP_API_KEY no corresponde a ningún tenant');
+    process.exit(1);
+  }
+  serveStdio(mcpServer, { ctx: { tenant, authorization: `Bearer ${key}` }, onClose: () => process.exit(0) }); // el cliente cerró stdin
+  log.info('MCP por stdio', { tenantId: tenant.id, tools: mcpTools.length });
+}
 
-// === OpenAPI (opcional) ===
-app.get('/openapi.yaml', (_req, res) => {
+// Ruta de prueba (no pega a Dux)
+app.post('/tests/idem', requireScope('read'), async (req, res) => {
   try {
-    const file = fs.readFileSync('./openapi.yaml', 'utf8');
-    res.setHeader('Content-Type', 'text/yaml');
-    res.send(file);
-  } catch {
-    res.status(404).send('# openapi.yaml no encontrado');
+    await withIdempotency(req, res, `${req.tenant.id}:/tests/idem`, async () => {
+      // "Trabajo caro" simulado
+      const opId = Math.random().toString(36).slice(2);
+      return { ok: true, opId, note: 'operación simulada' };
+    });
+  } catch (e) {
+    sendRouteError(res, e, 'tests_idem');
   }
 });
 
-// === Healthcheck ===
-app.get('/health', (_req, res) => res.json({ ok: true }));
-
 app.use((err, req, res, _next) => {
-  // Evitar exponer detalles internos en prod
+  // Evitar exponer detalles internos en prod: 4xx (p.ej. JSON mal formado) => VALIDATION_ERROR, resto INTERNAL_ERROR
   const status = err.status || 500;
-  const code = err.code || 'UNHANDLED_ERROR';
+  if (status >= 500) log.error('Error no manejado', { reqId: req.id, code: err.code, err });
 
   if (!res.headersSent) {
-    sendProblem(res, {
-      status,
-      title: status >= 500 ? 'Internal Server Error' : 'Bad Request',
-      detail: err.detail || err.message || 'Error no manejado',
-      extras: { code },
-    });
+    if (status >= 500) return sendProblem(res, { code: 'INTERNAL_ERROR' });
+    const reason = err.type === 'entity.parse.failed' ? 'no es JSON válido' : (err.type === 'entity.too.large' ? 'es demasiado grande' : String(err.message));
+    sendProblem(res, { code: 'VALIDATION_ERROR', status, invalidParams: [{ name: 'body', in: 'body', reason }] });
   }
 });
 
 // === 404 fallback ===
 app.use((req, res) =>
-  sendProblem(res, { status: 404, title: 'Not Found', detail: 'Recurso no encontrado' })
+  sendProblem(res, { code: 'NOT_FOUND', params: { path: req.path } })
 );
 
 // === Start ===
-app.listen(PORT, () =>
-  console.log(`Bridge Dux escuchando en :${PORT} | base=${DUX_BASE}`)
-);
+const server = app.listen(PORT, () => {
+  const { port } = server.address(); // PORT=0 => puerto libre
+  localBase = `http://127.0.0.1:${port}`;
+  log.info(`Bridge Dux escuchando en :${port}`, { port, base: DUX_BASE });
+  if (MCP_STDIO) startMcpStdio();
+});
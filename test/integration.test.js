@@ -0,0 +1,729 @@
+// test/integration.test.js
+// Bridge completo (server.js en un proceso aparte) contra el simulador de Dux de mock/.
+// npm test  (node:test, sin dependencias extra)
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { createDuxMock, loadFixtures } from '../mock/dux-mock.js';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/signature.js';
+import { todayIn, DEFAULT_TZ } from '../lib/dates.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const API_KEY = 'test-key';
+const DUX_TOKEN = 'mock-token';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+// Arranca server.js y espera a que escuche; stop() lo corta por su pid
+async function startBridge(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      TENANTS_JSON: JSON.stringify([{ id: 'test', apiKeys: [API_KEY], duxToken: DUX_TOKEN, scopes: ['*'] }]),
+      DATA_DIR: dataDir,
+      DUX_INTERVAL_MS: '5',
+      IDEM_STORE: 'memory',
+      JOBS_STORE: 'memory',
+      DRAFTS_STORE: 'memory',
+      AUDIT_STORE: 'memory',
+      BATCH_STORE: 'memory',
+      RATE_STORE: 'memory',
+      EVENTS_STORE: 'memory',
+      WEBHOOKS_STORE: 'memory',
+      JOBS_POLL_MS: '50',
+      LOG_LEVEL: 'error',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  let exited = null;
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  child.once('exit', (code) => { exited = code; });
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    if (exited !== null) throw new Error(`el bridge terminó (${exited}):\n${output}`);
+    if (i >= 200) { child.kill(); throw new Error(`el bridge no arrancó:\n${output}`); }
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch { /* todavía no escucha */ }
+    await new Promise(r => setTimeout(r, 50));
+  }
+  return {
+    url,
+    dataDir,
+    stop: () => new Promise((resolve) => {
+      child.once('exit', () => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    }),
+  };
+}
+
+function startMock(opts) {
+  const mock = createDuxMock({ token: DUX_TOKEN, ...opts });
+  return new Promise((resolve) => {
+    const server = mock.app.listen(0, '127.0.0.1', () => {
+      resolve({ ...mock, mock, url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+function client(base) {
+  return async (method, p, { body, headers = {}, auth = true } = {}) => {
+    const res = await fetch(base + p, {
+      method,
+      headers: {
+        ...(auth ? { authorization: `Bearer ${API_KEY}` } : {}),
+        ...(body ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* no JSON */ }
+    return { status: res.status, headers: res.headers, body: json, text };
+  };
+}
+
+const duxCalls = (mock, p) => mock.mock.requests.filter(r => r.path === p).length;
+
+// Consulta url hasta que done(body) o se agoten los intentos
+async function pollUntil(api, url, done) {
+  let r;
+  for (let i = 0; i < 60; i++) {
+    r = await api('GET', url);
+    if (done(r.body)) break;
+    await new Promise(res => setTimeout(res, 50));
+  }
+  return r.body;
+}
+const batchDone = (b) => ['ok', 'partial', 'failed'].includes(b.status);
+
+describe('bridge contra el mock de Dux', () => {
+  let mock, bridge, api;
+
+  before(async () => {
+    mock = await startMock();
+    bridge = await startBridge({ DUX_BASE: mock.url });
+    api = client(bridge.url);
+  });
+  after(async () => {
+    await bridge?.stop();
+    await mock?.close();
+  });
+  beforeEach(() => mock.mock.reset());
+
+  it('exige API key salvo en /health', async () => {
+    assert.equal((await api('GET', '/health', { auth: false })).status, 200);
+    const r = await api('GET', '/duxc/facturas', { auth: false });
+    assert.equal(r.status, 401);
+    assert.match(r.headers.get('content-type'), /application\/problem\+json/);
+    assert.equal(r.body.code, 'MISSING_API_KEY');
+  });
+
+  it('pagina un listado desde Dux con cursor', async () => {
+    const r = await api('GET', '/duxc/facturas?idEmpresa=1&limit=2');
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.map(f => f.id), [5001, 5002]);
+    const next = await api('GET', `/duxc/facturas?idEmpresa=1&limit=2&cursor=${r.headers.get('x-next-cursor')}`);
+    assert.deepEqual(next.body.map(f => f.id), [5003, 5004]);
+  });
+
+  it('reintenta un 429 de Dux respetando Retry-After', async () => {
+    mock.mock.addFault({ path: '/facturas', status: 429, count: 1, retryAfter: 0 });
+    const r = await api('GET', '/duxc/facturas?idEmpresa=1&limit=1');
+    assert.equal(r.status, 200);
+    assert.equal(duxCalls(mock, '/facturas'), 2);
+  });
+
+  it('responde 502 tras agotar los reintentos ante 5xx', async () => {
+    mock.mock.addFault({ path: '/pedidos', status: 503 });
+    const r = await api('GET', '/duxc/pedidos?idEmpresa=1');
+    assert.equal(r.status, 502);
+    assert.equal(duxCalls(mock, '/pedidos'), 3);
+  });
+
+  it('no reintenta si Dux rechaza el token', async () => {
+    mock.mock.addFault({ path: '/compras', status: 401 });
+    const r = await api('GET', '/duxc/compras?idEmpresa=1');
+    assert.equal(r.status, 502);
+    assert.equal(r.body.code, 'DUX_UNAUTHORIZED');
+    assert.equal(r.body.upstream.status, 401);
+    assert.equal(duxCalls(mock, '/compras'), 1);
+
+    const ready = await api('GET', '/health/ready', { auth: false });
+    assert.equal(ready.body.dux.tokenRejected, true);
+    assert.equal(ready.body.dux.rejectedCount, 1);
+    assert.ok(!JSON.stringify(ready.body).includes('"test"')); // sin ids de tenant
+    const admin = await api('GET', '/admin/health');
+    assert.deepEqual(admin.body.dux.rejected.map(r => r.tenantId), ['test']);
+  });
+
+  it('traduce los errores por campo de Dux y responde en el idioma pedido', async () => {
+    mock.mock.addFault({ path: '/cobranza/nuevaCobranza', status: 400, count: 1, body: { estado: 'ERROR', errores: [{ campo: 'idCliente', mensaje: 'no existe' }] } });
+    const r = await api('POST', '/duxc/cobranza', { body: { idEmpresa: 1, idCliente: 999, total: 10 }, headers: { 'accept-language': 'en' } });
+    assert.equal(r.status, 422);
+    assert.equal(r.body.code, 'DUX_VALIDATION_ERROR');
+    assert.equal(r.body.title, 'Dux rejected the data');
+    assert.match(r.body.detail, /idCliente: no existe/);
+    assert.deepEqual(r.body.invalidParams, [{ name: 'idCliente', in: 'body', reason: 'no existe' }]);
+
+    const catalogo = await api('GET', '/errors', { auth: false });
+    assert.ok(catalogo.body.data.some(e => e.code === 'DUX_VALIDATION_ERROR' && e.status === 422));
+  });
+
+  it('resuelve fechas relativas en la zona horaria y devuelve el rango usado', async () => {
+    const r = await api('GET', `/duxc/facturas?idEmpresa=1&periodo=${encodeURIComponent('mes pasado')}`);
+    assert.equal(r.status, 200);
+    const [desde, hasta] = r.headers.get('x-date-range').split('/');
+    assert.match(desde, /^\d{4}-\d{2}-01$/);
+    const enviado = mock.mock.requests.filter(q => q.path === '/facturas').at(-1).query;
+    assert.deepEqual([enviado.fechaDesde, enviado.fechaHasta], [desde, hasta]);
+    assert.equal(enviado.periodo, undefined);
+
+    const resumen = await api('GET', '/analytics/ventas-resumen?idEmpresa=1&fechaDesde=ayer&fechaHasta=hoy&compare=0');
+    assert.equal(resumen.status, 200);
+    assert.equal(resumen.body.rango.tz, 'America/Argentina/Buenos_Aires');
+
+    const mal = await api('GET', '/duxc/facturas?idEmpresa=1&fechaDesde=el%20otro%20jueves');
+    assert.equal(mal.status, 400);
+  });
+
+  it('una escritura con Idempotency-Key llega una sola vez a Dux', async () => {
+    const opts = { body: { idEmpresa: 1, idCliente: 101, total: 1000 }, headers: { 'idempotency-key': 'cob-1' } };
+    const a = await api('POST', '/duxc/cobranza', opts);
+    const b = await api('POST', '/duxc/cobranza', opts);
+    assert.equal(a.status, 200);
+    assert.deepEqual(b.body, a.body);
+    assert.equal(b.headers.get('idempotent-replayed'), 'true');
+    assert.equal(mock.mock.writes.length, 1);
+
+    const otro = await api('POST', '/duxc/cobranza', { ...opts, body: { ...opts.body, total: 2000 } });
+    assert.equal(otro.status, 422);
+  });
+
+  it('dryRun valoriza con la lista del cliente sin escribir', async () => {
+    const r = await api('POST', '/duxc/pedido?dryRun=1', {
+      body: { clienteId: 100, items: [{ itemId: 1, cantidad: 2 }] },
+    });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.lineas[0].precio_unitario, 39000); // lista Mayorista del cliente 100
+    assert.equal(r.body.totales.neto, 78000);
+    assert.equal(mock.mock.writes.length, 0);
+  });
+
+  it('cotiza con la lista y percepciones del cliente y arma el pedido', async () => {
+    const r = await api('POST', '/duxc/cotizacion', {
+      body: { clienteId: 100, items: [{ itemId: 1, cantidad: 10 }, { itemId: 2, cantidad: 5 }] },
+    });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.lista_precio.nombre, 'Mayorista');
+    assert.deepEqual(r.body.lineas.map(l => l.disponible), [true, false]); // item 2: stock 4
+    assert.deepEqual(r.body.totales, {
+      subtotal: 527500,
+      iva: 110775,
+      percepciones: [{ id: 1, nombre: 'Percepción IIBB Córdoba', alicuota: 3, importe: 15825 }],
+      impuestos: 126600,
+      total: 654100,
+    });
+    assert.equal(mock.mock.writes.length, 0);
+
+    const pedido = await api('POST', '/duxc/pedido', { body: r.body.pedido });
+    assert.equal(pedido.status, 200);
+    assert.equal(mock.mock.writes[0].body.items[0].precio, 39000);
+  });
+
+  it('sirve catálogos desde la cache con ETag y 304', async () => {
+    const r = await api('GET', '/duxc/rubros?limit=7');
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('x-cache'), 'MISS');
+    const etag = r.headers.get('etag');
+    assert.ok(etag);
+    // fetch agrega "cache-control: no-cache" a un condicional armado a mano; curl o un proxy no
+    const again = await api('GET', '/duxc/rubros?limit=7', { headers: { 'if-none-match': etag, 'cache-control': 'max-age=0' } });
+    assert.equal(again.status, 304);
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.equal(duxCalls(mock, '/rubros'), 1);
+  });
+
+  it('exporta todas las páginas como NDJSON y CSV', async () => {
+    const r = await api('GET', '/duxc/facturas?idEmpresa=1&all=1&pageSize=2');
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /application\/x-ndjson/);
+    const lines = r.text.trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.filter(l => l.id).map(l => l.id), [5001, 5002, 5003, 5004]);
+    assert.equal(lines.filter(l => l._cursor).length, 2); // después de cada página llena
+    assert.equal(duxCalls(mock, '/facturas'), 3);
+
+    const csv = await api('GET', '/duxc/facturas?idEmpresa=1&all=1&pageSize=2&format=csv&filter=total gt 30000');
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    const rows = csv.text.trim().split('\n');
+    assert.ok(rows[0].split(',').includes('id'));
+    assert.equal(rows.filter(l => /^500\d,/.test(l)).length, 2); // 5001 y 5002
+    assert.equal(rows[rows.length - 1], '#meta,scanned,4,matched,2');
+  });
+
+  it('filtra y ordena un listado informando lo escaneado en meta', async () => {
+    const r = await api('GET', `/duxc/items?filter=${encodeURIComponent('stock gt 5')}&sort=-stock`);
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.data.map(i => i.cod_item), ['FAR-100', 'ACC-010', 'ALI-001']);
+    assert.equal(r.body.meta.scanned, 5);
+    assert.equal(r.body.meta.matched, 3);
+    assert.equal(r.body.meta.complete, true);
+    assert.equal(r.headers.get('x-rows-matched'), '3');
+
+    const q = await api('GET', '/duxc/items?q=perro');
+    assert.deepEqual(q.body.data.map(i => i.cod_item), ['ALI-001']);
+  });
+
+  it('resume ventas restando las notas de crédito', async () => {
+    const r = await api('GET', '/analytics/ventas-resumen?idEmpresa=1&fechaDesde=2026-08-01&fechaHasta=2026-10-31&compare=0');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.totales.ventas_brutas, 151380);
+    assert.equal(r.body.totales.notas_credito, 8400);
+    assert.equal(r.body.totales.ventas_netas, 142980);
+    assert.equal(r.body.totales.comprobantes, 3);
+    assert.deepEqual(r.body.series.map(s => [s.clave, s.ventas_netas]), [['2026-08', 94380], ['2026-09', 32000], ['2026-10', 16600]]);
+    assert.equal(r.body.anterior, null);
+  });
+
+  it('calcula la antigüedad de saldos imputando cobranzas y notas de crédito', async () => {
+    const r = await api('GET', '/analytics/cuentas-a-cobrar?idEmpresa=1&fechaCorte=2026-10-19');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.modo, 'imputacion');
+    assert.equal(r.body.totales.saldo, 92980);
+    assert.deepEqual(r.body.totales.buckets, { '0-30': 25000, '31-60': 32000, '61-90': 35980, '90+': 0 });
+    const sanRoque = r.body.clientes.find(c => c.idCliente === '100');
+    assert.equal(sanRoque.saldo, 35980); // 94380 - 50000 cobrados - 8400 de la nota de crédito
+    assert.equal(sanRoque.dias_max, 77);
+  });
+
+  it('purga la cache de un catálogo por path de Dux', async () => {
+    await api('GET', '/duxc/provincias?limit=50');
+    await api('GET', '/duxc/provincias?limit=50');
+    assert.equal(duxCalls(mock, '/provincias'), 1);
+    assert.equal((await api('DELETE', '/admin/cache?prefix=/provincias&tenantId=otro')).body.purged, 0);
+    assert.equal((await api('DELETE', '/admin/cache?prefix=/provincias')).body.purged, 1);
+    await api('GET', '/duxc/provincias?limit=50');
+    assert.equal(duxCalls(mock, '/provincias'), 2);
+  });
+
+  it('busca por nombre con errores de tipeo sin volver a consultar Dux', async () => {
+    const r = await api('GET', '/duxc/buscar?tipo=item&q=alimneto gato');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.data[0].id, 2);
+    assert.ok(r.body.data[0].confianza > 0.8);
+    const llamadas = duxCalls(mock, '/items');
+
+    const codigo = await api('GET', '/duxc/buscar?tipo=item&q=7790001000103');
+    assert.deepEqual([codigo.body.data[0].id, codigo.body.data[0].coincidencia], [3, 'codigo']);
+    assert.equal(duxCalls(mock, '/items'), llamadas);
+
+    const cliente = await api('GET', `/duxc/buscar?tipo=cliente&q=${encodeURIComponent('veterinária san roque')}`);
+    assert.equal(cliente.body.data[0].id, 100);
+    assert.equal((await api('GET', '/duxc/buscar?tipo=proveedor&q=x')).status, 400);
+  });
+
+  it('factura: borrador, confirmación y job hasta el CAE', async () => {
+    const draft = await api('POST', '/duxc/factura', {
+      body: { idEmpresa: 1, idCliente: 101, detalle: [{ idItem: 3, cantidad: 1, precio: 12500 }] },
+    });
+    assert.equal(draft.status, 202);
+    assert.match(draft.body.resumen, /cliente 101/);
+    assert.equal(mock.mock.writes.length, 0);
+
+    const job = await api('POST', `/duxc/confirmar/${draft.body.token}`);
+    assert.equal(job.status, 202);
+    let estado = job.body;
+    for (let i = 0; i < 50 && !['ok', 'rejected', 'error'].includes(estado.status); i++) {
+      await new Promise(r => setTimeout(r, 50));
+      estado = (await api('GET', `/jobs/${job.body.id}`)).body;
+    }
+    assert.equal(estado.status, 'ok');
+    assert.match(estado.result.cae, /^7\d{13}$/);
+    assert.equal(mock.mock.writes.length, 1);
+
+    const otra = await api('POST', `/duxc/confirmar/${draft.body.token}`);
+    assert.equal(otra.body.id, job.body.id); // confirmar dos veces no duplica
+    assert.equal(mock.mock.writes.length, 1);
+  });
+
+  it('lote: una operación usa el resultado de la anterior', async () => {
+    const r = await api('POST', '/duxc/batch', {
+      body: {
+        operations: [
+          { id: 'nd', op: 'crear_nota_debito', body: { idEmpresa: 1, idCliente: 101, total: 300 } },
+          { id: 'cob', op: '/duxc/cobranza', body: { idEmpresa: 1, idCliente: 101, total: 300, idComprobante: { $ref: 'nd.id' } } },
+        ],
+      },
+      headers: { 'idempotency-key': 'lote-1' },
+    });
+    assert.equal(r.status, 202);
+    assert.equal(r.headers.get('location'), `/duxc/batch/${r.body.id}`);
+
+    const lote = await pollUntil(api, `/duxc/batch/${r.body.id}`, batchDone);
+    assert.equal(lote.status, 'ok');
+    assert.deepEqual(lote.operations.map(o => o.idempotencyKey), ['lote-1:nd', 'lote-1:cob']);
+    assert.equal(mock.mock.writes[1].body.idComprobante, mock.mock.writes[0].id);
+  });
+
+  it('lote con mode=stop saltea lo que sigue a un error', async () => {
+    mock.mock.addFault({ path: '/cobranza/nuevaCobranza', status: 400, count: 1 });
+    const r = await api('POST', '/duxc/batch', {
+      body: {
+        operations: [
+          { id: 'a', op: 'crear_cobranza', body: { idEmpresa: 1, total: 1 } },
+          { id: 'b', op: 'crear_cobranza', body: { idEmpresa: 1, total: 2, ref: { $ref: 'a.id' } } },
+        ],
+      },
+    });
+    const lote = await pollUntil(api, `/duxc/batch/${r.body.id}`, batchDone);
+    assert.equal(lote.status, 'failed');
+    assert.deepEqual(lote.operations.map(o => o.status), ['error', 'skipped']);
+    assert.equal(mock.mock.writes.length, 0);
+
+    const malo = await api('POST', '/duxc/batch', { body: { operations: [{ op: 'borrar_todo', body: {} }] } });
+    assert.equal(malo.status, 400);
+  });
+
+  it('lote con factura: borrador, confirmación y $ref al resultado del job', async () => {
+    const draft = await api('POST', '/duxc/batch', {
+      body: {
+        operations: [
+          { id: 'f', op: 'crear_factura', body: { idEmpresa: 1, idCliente: 101, detalle: [{ idItem: 3, cantidad: 1, precio: 12500 }] } },
+          { id: 'cob', op: 'crear_cobranza', body: { idEmpresa: 1, idCliente: 101, total: 12500, idFactura: { $ref: 'f.idFactura' } } },
+        ],
+      },
+    });
+    assert.equal(draft.status, 202);
+    assert.match(draft.body.resumen, /Lote de 2/);
+    assert.equal(mock.mock.writes.length, 0);
+
+    const r = await api('POST', `/duxc/confirmar/${draft.body.token}`);
+    assert.equal(r.status, 202);
+    const lote = await pollUntil(api, `/duxc/batch/${r.body.id}`, batchDone);
+    assert.equal(lote.status, 'ok');
+    assert.match(lote.operations[0].result.cae, /^7\d{13}$/);
+    assert.equal(mock.mock.writes[1].body.idFactura, lote.operations[0].result.idFactura);
+  });
+
+  it('audita las escrituras con el body redactado', async () => {
+    await api('POST', '/duxc/cobranza', { body: { idEmpresa: 1, total: 500, tarjeta: { numero: '4111' } }, headers: { 'idempotency-key': 'aud-1' } });
+    const r = await api('GET', '/audit?externalId=aud-1');
+    assert.equal(r.body.data.length, 1);
+    assert.equal(r.body.data[0].operation, 'crear_cobranza');
+    assert.equal(r.body.data[0].outcome, 'ok');
+    assert.equal(r.body.data[0].payload.tarjeta, '[REDACTED]');
+  });
+
+  it('MCP: tools del registro con la misma idempotencia y catálogos como resources', async () => {
+    const rpc = async (id, method, params) => (await api('POST', '/mcp', { body: { jsonrpc: '2.0', id, method, params } })).body;
+    const init = await rpc(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' } });
+    assert.equal(init.result.protocolVersion, '2025-03-26');
+
+    const { tools } = (await rpc(2, 'tools/list')).result;
+    const names = tools.map(t => t.name);
+    for (const n of ['listar_rubros', 'crear_cobranza', 'analytics_top_vendidos']) assert.ok(names.includes(n), n);
+    const cobranza = tools.find(t => t.name === 'crear_cobranza');
+    assert.ok(cobranza.inputSchema.properties.idempotencyKey);
+    assert.deepEqual(cobranza.inputSchema.required, ['body']);
+
+    const args = { idempotencyKey: 'mcp-1', body: { idEmpresa: 1, idCliente: 101, total: 1000 } };
+    const a = await rpc(3, 'tools/call', { name: 'crear_cobranza', arguments: args });
+    const b = await rpc(4, 'tools/call', { name: 'crear_cobranza', arguments: args });
+    assert.equal(a.result.isError, false);
+    assert.equal(b.result.content[0].text, a.result.content[0].text);
+    assert.equal(mock.mock.writes.length, 1);
+
+    const bad = await rpc(5, 'tools/call', { name: 'listar_facturas', arguments: { idEmpresa: 1, fechaDesde: 'cualquiera' } });
+    assert.equal(bad.result.isError, true);
+    assert.equal(JSON.parse(bad.result.content[0].text).code, 'VALIDATION_ERROR'); // misma validación que la ruta REST
+
+    const { contents } = (await rpc(6, 'resources/read', { uri: 'dux://catalogo/rubros' })).result;
+    assert.equal(contents[0].mimeType, 'application/json');
+    assert.ok(JSON.parse(contents[0].text));
+    assert.equal((await rpc(7, 'tools/call', { name: 'no_existe' })).error.code, -32602);
+  });
+});
+
+describe('cache de catálogos', () => {
+  it('sirve lo vencido mientras refresca en segundo plano', async () => {
+    const mock = await startMock();
+    const bridge = await startBridge({ DUX_BASE: mock.url, CACHE_TTL_CATALOG: '1' });
+    const api = client(bridge.url);
+    try {
+      assert.equal((await api('GET', '/duxc/rubros?limit=10')).headers.get('x-cache'), 'MISS');
+      await new Promise(res => setTimeout(res, 1100));
+      const stale = await api('GET', '/duxc/rubros?limit=10');
+      assert.equal(stale.status, 200);
+      assert.equal(stale.headers.get('x-cache'), 'STALE');
+      assert.equal(stale.body.length, 3);
+      for (let i = 0; i < 40 && duxCalls(mock, '/rubros') < 2; i++) await new Promise(res => setTimeout(res, 25));
+      assert.equal(duxCalls(mock, '/rubros'), 2); // el refresco salió sin bloquear la respuesta
+      assert.equal((await api('GET', '/duxc/rubros?limit=10')).headers.get('x-cache'), 'HIT');
+    } finally {
+      await bridge.stop();
+      await mock.close();
+    }
+  });
+});
+
+describe('tenants y scopes', () => {
+  it('limita cada API key a sus scopes y empresas', async () => {
+    const mock = await startMock();
+    const bridge = await startBridge({
+      DUX_BASE: mock.url,
+      TENANTS_JSON: JSON.stringify([
+        { id: 'test', apiKeys: [API_KEY], duxToken: DUX_TOKEN, scopes: ['*'] },
+        { id: 'solo-lectura', apiKeys: ['key-b', 'key-b2'], duxToken: DUX_TOKEN, scopes: ['read'], empresas: [1] },
+        { id: 'solo-escritura', apiKeys: ['key-w'], duxToken: DUX_TOKEN, scopes: ['write:tesoreria'] },
+      ]),
+    });
+    const api = client(bridge.url);
+    const b = { headers: { authorization: 'Bearer key-b' } };
+    const w = { headers: { authorization: 'Bearer key-w' } };
+    try {
+      assert.equal((await api('GET', '/duxc/facturas?idEmpresa=1&limit=1', b)).status, 200);
+
+      const otra = await api('GET', '/duxc/facturas?idEmpresa=2&limit=1', b);
+      assert.equal(otra.status, 403);
+      assert.equal(otra.body.code, 'TARGET_NOT_ALLOWED');
+
+      const escritura = await api('POST', '/duxc/cobranza', { ...b, body: { idEmpresa: 1, idCliente: 101, total: 1000 } });
+      assert.equal(escritura.status, 403);
+      assert.equal(escritura.body.code, 'SCOPE_REQUIRED');
+      assert.equal(mock.mock.writes.length, 0);
+
+      const analytics = await api('GET', '/analytics/ventas-resumen?idEmpresa=1', b);
+      assert.equal(analytics.status, 403);
+      assert.equal(analytics.body.code, 'SCOPE_REQUIRED');
+
+      assert.equal((await api('GET', '/duxc/facturas?idEmpresa=2&limit=1')).status, 200); // la otra key sí
+
+      // borradores, confirmación y lotes piden read aunque la key escriba
+      for (const [method, p] of [['GET', '/duxc/borradores'], ['DELETE', '/duxc/borradores/x'], ['POST', '/duxc/confirmar/x'], ['GET', '/duxc/batch/x']]) {
+        const r = await api(method, p, w);
+        assert.equal(r.status, 403, `${method} ${p}`);
+        assert.equal(r.body.code, 'SCOPE_REQUIRED');
+      }
+      assert.equal((await api('GET', '/audit')).body.data.length, 0); // la confirmación rechazada no se audita
+
+      const uso = await api('GET', '/usage', b);
+      assert.equal(uso.status, 200);
+      assert.equal(uso.body.keys.length, 1); // sin admin, sólo la propia
+      assert.equal(uso.body.keys[0].current, true);
+    } finally {
+      await bridge.stop();
+      await mock.close();
+    }
+  });
+});
+
+describe('auditoría en archivo', () => {
+  it('filtra por días en DATE_TZ y rechaza fechas que no entiende', async () => {
+    // una zona donde la fecha local difiere de la UTC en este momento
+    const tz = new Date().getUTCHours() < 12 ? 'Etc/GMT+12' : 'Etc/GMT-14';
+    const mock = await startMock();
+    const bridge = await startBridge({ DUX_BASE: mock.url, AUDIT_STORE: 'file', DATE_TZ: tz });
+    const api = client(bridge.url);
+    try {
+      assert.equal((await api('POST', '/duxc/cobranza', { body: { idEmpresa: 1, idCliente: 101, total: 1000 } })).status, 200);
+      const [entrada] = (await api('GET', '/audit')).body.data;
+      const dia = todayIn(tz, new Date(entrada.ts));
+      assert.notEqual(dia, entrada.ts.slice(0, 10));
+
+      assert.equal((await api('GET', `/audit?desde=${dia}&hasta=${dia}`)).body.data.length, 1);
+      assert.equal((await api('GET', `/audit?desde=${entrada.ts.slice(0, 10)}&hasta=${entrada.ts.slice(0, 10)}`)).body.data.length, 0);
+      assert.equal((await api('GET', '/audit?desde=hoy')).body.data.length, 1);
+      assert.equal((await api('GET', `/audit?hasta=${encodeURIComponent(new Date(Date.parse(entrada.ts) - 1).toISOString())}`)).body.data.length, 0);
+
+      for (const q of ['desde=abc', 'hasta=2026-13-45', 'desde=2026-10-19T99:00']) {
+        const r = await api('GET', `/audit?${q}`);
+        assert.equal(r.status, 400, q);
+        assert.equal(r.body.code, 'VALIDATION_ERROR');
+        assert.equal(r.body.invalidParams[0].name, q.split('=')[0]);
+      }
+    } finally {
+      await bridge.stop();
+      await mock.close();
+    }
+  });
+});
+
+describe('change feed y webhooks', () => {
+  it('emite eventos firmados, manda a dead-letter y reenvía', async () => {
+    const fixtures = loadFixtures();
+    const mock = await startMock({ fixtures });
+    const recibidos = [];
+    let responder = 500;
+    const receptor = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        recibidos.push({ headers: req.headers, body });
+        res.writeHead(responder).end();
+      });
+    });
+    await new Promise(r => receptor.listen(0, '127.0.0.1', r));
+    const bridge = await startBridge({
+      DUX_BASE: mock.url,
+      TENANTS_JSON: JSON.stringify([{ id: 'test', apiKeys: [API_KEY], duxToken: DUX_TOKEN, scopes: ['*'], feed: { empresas: [1], resources: ['facturas'] } }]),
+      FEED_POLL_S: '0.1',
+      WEBHOOK_MAX_ATTEMPTS: '1',
+    });
+    const api = client(bridge.url);
+    try {
+      const sub = await api('POST', '/webhooks', { body: { url: `http://127.0.0.1:${receptor.address().port}/hook`, events: ['factura.created'] } });
+      assert.equal(sub.status, 201);
+      await pollUntil(api, '/admin/feed', b => b.targets[0].lastRunAt); // el primer poll sólo fija el mark
+
+      fixtures.facturas.push({ id: 5100, tipo_comp: 'FACTURA_B', fecha: todayIn(DEFAULT_TZ), id_cliente: 102, total: 1500 });
+      mock.mock.reset();
+      const events = await pollUntil(api, '/events', b => b.data.length);
+      assert.deepEqual(events.data.map(e => [e.type, e.data.id]), [['factura.created', 5100]]);
+
+      const dl = await pollUntil(api, '/webhooks/dead-letters', b => b.data.length);
+      assert.equal(dl.data[0].event.id, events.data[0].id);
+      assert.equal(dl.data[0].lastError, 'HTTP 500');
+
+      responder = 200;
+      assert.equal((await api('POST', `/webhooks/dead-letters/${dl.data[0].id}/retry`)).status, 200);
+      assert.equal((await api('GET', '/webhooks/dead-letters')).body.data.length, 0);
+      const entrega = recibidos[recibidos.length - 1];
+      assert.equal(entrega.headers['x-bridge-event'], 'factura.created');
+      assert.equal(JSON.parse(entrega.body).data.id, 5100);
+      assert.ok(verifySignature(sub.body.secret, entrega.body, entrega.headers[SIGNATURE_HEADER.toLowerCase()]));
+      assert.ok(!verifySignature('otro-secreto', entrega.body, entrega.headers[SIGNATURE_HEADER.toLowerCase()]));
+    } finally {
+      await bridge.stop();
+      await mock.close();
+      await new Promise(r => receptor.close(r));
+    }
+  });
+});
+
+describe('circuit breaker hacia Dux', () => {
+  it('corta con 503 tras fallas seguidas y se cierra cuando Dux vuelve', async () => {
+    const mock = await startMock();
+    const bridge = await startBridge({ DUX_BASE: mock.url, BREAKER_FAILURES: '2', BREAKER_OPEN_S: '1', DUX_BACKOFF_BASE_MS: '10' });
+    const api = client(bridge.url);
+    try {
+      mock.mock.addFault({ path: '/rubros', status: 500 });
+      const r = await api('GET', '/duxc/rubros?limit=5');
+      assert.equal(r.status, 503);
+      assert.equal(r.body.code, 'DUX_UNAVAILABLE');
+      assert.ok(Number(r.headers.get('retry-after')) >= 1);
+      assert.equal(duxCalls(mock, '/rubros'), 2); // el tercer intento no sale
+
+      const ready = await api('GET', '/health/ready', { auth: false });
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.dux.circuit.state, 'open');
+      assert.equal((await api('GET', '/duxc/sucursales?limit=5')).status, 503); // sin tocar Dux
+
+      mock.mock.clearFaults();
+      await new Promise(res => setTimeout(res, 1100));
+      assert.equal((await api('GET', '/duxc/rubros?limit=5')).status, 200); // prueba half_open
+      const ok = await api('GET', '/health/ready', { auth: false });
+      assert.equal(ok.status, 200);
+      assert.equal(ok.body.dux.circuit.state, 'closed');
+      assert.ok(ok.body.dux.lastSuccessAt);
+    } finally {
+      await bridge.stop();
+      await mock.close();
+    }
+  });
+});
+
+describe('límites por API key', () => {
+  it('corta con 429 antes de la cola y muestra el consumo en /usage', async () => {
+    const mock = await startMock();
+    const bridge = await startBridge({ DUX_BASE: mock.url, RATE_LIMIT_READ_PER_MIN: '2', QUOTA_WRITE_DAILY: '3' });
+    const api = client(bridge.url);
+    try {
+      const ok = await api('GET', '/duxc/facturas?idEmpresa=1&limit=1');
+      assert.equal(ok.status, 200);
+      assert.equal(ok.headers.get('ratelimit-limit'), '2');
+      assert.equal(ok.headers.get('ratelimit-remaining'), '1');
+      assert.match(ok.headers.get('ratelimit-policy'), /^2;w=60/);
+      await api('GET', '/duxc/facturas?idEmpresa=1&limit=1');
+      const r = await api('GET', '/duxc/facturas?idEmpresa=1&limit=1');
+      assert.equal(r.status, 429);
+      assert.equal(r.body.code, 'RATE_LIMITED');
+      assert.ok(Number(r.headers.get('retry-after')) >= 1);
+      assert.equal(duxCalls(mock, '/facturas'), 2); // el tercero no llegó a Dux
+
+      const body = { idEmpresa: 1, idCliente: 101, total: 1000 };
+      const lote = (n) => ({ body: { operations: Array.from({ length: n }, (_, i) => ({ id: `c${i}`, op: 'crear_cobranza', body })) } });
+      assert.equal((await api('POST', '/duxc/cobranza', { body })).status, 200);
+      const grande = await api('POST', '/duxc/batch', lote(3)); // cada operación cuenta: 1 + 3 > 3
+      assert.equal(grande.status, 429);
+      assert.equal(grande.body.code, 'QUOTA_EXCEEDED');
+      assert.equal(mock.mock.writes.length, 1);
+      assert.equal((await api('POST', '/duxc/batch', lote(2))).status, 202);
+      const q = await api('POST', '/duxc/cobranza', { body });
+      assert.equal(q.status, 429);
+      assert.equal(q.body.code, 'QUOTA_EXCEEDED');
+
+      const u = await api('GET', '/usage');
+      assert.equal(u.status, 200);
+      const [key] = u.body.keys;
+      assert.equal(key.current, true);
+      assert.deepEqual(key.today.read, { used: 2, rejected: 1, burstAvailable: 0 });
+      assert.deepEqual(key.today.write, { used: 3, rejected: 2, remaining: 0, burstAvailable: 27 });
+    } finally {
+      await bridge.stop();
+      await mock.close();
+    }
+  });
+});
+
+describe('record/replay', () => {
+  it('reproduce sin red lo grabado contra Dux', async () => {
+    const mock = await startMock();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    const cassette = path.join(dir, 'dux.jsonl');
+
+    const rec = await startBridge({ DUX_BASE: mock.url, DUX_MODE: 'record', DUX_CASSETTE: cassette });
+    const grabado = await client(rec.url)('GET', '/duxc/rubros?limit=10');
+    await rec.stop();
+    await mock.close();
+    assert.equal(grabado.status, 200);
+    assert.doesNotMatch(fs.readFileSync(cassette, 'utf8'), new RegExp(DUX_TOKEN));
+
+    const rep = await startBridge({ DUX_BASE: 'http://127.0.0.1:9', DUX_MODE: 'replay', DUX_CASSETTE: cassette });
+    try {
+      const api = client(rep.url);
+      const r = await api('GET', '/duxc/rubros?limit=10');
+      assert.equal(r.status, 200);
+      assert.deepEqual(r.body, grabado.body);
+      assert.equal((await api('GET', '/duxc/sucursales?limit=10')).status, 502); // no grabado
+    } finally {
+      await rep.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});